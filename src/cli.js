@@ -8,7 +8,11 @@
  */
 
 const { Command } = require('commander');
+const chalk = require('chalk');
+const os = require('os');
 const AWSDataFetcher = require('./core/aws-data-fetcher');
+const config = require('./core/config');
+const StorageFactory = require('./storage/storage-factory');
 
 // CLI Setup
 const program = new Command();
@@ -21,10 +25,477 @@ program
     .option('-s, --services-only', 'Fetch only services data')
     .option('-m, --include-service-mapping', 'Include service-by-region mapping (optimized, ~3-5 min)')
     .option('-f, --force-refresh', 'Force refresh cache, bypass cached data (24-hour TTL)')
+    .option('-e, --include-endpoints', 'With -m, also capture service endpoints and protocols (writes endpoints.json)')
+    .option('--resume', 'With -m, continue an interrupted run from its checkpoint (only unfinished regions are fetched)')
+    .option('--skip-quality-checks', 'Save the new dataset even if it fails the data quality checks (intentional large changes)')
     .option('--region <region>', 'AWS region to use for API calls', 'us-east-1')
+    .option('--partitions <partitions>', 'Fetch each partition with its own client (comma-separated: aws, aws-us-gov, aws-cn)')
+    .option('--partition-output <mode>', 'With --partitions: "merged" dataset or "separate" per-partition datasets', 'merged')
+    .option('--record <dir>', 'Record every SSM response and the regions RSS feed to a fixture directory')
+    .option('--replay <dir>', 'Serve SSM and the RSS feed from a recorded fixture directory (no network; writes only to output/replay)')
+    .option('--wait-for-lease', 'If another run holds the run lease, wait for it (up to config.lease.waitTimeout) instead of skipping')
     .action(async (options) => {
-        const fetcher = new AWSDataFetcher(options.region);
-        await fetcher.run(options);
+        if (options.record && options.replay) {
+            console.error(chalk.red('❌ --record and --replay cannot be combined'));
+            process.exitCode = 1;
+            return;
+        }
+        const fixtures = options.record ? { mode: 'record', dir: options.record }
+            : options.replay ? { mode: 'replay', dir: options.replay }
+                : null;
+
+        if (options.partitions) {
+            const PartitionRunner = require('./core/partition-runner');
+            try {
+                const runner = new PartitionRunner(parseCodes([options.partitions]), { output: options.partitionOutput, fixtures });
+                const result = await withRunLease(runner.storage, options, lease => runner.run({ ...options, lease }));
+                if (result?.quarantined || result?.leaseLost) {
+                    process.exitCode = 1;
+                }
+            } catch (error) {
+                console.error(chalk.red(`❌ ${error.message}`));
+                process.exitCode = 1;
+            }
+            return;
+        }
+
+        const fetcher = new AWSDataFetcher(options.region, fixtures ? { fixtures } : {});
+        const result = await withRunLease(fetcher.storage, options, lease => fetcher.run({ ...options, lease }));
+
+        // Quarantined data was not saved (nor anything after a lost lease); fail so scripts and schedulers notice
+        if (result?.quarantined || result?.leaseLost) {
+            process.exitCode = 1;
+        }
+    });
+
+program
+    .command('backfill')
+    .description('Rebuild change-history.json by replaying stored history snapshots (history/complete-data-*.json)')
+    .option('--from <date>', 'Only replay snapshots on or after this date (YYYY-MM-DD)')
+    .option('--to <date>', 'Only replay snapshots on or before this date (YYYY-MM-DD)')
+    .option('--confirmation-runs <n>', 'Consecutive snapshots a change must appear in before it is recorded (default 1)', parseInt)
+    .option('--dry-run', 'Rebuild and report without saving')
+    .option('--wait-for-lease', 'If a fetch holds the run lease, wait for it instead of skipping')
+    .action(async (options) => {
+        const ChangeHistoryBackfill = require('./core/change-history-backfill');
+        const storage = StorageFactory.fromEnvironment(config.cache.outputDir);
+        const backfill = new ChangeHistoryBackfill(storage, { confirmationRuns: options.confirmationRuns });
+
+        try {
+            // A fetch saving the change history at the same time would undo the rebuild (or be undone by it)
+            await withRunLease(storage, options, lease => backfill.run({ ...options, lease }));
+        } catch (error) {
+            console.error(chalk.red(`\n❌ Backfill failed: ${error.message}`));
+            process.exitCode = 1;
+        }
+    });
+
+program
+    .command('diff <from> [to]')
+    .description('Compare two snapshots: "current", a date (YYYY-MM-DD, latest history snapshot on or before it) or a file path')
+    .option('--format <format>', 'Output format: text, json or markdown', 'text')
+    .option('-o, --output <file>', 'Write the diff to a file instead of stdout')
+    .action(async (from, to, options) => {
+        const SnapshotDiff = require('./core/snapshot-diff');
+        const fs = require('fs').promises;
+        const storage = StorageFactory.fromEnvironment(config.cache.outputDir);
+        const snapshotDiff = new SnapshotDiff(storage);
+
+        try {
+            const diff = await snapshotDiff.diff(from, to || 'current');
+            const rendered = snapshotDiff.format(diff, options.format, { color: !options.output });
+
+            if (options.output) {
+                await fs.writeFile(options.output, rendered + '\n');
+                console.log(chalk.green(`💾 Diff saved to: ${options.output}`));
+            } else {
+                console.log(rendered);
+            }
+        } catch (error) {
+            console.error(chalk.red(`\n❌ Diff failed: ${error.message}`));
+            process.exitCode = 1;
+        }
+    });
+
+const history = program
+    .command('history')
+    .description('List and prune stored complete-data history snapshots (history/complete-data-*.json)');
+
+history
+    .command('list')
+    .description('List history snapshots, newest first, with what the retention policy keeps')
+    .option('--json', 'Output JSON')
+    .action(async (options) => {
+        const HistoryManager = require('./core/history-manager');
+        const storage = StorageFactory.fromEnvironment(config.cache.outputDir);
+        const manager = new HistoryManager(storage);
+
+        try {
+            const listings = await storage.listHistorySnapshots();
+            const { keep } = manager.selectRetained(listings, HistoryManager.getRetentionPolicy());
+            const reasons = new Map(keep.map(listing => [listing.id, listing.reasons]));
+            const snapshots = [...listings].reverse().map(listing => ({
+                ...listing,
+                date: new Date(listing.timestamp).toISOString(),
+                retained: reasons.get(listing.id) || []
+            }));
+
+            if (options.json) {
+                console.log(JSON.stringify(snapshots, null, 2));
+                return;
+            }
+
+            console.log(chalk.bold(`📚 ${snapshots.length} history snapshots`));
+            snapshots.forEach(snapshot => {
+                const retained = snapshot.retained.length > 0
+                    ? chalk.green(snapshot.retained.join(', '))
+                    : chalk.gray('pruned next run');
+                console.log(`   ${String(snapshot.timestamp).padEnd(15)} ${snapshot.date}  ${retained}`);
+            });
+        } catch (error) {
+            console.error(chalk.red(`❌ History list failed: ${error.message}`));
+            process.exitCode = 1;
+        }
+    });
+
+history
+    .command('prune')
+    .description('Delete history snapshots outside the retention policy (config.history.retention)')
+    .option('--daily <n>', 'Daily snapshots to keep', parseInt)
+    .option('--weekly <n>', 'Weekly snapshots to keep', parseInt)
+    .option('--monthly <n>', 'Monthly snapshots to keep', parseInt)
+    .option('--dry-run', 'Report what would be deleted without deleting')
+    .action(async (options) => {
+        const HistoryManager = require('./core/history-manager');
+        const storage = StorageFactory.fromEnvironment(config.cache.outputDir);
+
+        try {
+            const { remove } = await new HistoryManager(storage).prune({
+                policy: { daily: options.daily, weekly: options.weekly, monthly: options.monthly },
+                dryRun: options.dryRun
+            });
+            remove.forEach(listing => console.log(chalk.gray(`   - ${listing.id} (${new Date(listing.timestamp).toISOString()})`)));
+        } catch (error) {
+            console.error(chalk.red(`❌ History prune failed: ${error.message}`));
+            process.exitCode = 1;
+        }
+    });
+
+program
+    .command('rollback <snapshot>')
+    .description('Republish a history snapshot (timestamp, name or YYYY-MM-DD) as the current dataset and redistribute it')
+    .option('--no-distribute', 'Do not copy the restored files to the distribution bucket')
+    .option('--dry-run', 'Show which snapshot would be restored without publishing')
+    .option('--wait-for-lease', 'If a fetch holds the run lease, wait for it instead of skipping')
+    .action(async (snapshot, options) => {
+        const HistoryManager = require('./core/history-manager');
+        const storage = StorageFactory.fromEnvironment(config.cache.outputDir);
+
+        try {
+            // Never publish underneath a running fetch
+            await withRunLease(storage, options, () => new HistoryManager(storage).rollback(snapshot, {
+                distribute: options.distribute,
+                dryRun: options.dryRun
+            }));
+        } catch (error) {
+            console.error(chalk.red(`\n❌ Rollback failed: ${error.message}`));
+            process.exitCode = 1;
+        }
+    });
+
+/**
+ * Run a fetch, backfill or rollback while holding the run lease, so it never overlaps another run on the same output
+ * `run` gets the lease (null when leases are disabled) to check `lease.lost` before publishing.
+ * Returns null (exit code 1) when another run holds the lease.
+ */
+async function withRunLease(storage, options, run) {
+    if (!config.lease.enabled) {
+        return run(null);
+    }
+
+    const RunLease = require('./core/run-lease');
+    const lease = new RunLease(storage, {
+        owner: `cli:${os.hostname()}:${process.pid}`,
+        onBusy: options.waitForLease ? 'wait' : (process.env.LEASE_ON_BUSY || config.lease.onBusy)
+    });
+
+    const { acquired, holder } = await lease.acquire();
+    if (!acquired) {
+        console.error(chalk.yellow(`⏭️  Skipped: ${holder ? `${holder.owner} holds the run lease until ${holder.expiresAt}` : 'another run holds the run lease'}`));
+        console.error(chalk.gray('   Use --wait-for-lease to wait for it to finish'));
+        process.exitCode = 1;
+        return null;
+    }
+
+    try {
+        return await run(lease);
+    } finally {
+        await lease.release();
+    }
+}
+
+/**
+ * Split variadic/comma-separated code arguments ("bedrock,rds" or "bedrock rds")
+ */
+function parseCodes(values) {
+    return values
+        .flatMap(value => value.split(','))
+        .map(value => value.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Run an availability query and set the exit code for CI gating
+ * Exit codes: 0 = available, 1 = unavailable, 2 = query could not be answered
+ */
+async function runQuery(options, ask, render) {
+    const AvailabilityQuery = require('./core/availability-query');
+
+    try {
+        const storage = StorageFactory.fromEnvironment(config.cache.outputDir);
+        const query = await AvailabilityQuery.load(storage);
+        const result = ask(query);
+
+        if (options.json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            render(result);
+        }
+
+        process.exitCode = result.available ? 0 : 1;
+    } catch (error) {
+        console.error(chalk.red(`❌ Query failed: ${error.message}`));
+        process.exitCode = 2;
+    }
+}
+
+const query = program
+    .command('query')
+    .description('Look up service availability in the latest dataset (exit code 1 when unavailable)');
+
+query
+    .command('regions-for <services...>')
+    .description('Regions offering all of the given services')
+    .option('--json', 'Output JSON')
+    .action((services, options) => runQuery(options,
+        q => q.regionsOffering(parseCodes(services)),
+        result => {
+            const names = result.services.map(s => s.code).join(' + ');
+            result.unknownServices.forEach(code => console.log(chalk.yellow(`⚠️  Unknown service code: ${code}`)));
+            console.log(chalk.bold(`🌍 ${result.regions.length} regions offer ${names}`));
+            result.regions.forEach(r => console.log(`   ${r.code.padEnd(16)} ${chalk.gray(r.name)}`));
+            if (result.unknownRegions.length > 0) {
+                console.log(chalk.yellow(`⚠️  Availability unknown (fetch failed): ${result.unknownRegions.join(', ')}`));
+            }
+        }));
+
+query
+    .command('services-in <region>')
+    .description('Services offered in a region')
+    .option('--json', 'Output JSON')
+    .action((region, options) => runQuery(options,
+        q => q.servicesIn(region),
+        result => {
+            if (!result.known) {
+                console.log(chalk.red(`❌ No service data for ${region}${result.error ? ` (fetch failed: ${result.error})` : ''}`));
+                return;
+            }
+            console.log(chalk.bold(`🛠️  ${result.services.length} services in ${result.region.code} (${result.region.name})`));
+            result.services.forEach(s => console.log(`   ${s.code.padEnd(32)} ${chalk.gray(s.name)}`));
+        }));
+
+query
+    .command('has <region> <services...>')
+    .description('Check that a region offers every one of the given services')
+    .option('--json', 'Output JSON')
+    .action((region, services, options) => runQuery(options,
+        q => q.regionHas(region, parseCodes(services)),
+        result => {
+            if (!result.known) {
+                console.log(chalk.red(`❌ No service data for ${region}${result.error ? ` (fetch failed: ${result.error})` : ''}`));
+                return;
+            }
+            result.services.forEach(s => {
+                const icon = s.available ? chalk.green('✅') : chalk.red('❌');
+                console.log(`${icon} ${s.code} in ${result.region.code}`);
+            });
+        }));
+
+query
+    .command('missing <region> <reference>')
+    .description('Services offered in <reference> region that <region> lacks')
+    .option('--json', 'Output JSON')
+    .action((region, reference, options) => runQuery(options,
+        q => q.missingServices(region, reference),
+        result => {
+            if (!result.known) {
+                console.log(chalk.red(`❌ No service data for ${region} and/or ${reference}`));
+                return;
+            }
+            if (result.missing.length === 0) {
+                console.log(chalk.green(`✅ ${region} offers every service available in ${reference}`));
+                return;
+            }
+            console.log(chalk.bold(`🛠️  ${result.missing.length} services in ${reference} missing from ${region}`));
+            result.missing.forEach(s => console.log(`   ${s.code.padEnd(32)} ${chalk.gray(s.name)}`));
+        }));
+
+program
+    .command('compare <regions...>')
+    .description('Region parity report: shared, unique and missing services across two or more regions')
+    .option('--json', 'Output JSON (includes the full service matrix)')
+    .action(async (regions, options) => {
+        const AvailabilityQuery = require('./core/availability-query');
+        const { compareRegions } = require('./core/region-parity');
+
+        try {
+            const storage = StorageFactory.fromEnvironment(config.cache.outputDir);
+            const { data, serviceNames } = await AvailabilityQuery.load(storage);
+            const report = compareRegions(data, parseCodes(regions), serviceNames);
+
+            if (options.json) {
+                console.log(JSON.stringify(report, null, 2));
+                return;
+            }
+
+            console.log(chalk.bold.blue(`\n📊 Region parity: ${report.regions.map(r => r.code).join(' vs ')}`));
+            report.regions.forEach(r => {
+                console.log(`   ${r.code.padEnd(16)} ${String(r.serviceCount).padStart(4)} services  ${chalk.gray(r.name)}`);
+            });
+            console.log(chalk.white(`   Shared by all: ${report.shared.length} of ${report.totalServices} services`));
+
+            console.log(chalk.bold('\n🔁 Pairs'));
+            report.pairs.forEach(p => {
+                console.log(`   ${p.a} ↔ ${p.b}: ${p.parity}% parity (${p.shared} shared, ${p.onlyInA} only in ${p.a}, ${p.onlyInB} only in ${p.b})`);
+            });
+
+            report.regions.forEach(({ code }) => {
+                if (report.missing[code].length === 0) return;
+                console.log(chalk.bold(`\n❌ Missing from ${code} (${report.missing[code].length})`));
+                report.missing[code].forEach(s => console.log(`   ${s.code.padEnd(32)} ${chalk.gray(s.name)}`));
+            });
+        } catch (error) {
+            console.error(chalk.red(`❌ Compare failed: ${error.message}`));
+            process.exitCode = 2;
+        }
+    });
+
+program
+    .command('recommend <services...>')
+    .description('Rank regions offering every required service, with near-misses and what they lack')
+    .option('--geography <names...>', 'Limit to geographies (north-america, south-america, europe, asia-pacific, middle-east, africa) or code prefixes')
+    .option('--min-azs <count>', 'Minimum number of availability zones', parseInt)
+    .option('--exclude-opt-in', 'Skip regions that must be enabled per account')
+    .option('--max-missing <count>', 'Most unmet requirements a near-miss may have', parseInt, 3)
+    .option('--json', 'Output JSON')
+    .action(async (services, options) => {
+        const AvailabilityQuery = require('./core/availability-query');
+        const { recommendRegions } = require('./core/region-recommender');
+
+        try {
+            const storage = StorageFactory.fromEnvironment(config.cache.outputDir);
+            const { data, serviceNames } = await AvailabilityQuery.load(storage);
+            const result = recommendRegions(data, parseCodes(services), {
+                geographies: options.geography ? parseCodes(options.geography) : [],
+                minAvailabilityZones: options.minAzs || 0,
+                excludeOptIn: Boolean(options.excludeOptIn),
+                maxMissing: options.maxMissing,
+                serviceNames
+            });
+
+            if (options.json) {
+                console.log(JSON.stringify(result, null, 2));
+            } else {
+                const describe = (r) => `${r.code.padEnd(16)} ${String(r.availabilityZones).padStart(2)} AZs  ${chalk.gray(r.name)}${r.optInRequired ? chalk.yellow(' (opt-in)') : ''}`;
+
+                console.log(chalk.bold.blue(`\n🧭 Regions for: ${result.required.map(s => s.code).join(', ')}`));
+                if (result.unknownServices.length > 0) {
+                    console.log(chalk.yellow(`⚠️  Unknown service codes: ${result.unknownServices.join(', ')}`));
+                }
+
+                if (result.matches.length > 0) {
+                    console.log(chalk.bold(`\n✅ Matches (${result.matches.length})`));
+                    result.matches.forEach((r, index) => console.log(`   ${String(index + 1).padStart(2)}. ${describe(r)}`));
+                } else {
+                    console.log(chalk.red('\n❌ No region meets every requirement'));
+                }
+
+                if (result.nearMisses.length > 0) {
+                    console.log(chalk.bold(`\n🟡 Near misses (${result.nearMisses.length})`));
+                    result.nearMisses.forEach(r => {
+                        const gaps = r.missing.map(s => s.code);
+                        if (r.availabilityZoneShortfall > 0) {
+                            gaps.push(`${r.availabilityZoneShortfall} more AZ${r.availabilityZoneShortfall === 1 ? '' : 's'}`);
+                        }
+                        console.log(`       ${describe(r)}`);
+                        console.log(chalk.red(`          missing: ${gaps.join(', ')}`));
+                    });
+                }
+
+                const noData = result.excluded.filter(r => r.reason === 'no service data');
+                if (noData.length > 0) {
+                    console.log(chalk.yellow(`\n⚠️  No service data (last fetch failed): ${noData.map(r => r.code).join(', ')}`));
+                }
+            }
+
+            process.exitCode = result.available ? 0 : 1;
+        } catch (error) {
+            console.error(chalk.red(`❌ Recommend failed: ${error.message}`));
+            process.exitCode = 2;
+        }
+    });
+
+program
+    .command('check-template <file>')
+    .description('Check a CloudFormation/SAM template or Terraform plan JSON against service availability')
+    .requiredOption('--regions <regions...>', 'Target region codes (space- or comma-separated)')
+    .option('--strict', 'Also fail when resource types cannot be mapped to a service')
+    .option('--json', 'Output JSON')
+    .action(async (file, options) => {
+        const fs = require('fs').promises;
+        const AvailabilityQuery = require('./core/availability-query');
+        const TemplateChecker = require('./core/template-checker');
+
+        try {
+            const storage = StorageFactory.fromEnvironment(config.cache.outputDir);
+            const { data, serviceNames } = await AvailabilityQuery.load(storage);
+            const checker = new TemplateChecker(data, serviceNames);
+            const { format, resources } = checker.parse(await fs.readFile(file, 'utf8'));
+            const report = { file, format, ...checker.check(resources, parseCodes(options.regions)) };
+            const failed = !report.deployable || (options.strict && report.unresolved.length > 0);
+
+            if (options.json) {
+                console.log(JSON.stringify(report, null, 2));
+            } else {
+                console.log(chalk.bold.blue(`\n📋 ${file} (${format}, ${report.totalResources} resources)`));
+
+                report.regions.forEach(r => {
+                    if (!r.known) {
+                        console.log(chalk.red(`❌ ${r.region.code}: no service data for this region`));
+                    } else if (r.deployable) {
+                        console.log(chalk.green(`✅ ${r.region.code} (${r.region.name}): all mapped services available`));
+                    } else {
+                        console.log(chalk.red(`❌ ${r.region.code} (${r.region.name}): ${r.unavailableServices.length} services unavailable`));
+                        r.resources.filter(res => res.status === 'unavailable').forEach(res => {
+                            console.log(chalk.red(`   - ${res.id} (${res.type}) → ${res.service}`));
+                        });
+                    }
+                });
+
+                if (report.unresolved.length > 0) {
+                    console.log(chalk.yellow(`\n⚠️  ${report.unresolved.length} resources could not be checked:`));
+                    report.unresolved.forEach(res => {
+                        const reason = res.status === 'unmapped' ? 'no mapping' : `unknown service code "${res.service}"`;
+                        console.log(chalk.yellow(`   - ${res.id} (${res.type}): ${reason}`));
+                    });
+                }
+            }
+
+            process.exitCode = failed ? 1 : 0;
+        } catch (error) {
+            console.error(chalk.red(`❌ Template check failed: ${error.message}`));
+            process.exitCode = 2;
+        }
     });
 
 // Run if called directly
@@ -0,0 +1,163 @@
+/**
+ * Availability Query - Service/region availability lookups
+ *
+ * Answers questions against the latest complete-data.json: which regions offer
+ * a set of services, which services a region offers, and what a region lacks
+ * compared to another. Regions whose last fetch failed are reported as unknown
+ * rather than as lacking every service.
+ */
+
+class AvailabilityQuery {
+    constructor(completeData, serviceNames = {}) {
+        if (!completeData?.servicesByRegion?.byRegion) {
+            throw new Error('Dataset has no service-by-region mapping (run with --include-service-mapping)');
+        }
+
+        this.data = completeData;
+        this.serviceNames = serviceNames;
+        this.byRegion = completeData.servicesByRegion.byRegion;
+        this.regionNames = {};
+        (completeData.regions?.regions || []).forEach(region => {
+            this.regionNames[region.code] = region.name;
+        });
+        this.knownServices = new Set(completeData.services?.services || []);
+    }
+
+    /**
+     * Load the latest dataset and service names through the storage layer
+     */
+    static async load(storage) {
+        const completeData = await storage.loadComplete();
+        if (!completeData) {
+            throw new Error('No complete-data.json found in storage (run a complete fetch first)');
+        }
+
+        const serviceNames = {};
+        const servicesData = await storage.loadServicesForChangeTracking();
+        (servicesData?.services || []).forEach(service => {
+            if (service.code && service.name) {
+                serviceNames[service.code] = service.name;
+            }
+        });
+
+        return new AvailabilityQuery(completeData, serviceNames);
+    }
+
+    describeRegion(code) {
+        return { code, name: this.regionNames[code] || code };
+    }
+
+    describeService(code) {
+        return { code, name: this.serviceNames[code] || code };
+    }
+
+    /**
+     * Region codes with usable data (fetch did not fail)
+     */
+    getKnownRegions() {
+        return Object.keys(this.byRegion).filter(code => !this.byRegion[code].error).sort();
+    }
+
+    /**
+     * Region codes whose last fetch failed (availability unknown)
+     */
+    getUnknownRegions() {
+        return Object.keys(this.byRegion).filter(code => this.byRegion[code].error).sort();
+    }
+
+    /**
+     * Services listed for a region, or null if the region is unknown or failed to fetch
+     */
+    getRegionServices(region) {
+        const regionData = this.byRegion[region];
+        if (!regionData || regionData.error) {
+            return null;
+        }
+        return new Set(regionData.services);
+    }
+
+    /**
+     * Regions offering all of the given services
+     */
+    regionsOffering(services) {
+        const regions = this.getKnownRegions()
+            .filter(region => {
+                const available = this.getRegionServices(region);
+                return services.every(service => available.has(service));
+            })
+            .map(code => this.describeRegion(code));
+
+        return {
+            services: services.map(code => this.describeService(code)),
+            unknownServices: services.filter(code => !this.knownServices.has(code)),
+            regions,
+            unknownRegions: this.getUnknownRegions(),
+            available: regions.length > 0
+        };
+    }
+
+    /**
+     * Services offered in a region
+     */
+    servicesIn(region) {
+        const available = this.getRegionServices(region);
+
+        return {
+            region: this.describeRegion(region),
+            known: available !== null,
+            error: this.byRegion[region]?.error || null,
+            services: available ? [...available].sort().map(code => this.describeService(code)) : [],
+            available: available !== null && available.size > 0
+        };
+    }
+
+    /**
+     * Check whether a region offers every one of the given services
+     */
+    regionHas(region, services) {
+        const available = this.getRegionServices(region);
+        const missing = available ? services.filter(service => !available.has(service)) : services;
+
+        return {
+            region: this.describeRegion(region),
+            known: available !== null,
+            error: this.byRegion[region]?.error || null,
+            services: services.map(code => ({
+                ...this.describeService(code),
+                available: available ? available.has(code) : null
+            })),
+            missing: missing.map(code => this.describeService(code)),
+            available: available !== null && missing.length === 0
+        };
+    }
+
+    /**
+     * Services offered in a reference region that the target region lacks
+     */
+    missingServices(region, reference) {
+        const target = this.getRegionServices(region);
+        const base = this.getRegionServices(reference);
+
+        if (!target || !base) {
+            return {
+                region: this.describeRegion(region),
+                reference: this.describeRegion(reference),
+                known: false,
+                missing: [],
+                available: false
+            };
+        }
+
+        const missing = [...base].filter(service => !target.has(service)).sort();
+
+        return {
+            region: this.describeRegion(region),
+            reference: this.describeRegion(reference),
+            known: true,
+            missing: missing.map(code => this.describeService(code)),
+            available: missing.length === 0
+        };
+    }
+}
+
+module.exports = AvailabilityQuery;
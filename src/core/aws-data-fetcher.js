@@ -5,45 +5,69 @@
  * and saves it to local JSON files for analysis.
  */
 
-const { SSMClient, GetParametersByPathCommand, GetParameterCommand } = require('@aws-sdk/client-ssm');
+const { SSMClient, GetParametersByPathCommand, GetParametersCommand } = require('@aws-sdk/client-ssm');
 const chalk = require('chalk');
 const fs = require('fs').promises;
 const path = require('path');
 const https = require('https');
+const crypto = require('crypto');
 const config = require('./config');
 const StorageFactory = require('../storage/storage-factory');
+const StorageConflictError = require('../storage/storage-conflict-error');
+const RequestScheduler = require('./request-scheduler');
+const FixtureClient = require('./fixture-client');
+const { enforceDataQuality } = require('./data-quality');
+const HistoryManager = require('./history-manager');
+const { loadRegionMetadata, getRegionMetadata, getPartitionForRegion } = require('./region-metadata');
+
+// Region attributes read from /regions/{code}/{attribute}
+const REGION_ATTRIBUTES = ['longName', 'partition', 'domain', 'geolocationCountry', 'geolocationRegion'];
 
 class AWSDataFetcher {
     constructor(region = config.aws.region, customConfig = {}) {
         // Allow config overrides via customConfig parameter
         this.config = customConfig;
 
-        this.ssmClient = new SSMClient({ region });
-        this.outputDir = customConfig.outputDir || config.cache.outputDir;
+        // Partition mode: only regions of this partition are fetched (see PartitionRunner).
+        // A named profile lets each partition use its own credentials.
+        this.partition = customConfig.partition || null;
+        this.ssmClient = new SSMClient(customConfig.profile ? { region, profile: customConfig.profile } : { region });
+
+        // Fixtures: record every SSM response to a directory, or replay them with no network
+        const fixtures = customConfig.fixtures || (process.env.SSM_FIXTURE_MODE
+            ? { mode: process.env.SSM_FIXTURE_MODE, dir: process.env.SSM_FIXTURE_DIR }
+            : null);
+        this.fixtures = fixtures ? new FixtureClient(this.ssmClient, fixtures) : null;
+
+        // Every SSM call goes through one scheduler so concurrent phases share a single rate budget
+        // Replayed responses need no pacing
+        this.scheduler = new RequestScheduler(this.fixtures || this.ssmClient, this.fixtures?.mode === 'replay'
+            ? { targetTps: 1000, maxTps: 1000, maxInFlight: 1000 }
+            : { targetTps: parseInt(process.env.SSM_TARGET_TPS) || customConfig.targetTps || config.rateLimit.targetTps });
+        const replaying = this.fixtures?.mode === 'replay';
+        this.outputDir = customConfig.outputDir ||
+            (replaying ? process.env.REPLAY_OUTPUT_DIR || config.cache.replayOutputDir : config.cache.outputDir);
         this.cacheFile = path.join(this.outputDir, customConfig.cacheFileName || config.cache.cacheFileName);
-        this.cacheTTL = customConfig.cacheTTL || config.cache.cacheTTL;
-
-        // Initialize storage (S3 for Lambda, local for CLI)
-        const storageType = process.env.STORAGE_TYPE || 'local';
-        const storageOptions = {
-            bucketName: process.env.S3_BUCKET_NAME,
-            prefix: process.env.S3_PREFIX || 'aws-data',
-            outputDir: this.outputDir
-        };
+        this.cacheTTL = parseInt(process.env.CACHE_TTL) || customConfig.cacheTTL || config.cache.cacheTTL;
+        this.fullRefreshTTL = parseInt(process.env.FULL_REFRESH_TTL) || customConfig.fullRefreshTTL || config.cache.fullRefreshTTL;
+        this.nameCacheTTL = parseInt(process.env.NAME_CACHE_TTL) || customConfig.nameCacheTTL || config.cache.nameCacheTTL;
 
-        this.storage = StorageFactory.create(storageType, storageOptions);
+        // Initialize storage (S3 for Lambda, local for CLI; replays never publish)
+        this.storage = customConfig.storage || (replaying
+            ? StorageFactory.create('local', { outputDir: this.outputDir })
+            : StorageFactory.fromEnvironment(this.outputDir));
 
         // Configuration overrides from environment (for Lambda)
-        this.batchSize = parseInt(process.env.BATCH_SIZE) || config.parallelProcessing.serviceByRegionBatchSize;
-        this.paginationDelay = parseInt(process.env.PAGINATION_DELAY) || config.ssm.paginationDelay;
+        this.batchSize = parseInt(process.env.BATCH_SIZE) || config.parallelProcessing.serviceByRegionWorkers;
+        this.regionRetries = customConfig.regionRetries ?? config.ssm.regionRetries;
     }
 
     /**
      * Ensure output directory exists (only for local storage)
      */
     async ensureOutputDir() {
-        // Skip directory creation if using S3 storage
-        const storageType = process.env.STORAGE_TYPE || 'local';
+        // Skip directory creation if using S3 storage (replays always write locally)
+        const storageType = this.fixtures?.mode === 'replay' ? 'local' : process.env.STORAGE_TYPE || 'local';
         if (storageType !== 'local') {
             console.log(chalk.gray('   Using S3 storage, skipping local directory creation'));
             return;
@@ -61,6 +85,16 @@ class AWSDataFetcher {
      * Fetch and parse AWS regions RSS feed for launch dates and blog URLs
      */
     async fetchRegionLaunchData() {
+        if (this.fixtures?.mode === 'replay') {
+            const xml = await this.fixtures.loadRssFeed();
+            if (xml === null) {
+                console.warn(chalk.yellow('   ⚠️  No recorded RSS feed in fixtures, skipping launch data'));
+                return {};
+            }
+            console.log(chalk.yellow('   📰 Reading region launch data from recorded RSS feed...'));
+            return this.parseRegionLaunchData(xml);
+        }
+
         console.log(chalk.yellow('   📰 Fetching region launch data from RSS feed...'));
 
         const rssUrl = config.rssFeed.url;
@@ -94,43 +128,13 @@ class AWSDataFetcher {
                         data += chunk;
                     });
 
-                    res.on('end', () => {
-                    try {
-                        const launchData = {};
-
-                        // Extract all <item> entries from RSS
-                        const itemRegex = /<item>([\s\S]*?)<\/item>/g;
-                        let itemMatch;
-
-                        while ((itemMatch = itemRegex.exec(data)) !== null) {
-                            const item = itemMatch[1];
-
-                            // Extract region code from description (handle HTML entities)
-                            const codeMatch = item.match(/&lt;code class="code"&gt;([a-z0-9-]+)&lt;\/code&gt;/);
-                            if (!codeMatch) continue;
-
-                            const regionCode = codeMatch[1];
-
-                            // Extract link (blog post URL)
-                            const linkMatch = item.match(/<link>(.*?)<\/link>/);
-                            const blogUrl = linkMatch ? linkMatch[1].trim() : null;
-
-                            // Extract publication date
-                            const dateMatch = item.match(/<pubDate>(.*?)<\/pubDate>/);
-                            const launchDate = dateMatch ? dateMatch[1].trim() : null;
-
-                            launchData[regionCode] = {
-                                launchDate,
-                                blogUrl
-                            };
+                    res.on('end', async () => {
+                        if (this.fixtures?.mode === 'record') {
+                            await this.fixtures.saveRssFeed(data).catch(error => {
+                                console.warn(chalk.yellow(`   ⚠️  Failed to record RSS feed: ${error.message}`));
+                            });
                         }
-
-                        console.log(chalk.gray(`   📰 Found launch data for ${Object.keys(launchData).length} regions in RSS feed`));
-                        resolve(launchData);
-                    } catch (error) {
-                        console.warn(chalk.yellow(`   ⚠️  Failed to parse RSS feed: ${error.message}`));
-                        resolve({}); // Return empty object on parse error
-                    }
+                        resolve(this.parseRegionLaunchData(data));
                     });
                 }).on('error', (error) => {
                     console.warn(chalk.yellow(`   ⚠️  Failed to fetch RSS feed: ${error.message}`));
@@ -144,15 +148,54 @@ class AWSDataFetcher {
     }
 
     /**
-     * Fetch all parameters from a given SSM path with pagination and retry logic
+     * Launch date and blog URL per region code from the regions RSS feed
+     * A feed that can't be parsed yields an empty object.
      */
-    async fetchAllSSMParameters(path, recursive = true, retryCount = 0) {
-        const maxRetries = config.ssm.maxRetries;
-        const baseDelay = config.ssm.baseDelay;
+    parseRegionLaunchData(data) {
+        try {
+            const launchData = {};
+
+            // Extract all <item> entries from RSS
+            const itemRegex = /<item>([\s\S]*?)<\/item>/g;
+            let itemMatch;
+
+            while ((itemMatch = itemRegex.exec(data)) !== null) {
+                const item = itemMatch[1];
+
+                // Extract region code from description (handle HTML entities)
+                const codeMatch = item.match(/&lt;code class="code"&gt;([a-z0-9-]+)&lt;\/code&gt;/);
+                if (!codeMatch) continue;
+
+                const regionCode = codeMatch[1];
+
+                // Extract link (blog post URL)
+                const linkMatch = item.match(/<link>(.*?)<\/link>/);
+                const blogUrl = linkMatch ? linkMatch[1].trim() : null;
 
-        if (retryCount === 0) {
-            console.log(chalk.blue(`📡 Fetching SSM parameters from: ${path}`));
+                // Extract publication date
+                const dateMatch = item.match(/<pubDate>(.*?)<\/pubDate>/);
+                const launchDate = dateMatch ? dateMatch[1].trim() : null;
+
+                launchData[regionCode] = {
+                    launchDate,
+                    blogUrl
+                };
+            }
+
+            console.log(chalk.gray(`   📰 Found launch data for ${Object.keys(launchData).length} regions in RSS feed`));
+            return launchData;
+        } catch (error) {
+            console.warn(chalk.yellow(`   ⚠️  Failed to parse RSS feed: ${error.message}`));
+            return {}; // Return empty object on parse error
         }
+    }
+
+    /**
+     * Fetch all parameters from a given SSM path with pagination
+     * Throttling retries and pacing are handled by the request scheduler.
+     */
+    async fetchAllSSMParameters(path, recursive = true) {
+        console.log(chalk.blue(`📡 Fetching SSM parameters from: ${path}`));
 
         const allParameters = [];
         let nextToken = undefined;
@@ -167,25 +210,7 @@ class AWSDataFetcher {
                     NextToken: nextToken
                 });
 
-                let response;
-                let retries = 0;
-
-                // Retry logic for individual requests
-                while (retries <= 3) {
-                    try {
-                        response = await this.ssmClient.send(command);
-                        break; // Success, exit retry loop
-                    } catch (err) {
-                        if ((err.name === 'ThrottlingException' || err.message.includes('Rate exceeded')) && retries < 3) {
-                            retries++;
-                            const backoffDelay = baseDelay * Math.pow(2, retries); // Exponential backoff
-                            console.log(chalk.yellow(`   ⚠️  Rate limit hit, retry ${retries}/3 after ${backoffDelay}ms...`));
-                            await new Promise(resolve => setTimeout(resolve, backoffDelay));
-                        } else {
-                            throw err; // Re-throw if not throttling or max retries reached
-                        }
-                    }
-                }
+                const response = await this.scheduler.send(command);
 
                 if (response.Parameters) {
                     allParameters.push(...response.Parameters);
@@ -193,27 +218,12 @@ class AWSDataFetcher {
                 }
 
                 nextToken = response.NextToken;
-
-                // Adaptive throttling delay (increases with retry count)
-                if (nextToken) {
-                    const delay = config.ssm.paginationDelay + (retryCount * 25);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                }
-
             } while (nextToken);
 
             console.log(chalk.green(`✅ Fetched ${allParameters.length} parameters from ${path}`));
             return allParameters;
 
         } catch (error) {
-            // Retry entire fetch operation if rate limited
-            if ((error.name === 'ThrottlingException' || error.message.includes('Rate exceeded')) && retryCount < maxRetries) {
-                const retryDelay = baseDelay * Math.pow(2, retryCount + 1);
-                console.log(chalk.yellow(`   ⚠️  Rate exceeded, retrying entire fetch after ${retryDelay}ms (attempt ${retryCount + 1}/${maxRetries})...`));
-                await new Promise(resolve => setTimeout(resolve, retryDelay));
-                return this.fetchAllSSMParameters(path, recursive, retryCount + 1);
-            }
-
             console.error(chalk.red(`❌ Failed to fetch parameters from ${path}:`, error.message));
             throw error;
         }
@@ -238,9 +248,14 @@ class AWSDataFetcher {
             }
         });
 
-        const regionCodesArray = Array.from(regionCodes).sort();
+        let regionCodesArray = Array.from(regionCodes).sort();
 
-        console.log(chalk.green(`✅ Discovered ${regionCodesArray.length} regions from SSM`));
+        // SSM may list regions of other partitions (e.g. GovCloud in the commercial tree)
+        if (this.partition) {
+            regionCodesArray = regionCodesArray.filter(code => getPartitionForRegion(code) === this.partition);
+        }
+
+        console.log(chalk.green(`✅ Discovered ${regionCodesArray.length} regions from SSM${this.partition ? ` (partition ${this.partition})` : ''}`));
         console.log(chalk.yellow('   Fetching region names and AZ counts...'));
 
         // Fetch AZ data first to build region -> AZ count mapping
@@ -259,117 +274,87 @@ class AWSDataFetcher {
 
         console.log(chalk.gray(`   📍 Found ${azIds.length} availability zones`));
 
-        // Build map of region -> AZ count using parallel batch processing
-        const regionAzCounts = {};
+        // Build map of region -> zones (standard AZs, Local Zones, Wavelength Zones) on the worker pool
+        const regionZones = {};
         console.log(chalk.yellow('   📍 Mapping AZs to regions in parallel...'));
 
-        const azBatchSize = config.parallelProcessing.azBatchSize;
-
-        for (let i = 0; i < azIds.length; i += azBatchSize) {
-            const batch = azIds.slice(i, i + azBatchSize);
-
-            const batchPromises = batch.map(async (azId) => {
-                try {
-                    const parentRegionPath = `/aws/service/global-infrastructure/availability-zones/${azId}/parent-region`;
-                    const command = new GetParameterCommand({ Name: parentRegionPath });
-                    const response = await this.ssmClient.send(command);
-                    return { azId, parentRegion: response.Parameter?.Value };
-                } catch (error) {
-                    return { azId, parentRegion: null };
-                }
-            });
-
-            const batchResults = await Promise.all(batchPromises);
-
-            // Aggregate results
-            batchResults.forEach(result => {
-                if (result.parentRegion) {
-                    regionAzCounts[result.parentRegion] = (regionAzCounts[result.parentRegion] || 0) + 1;
-                }
-            });
+        let mappedCount = 0;
+        const zoneResults = await this.scheduler.map(azIds, async (azId) => {
+            let result;
+            try {
+                // One call returns every attribute of the zone (parent-region, zone-type, zone-group, ...)
+                const command = new GetParametersByPathCommand({ Path: `${azPath}/${azId}`, Recursive: false });
+                const response = await this.scheduler.send(command);
+                result = this.parseZoneParameters(azId, response.Parameters || []);
+            } catch (error) {
+                result = { azId, parentRegion: null };
+            }
 
             // Progress indicator every 50 AZs
-            if ((i + azBatchSize) % 50 === 0 || i + azBatchSize >= azIds.length) {
-                console.log(chalk.gray(`   📍 Mapped ${Math.min(i + azBatchSize, azIds.length)}/${azIds.length} AZs...`));
+            if (++mappedCount % 50 === 0 || mappedCount === azIds.length) {
+                console.log(chalk.gray(`   📍 Mapped ${mappedCount}/${azIds.length} AZs...`));
             }
+            return result;
+        }, config.parallelProcessing.azWorkers);
 
-            // Small delay between batches
-            if (i + azBatchSize < azIds.length) {
-                await new Promise(resolve => setTimeout(resolve, config.parallelProcessing.azBatchDelay));
+        zoneResults.forEach(result => {
+            if (result.parentRegion) {
+                if (!regionZones[result.parentRegion]) {
+                    regionZones[result.parentRegion] = [];
+                }
+                regionZones[result.parentRegion].push(result.zone);
             }
-        }
+        });
 
-        console.log(chalk.green(`   ✅ Mapped ${azIds.length} AZs to ${Object.keys(regionAzCounts).length} regions`));
+        // Standard AZs only; Local Zones and Wavelength Zones are listed in `zones`
+        const regionAzCounts = {};
+        Object.entries(regionZones).forEach(([region, zones]) => {
+            zones.sort((a, b) => a.id.localeCompare(b.id));
+            regionAzCounts[region] = zones.filter(zone => zone.type === 'availability-zone').length;
+        });
+
+        console.log(chalk.green(`   ✅ Mapped ${azIds.length} AZs to ${Object.keys(regionZones).length} regions`));
 
         // Fetch region launch data from RSS feed
         const launchData = await this.fetchRegionLaunchData();
 
-        // Fetch long names for each region in parallel
-        console.log(chalk.yellow('   📋 Fetching region names in parallel...'));
-        const regionsWithNames = [];
-
-        const regionNameBatchSize = config.parallelProcessing.regionNameBatchSize;
+        // Bundled continent/coordinates/opt-in data (with overrides)
+        const regionMetadata = await loadRegionMetadata();
 
-        for (let i = 0; i < regionCodesArray.length; i += regionNameBatchSize) {
-            const batch = regionCodesArray.slice(i, i + regionNameBatchSize);
+        // Long names and other region attributes (partition, domain, geolocation), from the name cache when possible
+        const regionAttributes = await this.fetchRegionAttributes(regionCodesArray, regionsPath);
+        const regionsWithNames = [];
 
-            const batchPromises = batch.map(async (regionCode) => {
-                try {
-                    const longNamePath = `/aws/service/global-infrastructure/regions/${regionCode}/longName`;
-                    const command = new GetParameterCommand({ Name: longNamePath });
-                    const response = await this.ssmClient.send(command);
-
-                    const longName = response.Parameter?.Value || regionCode;
-                    const azCount = regionAzCounts[regionCode] || 0;
-                    const launch = launchData[regionCode];
-
-                    return {
-                        code: regionCode,
-                        name: longName,
-                        availabilityZones: azCount,
-                        launchDate: launch?.launchDate || null,
-                        blogUrl: launch?.blogUrl || null,
-                        success: true
-                    };
-                } catch (error) {
-                    const azCount = regionAzCounts[regionCode] || 0;
-                    const launch = launchData[regionCode];
-
-                    return {
-                        code: regionCode,
-                        name: regionCode,
-                        availabilityZones: azCount,
-                        launchDate: launch?.launchDate || null,
-                        blogUrl: launch?.blogUrl || null,
-                        success: false
-                    };
-                }
+        regionCodesArray.forEach(code => {
+            const attributes = regionAttributes[code] || {};
+            const launch = launchData[code];
+            const name = attributes.longName || code;
+            const azCount = regionAzCounts[code] || 0;
+            const zones = regionZones[code] || [];
+
+            regionsWithNames.push({
+                code,
+                name,
+                availabilityZones: azCount,
+                launchDate: launch?.launchDate || null,
+                blogUrl: launch?.blogUrl || null,
+                partition: attributes.partition || getPartitionForRegion(code),
+                domain: attributes.domain || null,
+                geolocationCountry: attributes.geolocationCountry || null,
+                geolocationRegion: attributes.geolocationRegion || null,
+                ...getRegionMetadata(code, regionMetadata),
+                zones
             });
 
-            const batchResults = await Promise.all(batchPromises);
-
-            // Add results and log progress
-            batchResults.forEach(result => {
-                regionsWithNames.push({
-                    code: result.code,
-                    name: result.name,
-                    availabilityZones: result.availabilityZones,
-                    launchDate: result.launchDate,
-                    blogUrl: result.blogUrl
-                });
-
-                if (result.success) {
-                    console.log(chalk.gray(`   ✅ ${result.code}: ${result.name} (${result.availabilityZones} AZs)`));
-                } else {
-                    console.log(chalk.gray(`   ℹ️  ${result.code}: ${result.code} (${result.availabilityZones} AZs, name not available)`));
-                }
-            });
+            const otherZones = zones.length - azCount;
+            const zoneInfo = otherZones > 0 ? ` + ${otherZones} local/wavelength` : '';
 
-            // Small delay between batches
-            if (i + regionNameBatchSize < regionCodesArray.length) {
-                await new Promise(resolve => setTimeout(resolve, config.parallelProcessing.regionNameBatchDelay));
+            if (attributes.longName) {
+                console.log(chalk.gray(`   ✅ ${code}: ${name} (${azCount} AZs${zoneInfo})`));
+            } else {
+                console.log(chalk.gray(`   ℹ️  ${code}: ${code} (${azCount} AZs, name not available)`));
             }
-        }
+        });
 
         // Check for eu-west-3 specifically
         if (regionCodesArray.includes('eu-west-3')) {
@@ -386,6 +371,29 @@ class AWSDataFetcher {
         };
     }
 
+    /**
+     * Turn the parameters under /availability-zones/{azId} into a zone record
+     * Attribute names are camel-cased (zone-type -> type, network-border-group -> networkBorderGroup);
+     * zones without a zone-type parameter are treated as standard AZs.
+     */
+    parseZoneParameters(azId, parameters) {
+        const attributes = {};
+        parameters.forEach(param => {
+            const match = param.Name.match(/\/availability-zones\/[a-z0-9-]+\/([a-z0-9-]+)$/);
+            if (match) {
+                attributes[match[1]] = param.Value;
+            }
+        });
+
+        const { 'parent-region': parentRegion, 'zone-type': zoneType, ...rest } = attributes;
+        const zone = { id: azId, type: zoneType || 'availability-zone' };
+        Object.keys(rest).sort().forEach(name => {
+            zone[name.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase())] = rest[name];
+        });
+
+        return { azId, parentRegion: parentRegion || null, zone };
+    }
+
     /**
      * Discover AWS services from SSM parameters with long names
      */
@@ -408,81 +416,199 @@ class AWSDataFetcher {
         const serviceCodesArray = Array.from(serviceCodes).sort();
 
         console.log(chalk.green(`✅ Discovered ${serviceCodesArray.length} services from SSM`));
-        console.log(chalk.yellow('   📋 Fetching service names in parallel from SSM...'));
 
-        // Fetch long names for each service from SSM in parallel
-        const servicesWithNames = [];
-        const missingNames = [];
+        // Long names from the name cache when possible, otherwise batched GetParameters
+        const serviceNames = await this.fetchServiceNames(serviceCodesArray, servicesPath);
+        const servicesWithNames = serviceCodesArray.map(code => ({ code, name: serviceNames[code] || code }));
+        const missingNames = serviceCodesArray.filter(code => !serviceNames[code]);
+
+        // Report any services without a name (no SSM longName, or lookup failed with nothing cached)
+        if (missingNames.length > 0) {
+            console.log(chalk.yellow(`\n   ℹ️  ${missingNames.length} services had no SSM longName (using code as name):`));
+            missingNames.forEach(code => {
+                console.log(chalk.gray(`      - ${code}`));
+            });
+        }
 
-        const serviceNameBatchSize = config.parallelProcessing.serviceNameBatchSize;
+        return {
+            count: servicesWithNames.length,
+            services: servicesWithNames,
+            source: 'ssm',
+            timestamp: new Date().toISOString()
+        };
+    }
 
-        for (let i = 0; i < serviceCodesArray.length; i += serviceNameBatchSize) {
-            const batch = serviceCodesArray.slice(i, i + serviceNameBatchSize);
 
-            const batchPromises = batch.map(async (serviceCode) => {
-                try {
-                    const longNamePath = `/aws/service/global-infrastructure/services/${serviceCode}/longName`;
-                    const command = new GetParameterCommand({ Name: longNamePath });
-                    const response = await this.ssmClient.send(command);
-
-                    return {
-                        code: serviceCode,
-                        name: response.Parameter?.Value || serviceCode,
-                        success: true
-                    };
-                } catch (error) {
-                    return {
-                        code: serviceCode,
-                        name: serviceCode,
-                        success: false
-                    };
-                }
-            });
+    /**
+     * Fetch parameter values by name with batched GetParameters calls (10 names per call)
+     *
+     * @param {string[]} names - Full parameter names
+     * @param {number} concurrency - Workers issuing GetParameters requests
+     * @returns {Promise<{values: Object<string, string>, invalid: string[], failed: string[]}>}
+     *   invalid: names SSM reported as nonexistent; failed: names whose request failed
+     */
+    async getParametersBatched(names, concurrency) {
+        const chunkSize = config.ssm.getParametersBatchSize;
+        const chunks = [];
+        for (let i = 0; i < names.length; i += chunkSize) {
+            chunks.push(names.slice(i, i + chunkSize));
+        }
 
-            const batchResults = await Promise.all(batchPromises);
+        const values = {};
+        const invalid = [];
+        const failed = [];
 
-            // Add results and track missing names
-            batchResults.forEach(result => {
-                servicesWithNames.push({
-                    code: result.code,
-                    name: result.name
+        await this.scheduler.map(chunks, async (chunk) => {
+            try {
+                const response = await this.scheduler.send(new GetParametersCommand({ Names: chunk }));
+                (response.Parameters || []).forEach(param => {
+                    values[param.Name] = param.Value;
                 });
+                invalid.push(...(response.InvalidParameters || []));
+            } catch (err) {
+                console.warn(chalk.yellow(`   ⚠️  GetParameters failed for ${chunk.length} names: ${err.message}`));
+                failed.push(...chunk);
+            }
+        }, concurrency);
+
+        return { values, invalid, failed };
+    }
+
+    /**
+     * Load the long-lived name cache (region attributes and service names)
+     * A broken cache is never fatal; names are fetched from SSM instead.
+     */
+    async loadNameCache() {
+        // Fixture runs make every request, so recordings are complete and replays don't depend on local state
+        if (this.fixtures) return null;
+
+        try {
+            return await this.storage.loadNameCache();
+        } catch (error) {
+            console.warn(chalk.yellow(`   ⚠️  Failed to load name cache: ${error.message}`));
+            return null;
+        }
+    }
+
+    /**
+     * Cached entries for every code, or null when the section expired or a code is new
+     */
+    getCachedNames(nameCache, section, codes) {
+        const cached = nameCache?.[section];
+        if (!cached?.entries || !cached.updatedAt) {
+            return null;
+        }
+
+        const age = Date.now() - new Date(cached.updatedAt).getTime();
+        if (age >= this.nameCacheTTL) {
+            return null;
+        }
+
+        const newCodes = codes.filter(code => !(code in cached.entries));
+        if (newCodes.length > 0) {
+            console.log(chalk.blue(`   🆕 ${newCodes.length} ${section} not in name cache, refreshing`));
+            return null;
+        }
+
+        return cached.entries;
+    }
+
+    /**
+     * Replace one section of the name cache (failures to save are not fatal)
+     */
+    async updateNameCache(nameCache, section, entries) {
+        const updated = { ...(nameCache || {}), [section]: { entries, updatedAt: new Date().toISOString() } };
+        try {
+            await this.storage.saveNameCache(updated);
+        } catch (error) {
+            console.warn(chalk.yellow(`   ⚠️  Failed to save name cache: ${error.message}`));
+        }
+    }
+
+    /**
+     * Region attributes (longName, partition, domain, geolocation) keyed by region code
+     * Uses the name cache while it is fresh and knows every code; otherwise fetches all
+     * attributes with batched GetParameters and falls back to stale cached values for
+     * regions whose lookup failed.
+     */
+    async fetchRegionAttributes(regionCodes, regionsPath) {
+        const nameCache = await this.loadNameCache();
+        const cached = this.getCachedNames(nameCache, 'regions', regionCodes);
+        if (cached) {
+            console.log(chalk.green(`   📦 Region names from cache (${regionCodes.length} regions, no API calls)`));
+            return cached;
+        }
 
-                if (!result.success) {
-                    missingNames.push(result.code);
+        console.log(chalk.yellow('   📋 Fetching region names in batches...'));
+        const names = regionCodes.flatMap(code => REGION_ATTRIBUTES.map(attribute => `${regionsPath}/${code}/${attribute}`));
+        const { values, failed } = await this.getParametersBatched(
+            names,
+            config.parallelProcessing.regionNameWorkers
+        );
+
+        const failedNames = new Set(failed);
+        const attributes = {};
+        const toCache = {};
+        regionCodes.forEach(code => {
+            const entry = {};
+            REGION_ATTRIBUTES.forEach(attribute => {
+                const value = values[`${regionsPath}/${code}/${attribute}`];
+                if (value !== undefined) {
+                    entry[attribute] = value;
                 }
             });
 
-            // Progress indicator every 100 services or at the end
-            if ((i + serviceNameBatchSize) % 100 === 0 || i + serviceNameBatchSize >= serviceCodesArray.length) {
-                console.log(chalk.gray(`   📋 Fetched ${Math.min(i + serviceNameBatchSize, serviceCodesArray.length)}/${serviceCodesArray.length} service names...`));
+            const lookupFailed = REGION_ATTRIBUTES.some(attribute => failedNames.has(`${regionsPath}/${code}/${attribute}`));
+            if (lookupFailed) {
+                // Don't cache a partial answer; keep whatever the stale cache knew
+                attributes[code] = { ...(nameCache?.regions?.entries?.[code] || {}), ...entry };
+            } else {
+                attributes[code] = entry;
+                toCache[code] = entry;
             }
+        });
 
-            // Small delay between batches
-            if (i + serviceNameBatchSize < serviceCodesArray.length) {
-                await new Promise(resolve => setTimeout(resolve, config.parallelProcessing.serviceNameBatchDelay));
-            }
+        await this.updateNameCache(nameCache, 'regions', toCache);
+        return attributes;
+    }
+
+    /**
+     * Service long names keyed by service code (null when SSM has no longName)
+     * Same caching and fallback rules as fetchRegionAttributes().
+     */
+    async fetchServiceNames(serviceCodes, servicesPath) {
+        const nameCache = await this.loadNameCache();
+        const cached = this.getCachedNames(nameCache, 'services', serviceCodes);
+        if (cached) {
+            console.log(chalk.green(`   📦 Service names from cache (${serviceCodes.length} services, no API calls)`));
+            return cached;
         }
 
-        console.log(chalk.green(`   ✅ Fetched ${serviceCodesArray.length} service names from SSM`));
+        console.log(chalk.yellow('   📋 Fetching service names in batches from SSM...'));
+        const { values, failed } = await this.getParametersBatched(
+            serviceCodes.map(code => `${servicesPath}/${code}/longName`),
+            config.parallelProcessing.serviceNameWorkers
+        );
+
+        const failedNames = new Set(failed);
+        const serviceNames = {};
+        const toCache = {};
+        serviceCodes.forEach(code => {
+            const name = `${servicesPath}/${code}/longName`;
+            if (failedNames.has(name)) {
+                serviceNames[code] = nameCache?.services?.entries?.[code] || null;
+            } else {
+                serviceNames[code] = values[name] || null;
+                toCache[code] = serviceNames[code];
+            }
+        });
 
-        // Report any services that couldn't be fetched from SSM
-        if (missingNames.length > 0) {
-            console.log(chalk.yellow(`\n   ℹ️  ${missingNames.length} services had no SSM longName (using code as name):`));
-            missingNames.forEach(code => {
-                console.log(chalk.gray(`      - ${code}`));
-            });
-        }
+        console.log(chalk.green(`   ✅ Fetched ${serviceCodes.length - failed.length}/${serviceCodes.length} service names from SSM`));
 
-        return {
-            count: servicesWithNames.length,
-            services: servicesWithNames,
-            source: 'ssm',
-            timestamp: new Date().toISOString()
-        };
+        await this.updateNameCache(nameCache, 'services', toCache);
+        return serviceNames;
     }
 
-
     /**
      * Load cached service-by-region data
      */
@@ -499,38 +625,190 @@ class AWSDataFetcher {
     }
 
     /**
-     * Check if cached region data is still valid (< 24 hours old)
+     * Check if cached region data is still valid (checked or fetched within cacheTTL)
+     * Failed (`error`) and carried-forward (`stale`) entries are never valid.
      */
     isCacheValid(regionData) {
-        if (!regionData || !regionData.lastFetched) {
+        const checkedAt = regionData && (regionData.lastChecked || regionData.lastFetched);
+        if (!checkedAt || regionData.error || regionData.stale) {
             return false;
         }
-        const age = Date.now() - new Date(regionData.lastFetched).getTime();
+        const age = Date.now() - new Date(checkedAt).getTime();
         return age < this.cacheTTL;
     }
 
     /**
-     * Fetch services available in each region (with parallel batch processing and caching)
+     * Region entries completed by an interrupted run, for --resume
+     * Checkpoints older than cacheTTL or from a run with other options are ignored.
      */
-    async fetchServicesByRegion(regions, services, forceRefresh = false) {
+    async loadResumeCheckpoint(includeEndpoints) {
+        let checkpoint;
+        try {
+            checkpoint = await this.storage.loadCheckpoint();
+        } catch (error) {
+            console.warn(chalk.yellow(`   ⚠️  Failed to load checkpoint, starting over: ${error.message}`));
+            return {};
+        }
+
+        if (!checkpoint || !checkpoint.byRegion) {
+            console.log(chalk.gray('   ⏯️  No checkpoint found, nothing to resume'));
+            return {};
+        }
+
+        const age = Date.now() - new Date(checkpoint.updatedAt).getTime();
+        if (!(age < this.cacheTTL)) {
+            console.log(chalk.yellow('   ⏯️  Checkpoint is older than the cache TTL, starting over'));
+            return {};
+        }
+        if (includeEndpoints && !checkpoint.includeEndpoints) {
+            console.log(chalk.yellow('   ⏯️  Checkpoint has no endpoint data, starting over'));
+            return {};
+        }
+
+        console.log(chalk.blue(`   ⏯️  Resuming run started ${checkpoint.startedAt} (${Object.keys(checkpoint.byRegion).length} regions done)`));
+        return checkpoint.byRegion;
+    }
+
+    /**
+     * Entry for a region whose fetch failed after all retries
+     * The last good cached entry is carried forward and marked `stale`; without
+     * one, an `error` entry with no services is recorded. Neither counts as a
+     * valid cache entry, so the region is fetched again on the next run.
+     * lastErrorAt keeps the first failure while the region stays stale, so a
+     * region that keeps failing doesn't change the data on every run.
+     */
+    recordFailedRegion(region, error, lastGood, servicesByRegion, includeEndpoints) {
+        if (lastGood && !lastGood.error) {
+            const { endpoints, ...withoutEndpoints } = lastGood;
+            servicesByRegion[region] = {
+                ...(includeEndpoints ? lastGood : withoutEndpoints),
+                partition: lastGood.partition || getPartitionForRegion(region),
+                stale: true,  // Last good data, not confirmed by this run
+                lastError: error.message,
+                lastErrorAt: (lastGood.stale && lastGood.lastErrorAt) || new Date().toISOString()
+            };
+            console.warn(chalk.yellow(`   ⚠️  Failed to fetch services for ${region}: ${error.message} (keeping data from ${lastGood.lastFetched}, marked stale)`));
+            return;
+        }
+
+        console.warn(chalk.yellow(`   ⚠️  Failed to fetch services for ${region}: ${error.message} (no earlier data to keep)`));
+        servicesByRegion[region] = {
+            regionCode: region,
+            partition: getPartitionForRegion(region),
+            serviceCount: 0,
+            services: [],
+            lastFetched: new Date().toISOString(),
+            error: error.message
+        };
+    }
+
+    /**
+     * Remove the checkpoint once a run has finished every region
+     */
+    async clearCheckpoint() {
+        try {
+            await this.storage.deleteCheckpoint();
+        } catch (error) {
+            console.warn(chalk.yellow(`   ⚠️  Failed to remove checkpoint: ${error.message}`));
+        }
+    }
+
+    /**
+     * Fingerprint of a region's service parameters (service code + parameter Version)
+     * Any service added, removed or updated in the region changes the fingerprint.
+     *
+     * @returns {{fingerprint: string, lastModified: string|null}}
+     */
+    static fingerprintServiceParameters(parameters) {
+        const entries = [];
+        let lastModified = null;
+        parameters.forEach(param => {
+            const match = param.Name.match(/\/services\/([a-z0-9-]+)$/);
+            if (!match) return;
+            entries.push(`${match[1]}@${param.Version ?? ''}`);
+            const modified = param.LastModifiedDate ? new Date(param.LastModifiedDate).toISOString() : null;
+            if (modified && (!lastModified || modified > lastModified)) {
+                lastModified = modified;
+            }
+        });
+
+        const fingerprint = crypto.createHash('sha256').update(entries.sort().join('\n')).digest('hex').slice(0, 16);
+        return { fingerprint, lastModified };
+    }
+
+    /**
+     * Fetch services available in each region (with parallel workers and caching)
+     * With includeEndpoints, each region also carries an `endpoints` map of
+     * service -> { endpoint, protocols } from the same SSM parameters.
+     *
+     * Incremental refresh: each cached region stores a fingerprint of its service
+     * parameter names and Versions. SSM offers no cheaper way to tell that a
+     * region's service list changed than listing it, so without endpoints an
+     * expired region costs the same shallow listing whether or not it changed; a
+     * matching fingerprint only keeps the cached entry (and its lastFetched).
+     * With includeEndpoints the check does save calls: a matching fingerprint
+     * skips the recursive listing (about three times the parameters), which is
+     * repeated at least every fullRefreshTTL.
+     *
+     * Checkpoints: every finished region is written to the storage checkpoint, so
+     * an interrupted run can continue with `resume`. With a `deadline` (epoch ms)
+     * no new region is started after it; the result is then marked incomplete,
+     * lists `pendingRegions` and the cache is left untouched.
+     *
+     * @param {Object} [runOptions]
+     * @param {boolean} [runOptions.resume] - Reuse regions finished by an interrupted run
+     * @param {number} [runOptions.deadline] - Stop starting regions after this time
+     * @param {boolean} [runOptions.deferCacheSave] - Leave saving the cache to the caller (run() saves it after the quality checks)
+     */
+    async fetchServicesByRegion(regions, services, forceRefresh = false, includeEndpoints = false, runOptions = {}) {
         console.log(chalk.yellow('🗺️  Fetching services by region...'));
         console.log(chalk.gray(`   This will query ${regions.length} regions for service availability`));
 
-        // Load cache
-        const cache = forceRefresh ? null : await this.loadCache();
+        const { deadline = null, deferCacheSave = false } = runOptions;
+        // Fixture runs start cold (see loadNameCache)
+        const resume = runOptions.resume && !this.fixtures;
+        if (this.fixtures) forceRefresh = true;
         const servicesByRegion = {};
+        let resumedRegions = 0;
+
+        // Regions finished by the interrupted run are taken as-is
+        const resumed = resume ? await this.loadResumeCheckpoint(includeEndpoints) : {};
+        regions.forEach(region => {
+            const entry = resumed[region];
+            if (!entry) return;
+            const { endpoints, ...withoutEndpoints } = entry;
+            servicesByRegion[region] = includeEndpoints ? entry : withoutEndpoints;
+            resumedRegions++;
+        });
+        const pendingCandidates = regions.filter(region => !servicesByRegion[region]);
+
+        // Load cache; a forced refresh still keeps it as the fallback for regions that fail
+        const previousCache = this.fixtures ? null : await this.loadCache().catch(error => {
+            if (!forceRefresh) throw error;
+            console.warn(chalk.yellow(`   ⚠️  Failed to load cache, no fallback for failed regions: ${error.message}`));
+            return null;
+        });
+        const cache = forceRefresh ? null : previousCache;
         let cachedRegions = 0;
         let staleRegions = [];
 
         // Check cache and identify regions that need fetching
         if (cache && cache.byRegion) {
-            console.log(chalk.blue(`   📦 Checking cache (TTL: 24 hours)...`));
+            console.log(chalk.blue(`   📦 Checking cache (TTL: ${+(this.cacheTTL / 3600000).toFixed(2)} hours)...`));
 
-            for (const region of regions) {
+            for (const region of pendingCandidates) {
                 const cachedData = cache.byRegion[region];
-                if (this.isCacheValid(cachedData)) {
+                // Entries cached without endpoints can't serve an endpoints run
+                if (this.isCacheValid(cachedData) && (!includeEndpoints || cachedData.endpoints)) {
                     // IMPORTANT: Preserve the original cached data with its original lastFetched timestamp
-                    servicesByRegion[region] = cachedData;
+                    if (includeEndpoints) {
+                        servicesByRegion[region] = cachedData;
+                    } else {
+                        const { endpoints, ...withoutEndpoints } = cachedData;
+                        servicesByRegion[region] = withoutEndpoints;
+                    }
+                    // Entries cached before partition tagging
+                    servicesByRegion[region].partition = cachedData.partition || getPartitionForRegion(region);
                     cachedRegions++;
                 } else {
                     staleRegions.push(region);
@@ -549,12 +827,12 @@ class AWSDataFetcher {
             } else {
                 console.log(chalk.blue(`   📭 No cache found, fetching all regions`));
             }
-            staleRegions = [...regions];
+            staleRegions = [...pendingCandidates];
         }
 
         // If all regions are cached, return early
         if (staleRegions.length === 0) {
-            console.log(chalk.green(`   ✅ All ${cachedRegions} regions loaded from cache, no API calls needed!`));
+            console.log(chalk.green(`   ✅ All ${cachedRegions + resumedRegions} regions loaded from cache${resumedRegions > 0 ? ' and checkpoint' : ''}, no API calls needed!`));
 
             // Still need to generate summary with updated stats
             const totalServices = services ? services.length : 0;
@@ -572,84 +850,198 @@ class AWSDataFetcher {
                     averageServicesPerRegion: avgServicesPerRegion,
                     cachedRegions: cachedRegions,  // All regions were cached
                     fetchedRegions: 0,  // No regions were fetched
+                    unchangedRegions: 0,  // No regions were checked
+                    resumedRegions: resumedRegions,
+                    failedRegions: [],
                     lastUpdated: new Date().toISOString()  // Update when cache was last accessed
                 }
             };
 
-            await this.saveCache(cacheData);
+            if (!deferCacheSave) {
+                await this.saveCache(cacheData);
+            }
+            if (resumedRegions > 0) {
+                await this.clearCheckpoint();
+            }
 
             return cacheData;
         }
 
-        const batchSize = config.parallelProcessing.serviceByRegionBatchSize;
-        console.log(chalk.blue(`   ⚡ Using parallel processing with batch size of ${batchSize} (optimized for performance)`));
+        console.log(chalk.blue(`   ⚡ Using ${this.batchSize} parallel region workers (shared ${this.scheduler.rate.toFixed(0)} TPS budget)`));
         console.log(chalk.white(`   📊 Fetching ${staleRegions.length} regions (${cachedRegions} from cache)...`));
 
         let processedRegions = 0;
+        let unchangedRegions = 0;
+        const pendingRegions = [];
+        const failedRegions = [];
         const startTime = Date.now();
 
+        // Checkpoint writes are chained so concurrent workers never interleave them
+        const checkpoint = {
+            startedAt: new Date().toISOString(),
+            includeEndpoints,
+            byRegion: { ...resumed }
+        };
+        let checkpointWrite = Promise.resolve();
+        const saveCheckpoint = (region) => {
+            checkpoint.byRegion[region] = servicesByRegion[region];
+            checkpoint.updatedAt = new Date().toISOString();
+            checkpointWrite = checkpointWrite
+                .then(() => this.storage.saveCheckpoint(checkpoint))
+                .catch(error => console.warn(chalk.yellow(`   ⚠️  Failed to write checkpoint: ${error.message}`)));
+            return checkpointWrite;
+        };
+
         // Process a single region
         const processRegion = async (region) => {
-            try {
-                // Fetch all services for this region
-                const regionServicesPath = `/aws/service/global-infrastructure/regions/${region}/services`;
-                const parameters = await this.fetchAllSSMParameters(regionServicesPath, true);
-
-                // Extract service codes from the parameters
-                const regionServices = new Set();
-                parameters.forEach(param => {
-                    // Path format: /aws/service/global-infrastructure/regions/{region}/services/{service}
-                    const match = param.Name.match(/\/services\/([a-z0-9-]+)$/);
-                    if (match) {
-                        regionServices.add(match[1]);
+            if (deadline && Date.now() >= deadline) {
+                pendingRegions.push(region);
+                return;
+            }
+
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    const regionServicesPath = `/aws/service/global-infrastructure/regions/${region}/services`;
+                    const cachedData = cache?.byRegion?.[region];
+                    let parameters = null;
+
+                    // Endpoint values can change without the service list changing, so re-read them periodically
+                    const fullRefreshDue = includeEndpoints && (!cachedData?.endpoints ||
+                        Date.now() - new Date(cachedData.lastFetched).getTime() >= this.fullRefreshTTL);
+
+                    // Shallow listing of the service parameters, compared by fingerprint
+                    // (only endpoint runs save calls here: an unchanged region skips the deep listing)
+                    if (cachedData?.fingerprint && !cachedData.error && !cachedData.stale && !fullRefreshDue) {
+                        const shallow = await this.fetchAllSSMParameters(regionServicesPath, false);
+                        const { fingerprint } = AWSDataFetcher.fingerprintServiceParameters(shallow);
+
+                        if (fingerprint === cachedData.fingerprint) {
+                            const { endpoints, ...withoutEndpoints } = cachedData;
+                            servicesByRegion[region] = {
+                                ...(includeEndpoints ? cachedData : withoutEndpoints),
+                                partition: cachedData.partition || getPartitionForRegion(region),
+                                lastChecked: new Date().toISOString()
+                            };
+                            unchangedRegions++;
+                            processedRegions++;
+                            console.log(chalk.gray(`   💤 ${region}: unchanged (${cachedData.serviceCount} services) (${processedRegions}/${staleRegions.length})`));
+                            await saveCheckpoint(region);
+                            return;
+                        }
+
+                        // Without endpoints the shallow listing is the full fetch
+                        if (!includeEndpoints) {
+                            parameters = shallow;
+                        }
                     }
-                });
 
-                // ONLY update the region if it's in staleRegions (needs refresh)
-                // This preserves cached regions with their original timestamps
-                servicesByRegion[region] = {
-                    regionCode: region,
-                    serviceCount: regionServices.size,
-                    services: Array.from(regionServices).sort(),
-                    lastFetched: new Date().toISOString()  // Fresh timestamp for newly fetched data
-                };
+                    // Full fetch; endpoint/protocol attributes live one level deeper
+                    if (!parameters) {
+                        parameters = await this.fetchAllSSMParameters(regionServicesPath, includeEndpoints);
+                    }
+                    const { fingerprint, lastModified } = AWSDataFetcher.fingerprintServiceParameters(parameters);
+
+                    // Extract service codes (and optionally endpoints) from the parameters
+                    const regionServices = new Set();
+                    const endpoints = {};
+                    parameters.forEach(param => {
+                        // Path format: /aws/service/global-infrastructure/regions/{region}/services/{service}
+                        const match = param.Name.match(/\/services\/([a-z0-9-]+)$/);
+                        if (match) {
+                            regionServices.add(match[1]);
+                            return;
+                        }
 
-                processedRegions++;
+                        // Path format: .../services/{service}/endpoint and .../services/{service}/protocols
+                        const attribute = includeEndpoints && param.Name.match(/\/services\/([a-z0-9-]+)\/(endpoint|protocols)$/);
+                        if (attribute) {
+                            const entry = endpoints[attribute[1]] || (endpoints[attribute[1]] = { endpoint: null, protocols: [] });
+                            if (attribute[2] === 'endpoint') {
+                                entry.endpoint = param.Value;
+                            } else {
+                                entry.protocols = param.Value.split(',').map(p => p.trim()).filter(Boolean);
+                            }
+                        }
+                    });
 
-                // Calculate ETA based on staleRegions, not all regions
-                const elapsed = Date.now() - startTime;
-                const avgTimePerRegion = elapsed / processedRegions;
-                const remainingRegions = staleRegions.length - processedRegions;
-                const etaMs = avgTimePerRegion * remainingRegions;
-                const etaMin = Math.round(etaMs / 1000 / 60);
-                const etaSec = Math.round((etaMs / 1000) % 60);
-                const etaDisplay = etaMin > 0 ? `${etaMin}m ${etaSec}s` : `${etaSec}s`;
+                    // ONLY update the region if it's in staleRegions (needs refresh)
+                    // This preserves cached regions with their original timestamps
+                    servicesByRegion[region] = {
+                        regionCode: region,
+                        partition: getPartitionForRegion(region),
+                        serviceCount: regionServices.size,
+                        services: Array.from(regionServices).sort(),
+                        lastFetched: new Date().toISOString(),  // Fresh timestamp for newly fetched data
+                        lastChecked: new Date().toISOString(),
+                        fingerprint,
+                        lastModified  // Newest LastModifiedDate among the region's service parameters
+                    };
 
-                console.log(chalk.gray(`   ✅ ${region}: ${regionServices.size} services (${processedRegions}/${staleRegions.length}) | ETA: ${etaDisplay}`));
+                    if (includeEndpoints) {
+                        servicesByRegion[region].endpoints = Object.fromEntries(
+                            Object.keys(endpoints).sort()
+                                .filter(service => regionServices.has(service))
+                                .map(service => [service, endpoints[service]])
+                        );
+                    }
 
-            } catch (error) {
-                console.warn(chalk.yellow(`   ⚠️  Failed to fetch services for ${region}:`, error.message));
-                servicesByRegion[region] = {
-                    regionCode: region,
-                    serviceCount: 0,
-                    services: [],
-                    lastFetched: new Date().toISOString(),  // Still set timestamp even on error
-                    error: error.message
-                };
-                processedRegions++;
+                    processedRegions++;
+
+                    // Calculate ETA based on staleRegions, not all regions
+                    const elapsed = Date.now() - startTime;
+                    const avgTimePerRegion = elapsed / processedRegions;
+                    const remainingRegions = staleRegions.length - processedRegions;
+                    const etaMs = avgTimePerRegion * remainingRegions;
+                    const etaMin = Math.round(etaMs / 1000 / 60);
+                    const etaSec = Math.round((etaMs / 1000) % 60);
+                    const etaDisplay = etaMin > 0 ? `${etaMin}m ${etaSec}s` : `${etaSec}s`;
+
+                    const endpointInfo = includeEndpoints ? `, ${Object.keys(servicesByRegion[region].endpoints).length} endpoints` : '';
+                    console.log(chalk.gray(`   ✅ ${region}: ${regionServices.size} services${endpointInfo} (${processedRegions}/${staleRegions.length}) | ETA: ${etaDisplay}`));
+                    await saveCheckpoint(region);
+                    return;
+                } catch (error) {
+                    if (attempt < this.regionRetries) {
+                        const retryDelay = config.ssm.regionRetryDelay * Math.pow(2, attempt);
+                        console.warn(chalk.yellow(`   ⚠️  ${region} failed (${error.message}), retry ${attempt + 1}/${this.regionRetries} in ${retryDelay}ms`));
+                        await new Promise(resolve => setTimeout(resolve, retryDelay));
+                        continue;
+                    }
+
+                    this.recordFailedRegion(region, error, previousCache?.byRegion?.[region], servicesByRegion, includeEndpoints);
+                    failedRegions.push({
+                        region,
+                        error: error.message,
+                        carriedForward: servicesByRegion[region].stale === true
+                    });
+                    processedRegions++;
+                    return;
+                }
             }
         };
 
-        // Process stale regions in parallel batches
-        for (let i = 0; i < staleRegions.length; i += batchSize) {
-            const batch = staleRegions.slice(i, i + batchSize);
-            const batchNum = Math.floor(i / batchSize) + 1;
-            const totalBatches = Math.ceil(staleRegions.length / batchSize);
+        // Each worker picks up the next stale region as soon as it finishes one
+        await this.scheduler.map(staleRegions, processRegion, this.batchSize);
+        await checkpointWrite;
 
-            console.log(chalk.cyan(`\n   📦 Processing batch ${batchNum}/${totalBatches} (${batch.length} regions in parallel)...`));
-
-            // Process all regions in this batch in parallel
-            await Promise.all(batch.map(region => processRegion(region)));
+        // Out of time: hand back what is done; the checkpoint holds it for --resume
+        if (pendingRegions.length > 0) {
+            pendingRegions.sort();
+            console.log(chalk.yellow(`\n⏸️  Stopped before the deadline: ${regions.length - pendingRegions.length}/${regions.length} regions done, ${pendingRegions.length} pending`));
+            return {
+                byRegion: servicesByRegion,
+                summary: {
+                    totalRegions: regions.length,
+                    cachedRegions: cachedRegions,
+                    fetchedRegions: staleRegions.length - unchangedRegions - failedRegions.length - pendingRegions.length,
+                    unchangedRegions: unchangedRegions,
+                    resumedRegions: resumedRegions,
+                    failedRegions: failedRegions,
+                    incomplete: true,
+                    pendingRegions: pendingRegions,
+                    lastUpdated: new Date().toISOString()
+                }
+            };
         }
 
         // Generate summary statistics
@@ -660,7 +1052,15 @@ class AWSDataFetcher {
             : 0;
 
         console.log(chalk.green(`\n✅ Completed service mapping for ${regions.length} regions`));
-        console.log(chalk.white(`   📍 Newly fetched: ${staleRegions.length} regions`));
+        console.log(chalk.white(`   📍 Newly fetched: ${staleRegions.length - unchangedRegions - failedRegions.length} regions`));
+        console.log(chalk.white(`   💤 Checked, unchanged: ${unchangedRegions} regions`));
+        if (resumedRegions > 0) {
+            console.log(chalk.white(`   ⏯️  From checkpoint: ${resumedRegions} regions`));
+        }
+        if (failedRegions.length > 0) {
+            failedRegions.sort((a, b) => a.region.localeCompare(b.region));
+            console.log(chalk.yellow(`   ⚠️  Failed after retries: ${failedRegions.map(f => `${f.region}${f.carriedForward ? ' (stale data kept)' : ''}`).join(', ')}`));
+        }
         console.log(chalk.white(`   💾 From cache: ${cachedRegions} regions`));
         console.log(chalk.white(`   📊 Average services per region: ${avgServicesPerRegion}`));
 
@@ -674,44 +1074,148 @@ class AWSDataFetcher {
                 totalServices: totalServices,
                 averageServicesPerRegion: avgServicesPerRegion,
                 cachedRegions: cachedRegions,  // Reflects current run stats
-                fetchedRegions: staleRegions.length,  // Reflects current run stats
+                fetchedRegions: staleRegions.length - unchangedRegions - failedRegions.length,  // Reflects current run stats
+                unchangedRegions: unchangedRegions,  // Checked via fingerprint, cached data kept
+                resumedRegions: resumedRegions,  // Finished by an interrupted run (--resume)
+                failedRegions: failedRegions,  // Failed after retries: [{ region, error, carriedForward }]
                 lastUpdated: new Date().toISOString()  // Track when cache was last saved (always updated)
             }
         };
 
-        await this.saveCache(cacheData);
+        if (!deferCacheSave) {
+            await this.saveCache(cacheData);
+        }
+        await this.clearCheckpoint();
 
         return cacheData;
     }
 
+    /**
+     * Build endpoints.json from a service-by-region mapping fetched with endpoints
+     * Regions without endpoint data (failed fetches) are listed under `missingRegions`.
+     */
+    buildEndpointsData(servicesByRegion) {
+        const byRegion = {};
+        const missingRegions = [];
+        let totalEndpoints = 0;
+
+        Object.keys(servicesByRegion.byRegion).sort().forEach(region => {
+            const regionData = servicesByRegion.byRegion[region];
+            if (regionData.error || !regionData.endpoints) {
+                missingRegions.push(region);
+                return;
+            }
+            byRegion[region] = regionData.endpoints;
+            totalEndpoints += Object.keys(regionData.endpoints).length;
+        });
+
+        return {
+            byRegion,
+            summary: {
+                totalRegions: Object.keys(byRegion).length,
+                totalEndpoints,
+                missingRegions
+            },
+            source: 'ssm',
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Build complete-data.json from run results (service objects reduced to codes)
+     */
+    static buildCompleteData(results) {
+        const completeData = {
+            metadata: results.metadata,
+            regions: results.regions ? {
+                count: results.regions.count,
+                regions: results.regions.regions, // Full region objects with all metadata
+                source: results.regions.source,
+                timestamp: results.regions.timestamp
+            } : undefined,
+            services: results.services ? {
+                count: results.services.count,
+                services: results.services.services.map(s => s.code), // Just codes for compactness
+                source: results.services.source,
+                timestamp: results.services.timestamp
+            } : undefined,
+            servicesByRegion: results.servicesByRegion
+        };
+
+        // Remove undefined properties
+        Object.keys(completeData).forEach(key => {
+            if (completeData[key] === undefined) {
+                delete completeData[key];
+            }
+        });
+
+        return completeData;
+    }
+
     /**
      * Save data to JSON file (uses storage abstraction)
+     * Published files are skipped when their content is unchanged
+     *
+     * @returns {Promise<{path: string, updated: boolean}>}
      */
     async saveToFile(filename, data) {
         try {
-            let filepath;
-
             // Route to appropriate storage method based on filename
             if (filename === 'regions.json') {
-                filepath = await this.storage.saveRegions(data);
+                return await this.storage.saveRegions(data);
             } else if (filename === 'services.json') {
-                filepath = await this.storage.saveServices(data);
+                return await this.storage.saveServices(data);
             } else if (filename === 'complete-data.json') {
-                filepath = await this.storage.saveComplete(data);
-            } else {
-                // Fallback for local storage
-                filepath = path.join(this.outputDir, filename);
-                await fs.writeFile(filepath, JSON.stringify(data, null, 2));
-                console.log(chalk.green(`💾 Saved data to: ${filepath}`));
+                return await this.storage.saveComplete(data);
+            } else if (filename === 'endpoints.json') {
+                return await this.storage.saveEndpoints(data);
             }
 
-            return filepath;
+            // Fallback for local storage
+            const filepath = path.join(this.outputDir, filename);
+            await fs.writeFile(filepath, JSON.stringify(data, null, 2));
+            console.log(chalk.green(`💾 Saved data to: ${filepath}`));
+            return { path: filepath, updated: true };
         } catch (error) {
             console.error(chalk.red(`❌ Failed to save ${filename}:`, error.message));
             throw error;
         }
     }
 
+    /**
+     * Split save results into updated and unchanged file names
+     * @param {Object<string, {updated: boolean}>} saved - File name -> storage save result
+     */
+    static summarizeArtifacts(saved) {
+        const names = Object.keys(saved);
+        const artifacts = {
+            updated: names.filter(name => saved[name].updated),
+            unchanged: names.filter(name => !saved[name].updated)
+        };
+
+        if (artifacts.unchanged.length > 0) {
+            console.log(chalk.gray(`⏭️  Unchanged, not rewritten: ${artifacts.unchanged.join(', ')}`));
+        }
+        return artifacts;
+    }
+
+    /**
+     * Timestamp for this run's metadata
+     * A recording stores it with the fixture and a replay reuses it, so replaying
+     * the same fixture always produces the same dataset and change dates.
+     */
+    async getRunTimestamp() {
+        const now = new Date().toISOString();
+        if (this.fixtures?.mode === 'record') {
+            await this.fixtures.saveRecordedAt(now);
+        } else if (this.fixtures?.mode === 'replay') {
+            const recordedAt = await this.fixtures.loadRecordedAt();
+            if (recordedAt) return recordedAt;
+            console.log(chalk.yellow(`⚠️  ${this.fixtures.dir} has no recording time (fixture.json); using the current time`));
+        }
+        return now;
+    }
+
     /**
      * Main execution method
      */
@@ -725,12 +1229,16 @@ class AWSDataFetcher {
 
         const results = {
             metadata: {
-                timestamp: new Date().toISOString(),
+                timestamp: await this.getRunTimestamp(),
                 tool: 'nodejs-aws-fetcher',
                 version: '1.5.1'
             }
         };
 
+        if (this.partition) {
+            results.metadata.partition = this.partition;
+        }
+
         try {
             // Fetch regions data
             if (!options.servicesOnly) {
@@ -739,8 +1247,6 @@ class AWSDataFetcher {
                 // Get regions from SSM Parameter Store
                 const regions = await this.discoverRegions();
                 results.regions = regions;
-
-                results.regionPath = await this.saveToFile('regions.json', results.regions);
             }
 
             // Fetch services data
@@ -749,8 +1255,6 @@ class AWSDataFetcher {
 
                 const services = await this.discoverServices();
                 results.services = services;
-
-                results.servicePath = await this.saveToFile('services.json', results.services);
             }
 
             // Fetch services by region (comprehensive mapping)
@@ -764,50 +1268,111 @@ class AWSDataFetcher {
                 const servicesByRegion = await this.fetchServicesByRegion(
                     regionCodes,
                     serviceCodes,
-                    options.forceRefresh
+                    options.forceRefresh,
+                    options.includeEndpoints,
+                    { resume: options.resume, deadline: options.deadline, deferCacheSave: true }
                 );
                 results.servicesByRegion = servicesByRegion;
+                results.failedRegions = servicesByRegion.summary.failedRegions;
+
+                // Partial mapping: writing it would look like services vanished from the pending regions
+                if (servicesByRegion.summary.incomplete) {
+                    results.partial = true;
+                    results.pendingRegions = servicesByRegion.summary.pendingRegions;
+                    console.log(chalk.yellow('⏸️  Nothing saved and change tracking skipped for this partial run'));
+                    console.log(chalk.yellow('   Run again with --resume (Lambda: {"resume": true}) to finish the pending regions'));
+                    return results;
+                }
+
+                if (options.includeEndpoints) {
+                    results.endpoints = this.buildEndpointsData(servicesByRegion);
+                }
             }
 
             // Prepare complete data with full region objects (includes launch dates and blog URLs)
-            const completeData = {
-                metadata: results.metadata,
-                regions: results.regions ? {
-                    count: results.regions.count,
-                    regions: results.regions.regions, // Full region objects with all metadata
-                    source: results.regions.source,
-                    timestamp: results.regions.timestamp
-                } : undefined,
-                services: results.services ? {
-                    count: results.services.count,
-                    services: results.services.services.map(s => s.code), // Just codes for compactness
-                    source: results.services.source,
-                    timestamp: results.services.timestamp
-                } : undefined,
-                servicesByRegion: results.servicesByRegion
-            };
-
-            // Remove undefined properties
-            Object.keys(completeData).forEach(key => {
-                if (completeData[key] === undefined) {
-                    delete completeData[key];
+            const completeData = AWSDataFetcher.buildCompleteData(results);
+
+            // Nothing is overwritten until the new dataset passes the data quality checks
+            const files = {};
+            if (results.regions) files['regions.json'] = results.regions;
+            if (results.services) files['services.json'] = results.services;
+            if (results.endpoints) files['endpoints.json'] = results.endpoints;
+            files['complete-data.json'] = completeData;
+
+            if (config.dataQuality.enabled && !options.skipQualityChecks) {
+                console.log(chalk.bold('\n=== DATA QUALITY CHECKS ==='));
+                const quality = await enforceDataQuality(this.storage, completeData, files, { partition: this.partition });
+                if (!quality.passed) {
+                    results.quarantined = { path: quality.quarantinePath, violations: quality.violations };
+                    return results;
                 }
-            });
+            }
+
+            // A run whose lease was taken over (it stalled past the expiry) must not
+            // overwrite what the run now holding the lease publishes
+            if (options.lease?.lost) {
+                results.leaseLost = true;
+                console.error(chalk.yellow('⏹️  Run lease was taken over by another run; nothing saved'));
+                return results;
+            }
+
+            // A quarantined mapping must not become the next run's cache either
+            if (results.servicesByRegion) {
+                await this.saveCache(results.servicesByRegion);
+            }
+
+            // Unchanged files are not rewritten; the result lists which ones were
+            const saved = {};
+            if (results.regions) {
+                saved['regions.json'] = await this.saveToFile('regions.json', results.regions);
+                results.regionPath = saved['regions.json'].path;
+            }
+            if (results.services) {
+                saved['services.json'] = await this.saveToFile('services.json', results.services);
+                results.servicePath = saved['services.json'].path;
+            }
+            if (results.endpoints) {
+                saved['endpoints.json'] = await this.saveToFile('endpoints.json', results.endpoints);
+                results.endpointsPath = saved['endpoints.json'].path;
+            }
 
             // Save complete results (single source of truth with codes only)
-            results.completePath = await this.saveToFile('complete-data.json', completeData);
+            saved['complete-data.json'] = await this.saveToFile('complete-data.json', completeData);
+            results.completePath = saved['complete-data.json'].path;
+            results.artifacts = AWSDataFetcher.summarizeArtifacts(saved);
+
+            // Keep history snapshots within the retention policy (non-critical)
+            if (config.history.pruneAfterRun) {
+                try {
+                    await new HistoryManager(this.storage).prune();
+                } catch (error) {
+                    console.warn(chalk.yellow(`⚠️  History pruning failed: ${error.message}`));
+                }
+            }
 
             // Track changes (only if we have both regions and services)
-            if (!options.regionsOnly && !options.servicesOnly) {
+            // A merged partition run tracks changes once on the merged dataset instead
+            if (!options.regionsOnly && !options.servicesOnly && !options.skipChangeTracking) {
                 const ChangeTracker = require('./change-tracker');
-                const changeTracker = new ChangeTracker(this.storage);
+                // A replay dates its changes by the recording, not by today
+                const changeTracker = new ChangeTracker(this.storage, this.fixtures?.mode === 'replay'
+                    ? { asOfDate: results.metadata.timestamp.split('T')[0] }
+                    : {});
 
                 try {
                     const changeResults = await changeTracker.detectAndTrackChanges(completeData);
                     results.changes = changeResults;
                 } catch (error) {
-                    console.error(chalk.yellow('\n⚠️  Change tracking failed:', error.message));
-                    console.error(chalk.gray('   Continuing without change tracking...'));
+                    if (error instanceof StorageConflictError) {
+                        // Another run saved its baseline first (nothing of this run's was saved), or
+                        // the history kept changing while this run merged its changes into it
+                        results.changeTrackingConflict = error.message;
+                        console.error(chalk.yellow('\n⚠️  Change tracking skipped:', error.message));
+                        console.error(chalk.gray('   The next run compares against the latest baseline and records any remaining changes'));
+                    } else {
+                        console.error(chalk.yellow('\n⚠️  Change tracking failed:', error.message));
+                        console.error(chalk.gray('   Continuing without change tracking...'));
+                    }
                 }
             }
 
@@ -816,6 +1381,9 @@ class AWSDataFetcher {
             console.log(chalk.bold.green('✅ DATA FETCH COMPLETE!'));
             console.log(chalk.bold.green('='.repeat(60)));
             console.log(chalk.white('\n📁 Output directory:', this.outputDir));
+            if (results.artifacts) {
+                console.log(chalk.white(`📝 Files updated: ${results.artifacts.updated.join(', ') || 'none (data unchanged)'}`));
+            }
 
             if (results.regions) {
                 console.log(chalk.white(`🌍 Regions discovered: ${results.regions.count}`));
@@ -835,6 +1403,15 @@ class AWSDataFetcher {
                 console.log(chalk.white(`🗺️  Service-by-region mappings: ${results.servicesByRegion.summary.totalRegions} regions`));
                 console.log(chalk.white(`   📊 Total service instances: ${cumulativeServiceCount.toLocaleString()}`));
                 console.log(chalk.white(`   📈 Average per region: ${results.servicesByRegion.summary.averageServicesPerRegion} services`));
+
+                const failed = results.failedRegions || [];
+                if (failed.length > 0) {
+                    console.log(chalk.yellow(`   ⚠️  Failed regions: ${failed.length} (${failed.filter(f => f.carriedForward).length} kept last good data, marked stale)`));
+                }
+            }
+
+            if (results.endpoints) {
+                console.log(chalk.white(`🔌 Service endpoints: ${results.endpoints.summary.totalEndpoints.toLocaleString()} across ${results.endpoints.summary.totalRegions} regions`));
             }
 
             // Display runtime
@@ -860,6 +1437,10 @@ class AWSDataFetcher {
             } else {
                 console.log(chalk.gray(`\n⏱️  Total runtime: ${runtimeSec}s ${performanceIcon} (${performanceText})`));
             }
+            console.log(chalk.gray(`📶 ${this.scheduler.describe()}`));
+            if (this.fixtures) {
+                console.log(chalk.gray(`📼 Fixtures: ${this.fixtures.describe()}`));
+            }
 
             console.log(chalk.bold.green('='.repeat(60) + '\n'));
 
@@ -869,9 +1450,14 @@ class AWSDataFetcher {
                 regions: results.regions,
                 services: results.services,
                 servicesByRegion: results.servicesByRegion,
+                failedRegions: results.failedRegions,
+                changeTrackingConflict: results.changeTrackingConflict,
+                artifacts: results.artifacts,
                 regionPath: results.regionPath,
                 servicePath: results.servicePath,
-                completePath: results.completePath
+                endpoints: results.endpoints,
+                completePath: results.completePath,
+                endpointsPath: results.endpointsPath
             };
 
         } catch (error) {
@@ -0,0 +1,137 @@
+/**
+ * Change History Backfill - Rebuild change-history.json from history snapshots
+ *
+ * Replays the stored complete-data history snapshots (oldest first) through
+ * ChangeTracker so a lost or outdated change history can be regenerated with
+ * the current detection logic and correct firstSeen dates.
+ */
+
+const chalk = require('chalk');
+const ChangeTracker = require('./change-tracker');
+
+class ChangeHistoryBackfill {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+
+        // Unchanged runs add no history snapshot, so a snapshot already stands for a state that
+        // lasted until the next one; requiring more would drop changes only the newest one shows
+        this.confirmationRuns = options.confirmationRuns || 1;
+    }
+
+    /**
+     * Build an in-memory storage for the replay
+     * Change history and snapshot stay in memory until the replay finishes;
+     * service names are read from the real storage.
+     */
+    createReplayStorage() {
+        const state = {
+            changeHistory: null,
+            previousSnapshot: null
+        };
+
+        return {
+            state,
+            loadChangeHistory: async () => state.changeHistory,
+            saveChangeHistory: async (data) => {
+                state.changeHistory = data;
+            },
+            loadPreviousSnapshot: async () => state.previousSnapshot,
+            savePreviousSnapshot: async (data) => {
+                state.previousSnapshot = data;
+            },
+            loadServicesForChangeTracking: () => this.storage.loadServicesForChangeTracking()
+        };
+    }
+
+    /**
+     * Get the YYYY-MM-DD date a snapshot represents
+     * Prefers the snapshot's own metadata timestamp over the storage key timestamp
+     */
+    getSnapshotDate(snapshot, listing) {
+        const timestamp = snapshot?.metadata?.timestamp || listing.timestamp;
+        return new Date(timestamp).toISOString().split('T')[0];
+    }
+
+    /**
+     * Replay history snapshots and (unless dryRun) save the rebuilt change history
+     *
+     * @param {Object} options
+     * @param {string} [options.from] - Only replay snapshots on/after this date (YYYY-MM-DD)
+     * @param {string} [options.to] - Only replay snapshots on/before this date (YYYY-MM-DD)
+     * @param {boolean} [options.dryRun] - Rebuild without saving
+     * @param {RunLease} [options.lease] - Run lease held for the backfill; nothing is saved once it is lost
+     * @returns {Promise<Object>} Rebuilt change history plus replay statistics
+     */
+    async run(options = {}) {
+        console.log(chalk.bold.blue('\n=== CHANGE HISTORY BACKFILL ==='));
+
+        const listings = await this.storage.listHistorySnapshots();
+        const selected = listings.filter(listing => {
+            const date = new Date(listing.timestamp).toISOString().split('T')[0];
+            if (options.from && date < options.from) return false;
+            if (options.to && date > options.to) return false;
+            return true;
+        });
+
+        if (selected.length === 0) {
+            throw new Error('No history snapshots found to replay');
+        }
+
+        console.log(chalk.blue(`📚 Replaying ${selected.length} of ${listings.length} history snapshots`));
+
+        const replayStorage = this.createReplayStorage();
+        const tracker = new ChangeTracker(replayStorage, { confirmationRuns: this.confirmationRuns });
+        let replayed = 0;
+        let skipped = 0;
+
+        for (const listing of selected) {
+            const snapshot = await this.storage.loadHistorySnapshot(listing.id);
+
+            // Change tracking needs both regions and services (same rule as run())
+            if (!snapshot?.regions || !snapshot?.services) {
+                console.log(chalk.gray(`   ⏭️  ${listing.id}: partial snapshot, skipped`));
+                skipped++;
+                continue;
+            }
+
+            tracker.asOfDate = this.getSnapshotDate(snapshot, listing);
+            console.log(chalk.cyan(`\n   📅 ${tracker.asOfDate} (${listing.id})`));
+            await tracker.detectAndTrackChanges(snapshot);
+            replayed++;
+        }
+
+        if (replayed === 0) {
+            throw new Error('No complete history snapshots found to replay');
+        }
+
+        // Refresh isNew flags relative to the real current date
+        const changeHistory = replayStorage.state.changeHistory;
+        tracker.asOfDate = null;
+        tracker.updateIsNewFlags(changeHistory);
+
+        console.log(chalk.green(`\n✅ Replayed ${replayed} snapshots (${skipped} skipped), ${changeHistory.changeLog.length} changelog entries`));
+
+        if (options.dryRun) {
+            console.log(chalk.yellow('   Dry run - change history not saved'));
+        } else if (options.lease?.lost) {
+            throw new Error('Run lease was taken over by another run; change history not saved');
+        } else {
+            // Only replace the comparison snapshot when the replay ended at the newest snapshot,
+            // otherwise the next run would re-detect everything after the cut-off.
+            // Snapshot first, as in ChangeTracker.detectAndTrackChanges
+            if (selected[selected.length - 1] === listings[listings.length - 1]) {
+                await this.storage.savePreviousSnapshot(replayStorage.state.previousSnapshot);
+            }
+            await this.storage.saveChangeHistory(changeHistory);
+        }
+
+        return {
+            changeHistory,
+            replayed,
+            skipped,
+            saved: !options.dryRun
+        };
+    }
+}
+
+module.exports = ChangeHistoryBackfill;
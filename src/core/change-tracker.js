@@ -1,22 +1,48 @@
 /**
  * Change Tracker - AWS Infrastructure Change Detection
  *
- * Tracks new regions, services, and regional service availability over time.
+ * Tracks new and removed regions, services, and regional service availability over time,
+ * plus attribute changes (region names, AZ counts, launch dates and service names).
  * Designed to handle multiple runs per day without duplicating changelog entries.
  */
 
 const chalk = require('chalk');
+const config = require('./config');
+const StorageConflictError = require('../storage/storage-conflict-error');
+
+// Change kinds tracked in the pending buffer, in changelog section order
+const CHANGE_KINDS = [
+    'newRegions',
+    'newServices',
+    'newRegionalServices',
+    'removedRegions',
+    'removedServices',
+    'removedRegionalServices',
+    'modifiedRegions',
+    'modifiedServices'
+];
+
+// Region attributes diffed between runs
+const TRACKED_REGION_FIELDS = ['name', 'availabilityZones', 'launchDate'];
 
 class ChangeTracker {
-    constructor(storage) {
+    constructor(storage, options = {}) {
         this.storage = storage;
+
+        // Consecutive runs a change must be observed in before it is recorded
+        this.confirmationRuns = options.confirmationRuns ||
+            parseInt(process.env.CHANGE_CONFIRMATION_RUNS) ||
+            config.changeTracking.confirmationRuns;
+
+        // Fixed "today" (YYYY-MM-DD) used when replaying historical snapshots
+        this.asOfDate = options.asOfDate || null;
     }
 
     /**
      * Get current date in YYYY-MM-DD format (no time component)
      */
     getTodayDate() {
-        return new Date().toISOString().split('T')[0];
+        return this.asOfDate || new Date().toISOString().split('T')[0];
     }
 
     /**
@@ -41,7 +67,7 @@ class ChangeTracker {
             // File doesn't exist, return empty structure
             return this.createEmptyChangeHistory();
         }
-        return data;
+        return this.normalizeChangeHistory(data);
     }
 
     /**
@@ -58,16 +84,57 @@ class ChangeTracker {
                 changesSinceInception: {
                     newRegions: 0,
                     newServices: 0,
-                    newRegionalServices: 0
+                    newRegionalServices: 0,
+                    removedRegions: 0,
+                    removedServices: 0,
+                    removedRegionalServices: 0,
+                    modifiedRegions: 0,
+                    modifiedServices: 0
                 }
             },
             regions: {},
             services: {},
             regionalServices: {},
+            removedRegions: {},
+            removedServices: {},
+            removedRegionalServices: {},
             changeLog: []
         };
     }
 
+    /**
+     * Fill in sections missing from change history files written by older versions
+     */
+    normalizeChangeHistory(changeHistory) {
+        const empty = this.createEmptyChangeHistory();
+
+        changeHistory.metadata = changeHistory.metadata || empty.metadata;
+        changeHistory.metadata.changesSinceInception = {
+            ...empty.metadata.changesSinceInception,
+            ...changeHistory.metadata.changesSinceInception
+        };
+
+        ['regions', 'services', 'regionalServices', 'removedRegions', 'removedServices', 'removedRegionalServices']
+            .forEach(section => {
+                if (!changeHistory[section]) {
+                    changeHistory[section] = {};
+                }
+            });
+
+        if (!Array.isArray(changeHistory.changeLog)) {
+            changeHistory.changeLog = [];
+        }
+
+        return changeHistory;
+    }
+
+    /**
+     * Get the YYYY-MM-DD date a snapshot was generated, falling back to today
+     */
+    getSnapshotDate(snapshot) {
+        return this.formatLaunchDate(snapshot?.metadata?.timestamp) || this.getTodayDate();
+    }
+
     /**
      * Load previous snapshot from storage
      */
@@ -89,12 +156,32 @@ class ChangeTracker {
         await this.storage.saveChangeHistory(changeHistory);
     }
 
+    /**
+     * Apply `update` to the change history and save it, returning what `update` returned
+     * Called after the baseline snapshot is saved, so a history written by another
+     * run in the meantime must not drop this run's changes: the latest history is
+     * reloaded and the update applied to it again.
+     */
+    async updateChangeHistory(changeHistory, update, attempts = 3) {
+        for (let attempt = 1; ; attempt++) {
+            const result = update(changeHistory);
+            try {
+                await this.saveChangeHistory(changeHistory);
+                return result;
+            } catch (error) {
+                if (!(error instanceof StorageConflictError) || attempt >= attempts) throw error;
+                console.log(chalk.yellow('⚠️  Change history was updated by another run, merging this run\'s changes into it'));
+                changeHistory = await this.loadChangeHistory();
+            }
+        }
+    }
+
     /**
      * Detect new regions by comparing current vs previous
      */
     detectNewRegions(currentRegions, previousRegions) {
-        if (!previousRegions || !previousRegions.regions) {
-            return []; // First run, no comparison
+        if (!previousRegions || !previousRegions.regions || !currentRegions || !currentRegions.regions) {
+            return []; // First run or partial data, no comparison
         }
 
         const previousCodes = new Set(previousRegions.regions.map(r => r.code));
@@ -108,8 +195,8 @@ class ChangeTracker {
      * Services in complete-data.json are stored as codes (strings), not objects
      */
     detectNewServices(currentServices, previousServices) {
-        if (!previousServices || !previousServices.services) {
-            return []; // First run, no comparison
+        if (!previousServices || !previousServices.services || !currentServices || !currentServices.services) {
+            return []; // First run or partial data, no comparison
         }
 
         // Handle services as array of codes (strings)
@@ -136,6 +223,11 @@ class ChangeTracker {
         Object.entries(currentByRegion).forEach(([region, currentRegionData]) => {
             const previousRegionData = previousByRegion[region];
 
+            // A failed fetch says nothing about availability, skip it on either side
+            if (currentRegionData.error || previousRegionData?.error) {
+                return;
+            }
+
             if (!previousRegionData) {
                 // Entire region is new, all services are new
                 currentRegionData.services.forEach(service => {
@@ -155,6 +247,128 @@ class ChangeTracker {
         return newRegionalServices;
     }
 
+    /**
+     * Detect removed regions by comparing current vs previous
+     */
+    detectRemovedRegions(currentRegions, previousRegions) {
+        if (!previousRegions || !previousRegions.regions || !currentRegions || !currentRegions.regions) {
+            return []; // First run or partial data, no comparison
+        }
+
+        const currentCodes = new Set(currentRegions.regions.map(r => r.code));
+        return previousRegions.regions.filter(r => !currentCodes.has(r.code));
+    }
+
+    /**
+     * Detect removed services by comparing current vs previous
+     * Returns array of service codes (strings), mirroring detectNewServices
+     */
+    detectRemovedServices(currentServices, previousServices) {
+        if (!previousServices || !previousServices.services || !currentServices || !currentServices.services) {
+            return []; // First run or partial data, no comparison
+        }
+
+        const currentCodes = new Set(currentServices.services);
+        return previousServices.services.filter(code => !currentCodes.has(code));
+    }
+
+    /**
+     * Detect regional services withdrawn since the previous snapshot
+     * A region that disappeared entirely contributes all of its previous services
+     */
+    detectRemovedRegionalServices(currentData, previousData) {
+        const removedRegionalServices = [];
+
+        if (!previousData || !previousData.servicesByRegion || !previousData.servicesByRegion.byRegion) {
+            return []; // First run, no comparison
+        }
+
+        if (!currentData.servicesByRegion || !currentData.servicesByRegion.byRegion) {
+            return []; // Mapping not fetched this run, nothing to compare
+        }
+
+        const currentByRegion = currentData.servicesByRegion.byRegion;
+        const previousByRegion = previousData.servicesByRegion.byRegion;
+
+        Object.entries(previousByRegion).forEach(([region, previousRegionData]) => {
+            // A failed fetch says nothing about availability, skip it on either side
+            if (previousRegionData.error || currentByRegion[region]?.error) {
+                return;
+            }
+
+            const currentServices = new Set(currentByRegion[region]?.services || []);
+            (previousRegionData.services || []).forEach(service => {
+                if (!currentServices.has(service)) {
+                    removedRegionalServices.push({ region, service });
+                }
+            });
+        });
+
+        return removedRegionalServices;
+    }
+
+    /**
+     * Check whether an attribute value is real data rather than a lookup fallback
+     * (region/service names fall back to the code, AZ counts to 0, launch dates to null)
+     */
+    isKnownValue(field, value, code) {
+        if (value === null || value === undefined) return false;
+        if (field === 'name' && value === code) return false;
+        if (field === 'availabilityZones' && value === 0) return false;
+        return true;
+    }
+
+    /**
+     * Detect attribute changes for regions present in both runs
+     * Returns array of { code, field, from, to }
+     */
+    detectModifiedRegions(currentRegions, previousRegions) {
+        if (!previousRegions || !previousRegions.regions || !currentRegions || !currentRegions.regions) {
+            return []; // First run or partial data, no comparison
+        }
+
+        const previousByCode = new Map(previousRegions.regions.map(r => [r.code, r]));
+        const modified = [];
+
+        currentRegions.regions.forEach(region => {
+            const previous = previousByCode.get(region.code);
+            if (!previous) return;
+
+            TRACKED_REGION_FIELDS.forEach(field => {
+                const from = previous[field];
+                const to = region[field];
+                if (from === to) return;
+                if (!this.isKnownValue(field, from, region.code) || !this.isKnownValue(field, to, region.code)) return;
+
+                modified.push({ code: region.code, field, from, to });
+            });
+        });
+
+        return modified;
+    }
+
+    /**
+     * Detect service long name changes between runs
+     * Names come from services.json, so the snapshot keeps its own `serviceNames` map
+     */
+    detectModifiedServices(currentNames, previousNames) {
+        if (!previousNames || !currentNames) {
+            return []; // Snapshot predates name tracking
+        }
+
+        const modified = [];
+
+        Object.entries(currentNames).forEach(([code, to]) => {
+            const from = previousNames[code];
+            if (from === to) return;
+            if (!this.isKnownValue('name', from, code) || !this.isKnownValue('name', to, code)) return;
+
+            modified.push({ code, field: 'name', from, to });
+        });
+
+        return modified;
+    }
+
     /**
      * Check if 30 days or less since date
      */
@@ -183,12 +397,24 @@ class ChangeTracker {
 
     /**
      * Generate human-readable summary of changes
+     * Accepts a changelog entry's `changes` object; missing sections count as empty
      */
-    generateSummary(newRegions, newServices, newRegionalServices) {
+    generateSummary(changes) {
         const parts = [];
+        const newRegions = changes.newRegions || [];
+        const newServices = changes.newServices || [];
+        const newRegionalServices = changes.newRegionalServices || [];
+        const removedRegions = changes.removedRegions || [];
+        const removedServices = changes.removedServices || [];
+        const removedRegionalServices = changes.removedRegionalServices || [];
+        const modifiedRegions = changes.modifiedRegions || [];
+        const modifiedServices = changes.modifiedServices || [];
 
         if (newRegions.length > 0) {
-            if (newRegions.length === 1) {
+            if (newRegions.length === 1 && newRegions[0].serviceCount) {
+                const serviceCount = newRegions[0].serviceCount;
+                parts.push(`Added 1 new region (${newRegions[0].code}) with ${serviceCount} ${serviceCount === 1 ? 'service' : 'services'}`);
+            } else if (newRegions.length === 1) {
                 parts.push(`Added 1 new region (${newRegions[0].code})`);
             } else {
                 parts.push(`Added ${newRegions.length} new regions`);
@@ -207,6 +433,50 @@ class ChangeTracker {
             parts.push(`${newRegionalServices.length} new regional service mappings`);
         }
 
+        if (removedRegions.length > 0) {
+            if (removedRegions.length === 1 && removedRegions[0].serviceCount) {
+                const serviceCount = removedRegions[0].serviceCount;
+                parts.push(`Removed 1 region (${removedRegions[0].code}) with ${serviceCount} ${serviceCount === 1 ? 'service' : 'services'}`);
+            } else if (removedRegions.length === 1) {
+                parts.push(`Removed 1 region (${removedRegions[0].code})`);
+            } else {
+                parts.push(`Removed ${removedRegions.length} regions`);
+            }
+        }
+
+        if (removedServices.length > 0) {
+            if (removedServices.length === 1) {
+                parts.push(`1 service retired (${removedServices[0].code})`);
+            } else {
+                parts.push(`${removedServices.length} services retired`);
+            }
+        }
+
+        if (removedRegionalServices.length > 0) {
+            parts.push(`${removedRegionalServices.length} regional service withdrawals`);
+        }
+
+        if (modifiedRegions.length > 0) {
+            const azChanges = modifiedRegions.filter(m => m.field === 'availabilityZones');
+            if (azChanges.length === 1) {
+                parts.push(`AZ count changed in ${azChanges[0].code} (${azChanges[0].from} → ${azChanges[0].to})`);
+            } else if (azChanges.length > 1) {
+                parts.push(`AZ count changed in ${azChanges.length} regions`);
+            }
+            const otherChanges = modifiedRegions.length - azChanges.length;
+            if (otherChanges > 0) {
+                parts.push(`${otherChanges} region attribute ${otherChanges === 1 ? 'change' : 'changes'}`);
+            }
+        }
+
+        if (modifiedServices.length > 0) {
+            if (modifiedServices.length === 1) {
+                parts.push(`1 service renamed (${modifiedServices[0].code})`);
+            } else {
+                parts.push(`${modifiedServices.length} services renamed`);
+            }
+        }
+
         return parts.join(', ');
     }
 
@@ -236,9 +506,231 @@ class ChangeTracker {
         }
     }
 
+    /**
+     * Build the pending-buffer key for a detected change
+     */
+    getChangeKey(kind, item) {
+        switch (kind) {
+            case 'newRegions':
+            case 'removedRegions':
+                return `${kind}:${item.code}`;
+            case 'newServices':
+            case 'removedServices':
+                return `${kind}:${item}`;
+            case 'modifiedRegions':
+            case 'modifiedServices':
+                return `${kind}:${item.code}/${item.field}`;
+            default:
+                return `${kind}:${item.region}/${item.service}`;
+        }
+    }
+
+    /**
+     * Run detected changes through the pending buffer
+     * A change is confirmed once it has been observed in `confirmationRuns` consecutive runs.
+     * Changes that stop showing up before confirmation are dropped as flaps, except for
+     * regional changes in regions whose fetch failed this run (no observation either way).
+     *
+     * @returns {{ confirmed: Object, pending: Object }} confirmed changes by kind
+     *          (each `{ item, firstObserved, lastSeen }`) and the updated pending buffer
+     */
+    confirmChanges(detected, previousPending = {}, currentData, todayDate, lastSeenDate) {
+        const confirmed = {};
+        const pending = {};
+        const observedKeys = new Set();
+        const currentByRegion = currentData.servicesByRegion?.byRegion || {};
+
+        CHANGE_KINDS.forEach(kind => {
+            confirmed[kind] = [];
+
+            detected[kind].forEach(item => {
+                const key = this.getChangeKey(kind, item);
+                // An attribute that moved again while pending starts a fresh count
+                const previous = previousPending[key] && previousPending[key].item?.to === item.to
+                    ? previousPending[key]
+                    : undefined;
+                const entry = {
+                    kind,
+                    item,
+                    firstObserved: previous?.firstObserved || todayDate,
+                    lastSeen: previous?.lastSeen || lastSeenDate,
+                    observations: (previous?.observations || 0) + 1
+                };
+                observedKeys.add(key);
+
+                if (entry.observations >= this.confirmationRuns) {
+                    confirmed[kind].push(entry);
+                } else {
+                    pending[key] = entry;
+                }
+            });
+        });
+
+        // Carry forward regional changes we could not re-check this run
+        Object.entries(previousPending).forEach(([key, entry]) => {
+            if (observedKeys.has(key)) return;
+            if (entry.item?.region && currentByRegion[entry.item.region]?.error) {
+                pending[key] = entry;
+            }
+        });
+
+        return { confirmed, pending };
+    }
+
+    /**
+     * Build the snapshot to compare the next run against
+     * Starts from current data, keeps the last good entry for regions that failed to fetch,
+     * and reverts changes that are still pending so they are detected (and counted) again.
+     * Service names are stored alongside since complete-data.json only carries codes.
+     */
+    buildBaselineSnapshot(currentData, previousData, pending, serviceNames = {}) {
+        const baseline = JSON.parse(JSON.stringify(currentData));
+        const previousByRegion = previousData?.servicesByRegion?.byRegion || {};
+
+        // Keep the last known names if services.json could not be read this run
+        baseline.serviceNames = Object.keys(serviceNames).length > 0
+            ? { ...serviceNames }
+            : { ...(previousData?.serviceNames || {}) };
+
+        // Service mapping not fetched this run - keep comparing against the last one
+        if (!baseline.servicesByRegion && previousData?.servicesByRegion) {
+            baseline.servicesByRegion = JSON.parse(JSON.stringify(previousData.servicesByRegion));
+        }
+
+        const byRegion = baseline.servicesByRegion?.byRegion;
+
+        if (byRegion) {
+            Object.entries(byRegion).forEach(([region, regionData]) => {
+                if (!regionData.error) return;
+                if (previousByRegion[region] && !previousByRegion[region].error) {
+                    byRegion[region] = JSON.parse(JSON.stringify(previousByRegion[region]));
+                } else {
+                    delete byRegion[region];
+                }
+            });
+        }
+
+        Object.values(pending).forEach(({ kind, item }) => {
+            switch (kind) {
+                case 'newRegions':
+                    if (baseline.regions?.regions) {
+                        baseline.regions.regions = baseline.regions.regions.filter(r => r.code !== item.code);
+                    }
+                    break;
+                case 'removedRegions':
+                    if (baseline.regions?.regions && !baseline.regions.regions.some(r => r.code === item.code)) {
+                        baseline.regions.regions.push(item);
+                    }
+                    break;
+                case 'newServices':
+                    if (baseline.services?.services) {
+                        baseline.services.services = baseline.services.services.filter(code => code !== item);
+                    }
+                    break;
+                case 'removedServices':
+                    if (baseline.services?.services && !baseline.services.services.includes(item)) {
+                        baseline.services.services.push(item);
+                    }
+                    break;
+                case 'newRegionalServices':
+                    if (byRegion?.[item.region]) {
+                        byRegion[item.region].services = byRegion[item.region].services.filter(s => s !== item.service);
+                    }
+                    break;
+                case 'removedRegionalServices':
+                    if (byRegion) {
+                        if (!byRegion[item.region]) {
+                            byRegion[item.region] = { regionCode: item.region, services: [] };
+                        }
+                        if (!byRegion[item.region].services.includes(item.service)) {
+                            byRegion[item.region].services.push(item.service);
+                        }
+                    }
+                    break;
+                case 'modifiedRegions': {
+                    const region = baseline.regions?.regions?.find(r => r.code === item.code);
+                    if (region) {
+                        region[item.field] = item.from;
+                    }
+                    break;
+                }
+                case 'modifiedServices':
+                    baseline.serviceNames[item.code] = item.from;
+                    break;
+            }
+        });
+
+        // Keep counts and ordering consistent after reverts
+        if (baseline.regions?.regions) {
+            baseline.regions.regions.sort((a, b) => a.code.localeCompare(b.code));
+            baseline.regions.count = baseline.regions.regions.length;
+        }
+        if (baseline.services?.services) {
+            baseline.services.services.sort();
+            baseline.services.count = baseline.services.services.length;
+        }
+        if (byRegion) {
+            Object.entries(byRegion).forEach(([region, regionData]) => {
+                // Drop regions emptied by reverting a pending new region
+                if (regionData.services.length === 0 && !previousByRegion[region]) {
+                    delete byRegion[region];
+                    return;
+                }
+                regionData.services.sort();
+                regionData.serviceCount = regionData.services.length;
+            });
+        }
+
+        baseline.pendingChanges = pending;
+        return baseline;
+    }
+
+    /**
+     * Find the changelog entry for a date, creating it in newest-first order if needed
+     */
+    getChangeLogEntry(changeHistory, date) {
+        let entry = changeHistory.changeLog.find(e => e.date === date);
+
+        if (!entry) {
+            entry = {
+                date,
+                changes: {},
+                summary: ''
+            };
+            CHANGE_KINDS.forEach(kind => {
+                entry.changes[kind] = [];
+            });
+
+            const insertAt = changeHistory.changeLog.findIndex(e => e.date < date);
+            if (insertAt >= 0) {
+                changeHistory.changeLog.splice(insertAt, 0, entry);
+            } else {
+                changeHistory.changeLog.push(entry);
+            }
+        }
+
+        return entry;
+    }
+
+    /**
+     * Find the changelog launch (newRegions) or removal (removedRegions) event for a region
+     * @returns {{ logEntry: Object, entry: Object } | null}
+     */
+    findRegionEvent(changeHistory, kind, regionCode) {
+        for (const logEntry of changeHistory.changeLog) {
+            const entry = (logEntry.changes[kind] || []).find(r => r.code === regionCode);
+            if (entry) {
+                return { logEntry, entry };
+            }
+        }
+        return null;
+    }
+
     /**
      * Main method: Detect and track all changes
-     * Handles multiple runs per day by checking if changelog entry already exists for today
+     * Handles multiple runs per day by merging into an existing changelog entry for the date.
+     * Changes are only recorded once confirmed (see confirmChanges) and are dated to the
+     * day they were first observed.
      */
     async detectAndTrackChanges(currentData) {
         const todayDate = this.getTodayDate();
@@ -255,127 +747,331 @@ class ChangeTracker {
         // Check if this is the first run
         if (!previousData) {
             console.log(chalk.yellow('📋 First run - creating baseline change history'));
+            await this.savePreviousSnapshot(this.buildBaselineSnapshot(currentData, null, {}, serviceNames));
             await this.initializeChangeHistory(currentData, serviceNames);
-            await this.savePreviousSnapshot(currentData);
             console.log(chalk.green('✅ Change tracking initialized'));
             return {
                 hasChanges: false,
                 isFirstRun: true,
                 newRegions: [],
                 newServices: [],
-                newRegionalServices: []
+                newRegionalServices: [],
+                removedRegions: [],
+                removedServices: [],
+                removedRegionalServices: [],
+                modifiedRegions: [],
+                modifiedServices: [],
+                pendingChanges: 0
             };
         }
 
-        // Detect changes
-        const newRegions = this.detectNewRegions(currentData.regions, previousData.regions);
-        const newServices = this.detectNewServices(currentData.services, previousData.services);
-        const newRegionalServices = this.detectNewRegionalServices(currentData, previousData);
-
-        const hasChanges = newRegions.length > 0 || newServices.length > 0 || newRegionalServices.length > 0;
-
-        if (!hasChanges) {
-            console.log(chalk.gray('✅ No changes detected since last run'));
+        // Detect raw differences against the confirmed baseline
+        const detected = {
+            newRegions: this.detectNewRegions(currentData.regions, previousData.regions),
+            newServices: this.detectNewServices(currentData.services, previousData.services),
+            newRegionalServices: this.detectNewRegionalServices(currentData, previousData),
+            removedRegions: this.detectRemovedRegions(currentData.regions, previousData.regions),
+            removedServices: this.detectRemovedServices(currentData.services, previousData.services),
+            removedRegionalServices: this.detectRemovedRegionalServices(currentData, previousData),
+            modifiedRegions: this.detectModifiedRegions(currentData.regions, previousData.regions),
+            modifiedServices: this.detectModifiedServices(serviceNames, previousData.serviceNames)
+        };
 
-            // Update metadata even if no changes
-            changeHistory.metadata.lastUpdated = todayDate;
-            changeHistory.metadata.totalRegions = currentData.regions?.count || 0;
-            changeHistory.metadata.totalServices = currentData.services?.count || 0;
+        // Anything missing now was last observed in the previous snapshot
+        const lastSeenDate = this.getSnapshotDate(previousData);
+
+        const { confirmed, pending } = this.confirmChanges(
+            detected,
+            previousData.pendingChanges,
+            currentData,
+            todayDate,
+            lastSeenDate
+        );
+        const baseline = this.buildBaselineSnapshot(currentData, previousData, pending, serviceNames);
+        const pendingCount = Object.keys(pending).length;
+
+        if (pendingCount > 0) {
+            console.log(chalk.gray(`⏳ ${pendingCount} change(s) awaiting confirmation (${this.confirmationRuns} consecutive runs required)`));
+        }
 
-            // Update isNew flags
-            this.updateIsNewFlags(changeHistory);
+        const hasChanges = CHANGE_KINDS.some(kind => confirmed[kind].length > 0);
 
-            await this.saveChangeHistory(changeHistory);
-            await this.savePreviousSnapshot(currentData);
+        if (!hasChanges) {
+            console.log(chalk.gray('✅ No confirmed changes since last run'));
+
+            // Snapshot first: a run that loses the race to another run's snapshot
+            // stops here, before its history entries are written
+            await this.savePreviousSnapshot(baseline);
+            await this.updateChangeHistory(changeHistory, history => {
+                // Update metadata even if no changes
+                history.metadata.lastUpdated = todayDate;
+                history.metadata.totalRegions = currentData.regions?.count || 0;
+                history.metadata.totalServices = currentData.services?.count || 0;
+
+                // Update isNew flags
+                this.updateIsNewFlags(history);
+            });
 
             return {
                 hasChanges: false,
                 isFirstRun: false,
                 newRegions: [],
                 newServices: [],
-                newRegionalServices: []
+                newRegionalServices: [],
+                removedRegions: [],
+                removedServices: [],
+                removedRegionalServices: [],
+                modifiedRegions: [],
+                modifiedServices: [],
+                pendingChanges: pendingCount
             };
         }
 
-        // Changes detected - update change history
-        console.log(chalk.yellow(`📍 New Regions: ${newRegions.length}`));
-        console.log(chalk.yellow(`🛠️  New Services: ${newServices.length}`));
-        console.log(chalk.yellow(`🗺️  New Regional Services: ${newRegionalServices.length}`));
+        // Changes confirmed - update change history
+        console.log(chalk.yellow(`📍 New Regions: ${confirmed.newRegions.length}`));
+        console.log(chalk.yellow(`🛠️  New Services: ${confirmed.newServices.length}`));
+        console.log(chalk.yellow(`🗺️  New Regional Services: ${confirmed.newRegionalServices.length}`));
+        console.log(chalk.yellow(`📍 Removed Regions: ${confirmed.removedRegions.length}`));
+        console.log(chalk.yellow(`🛠️  Removed Services: ${confirmed.removedServices.length}`));
+        console.log(chalk.yellow(`🗺️  Removed Regional Services: ${confirmed.removedRegionalServices.length}`));
+        console.log(chalk.yellow(`✏️  Modified Regions: ${confirmed.modifiedRegions.length}`));
+        console.log(chalk.yellow(`✏️  Modified Services: ${confirmed.modifiedServices.length}`));
+
+        // Save files (snapshot first, see above)
+        await this.savePreviousSnapshot(baseline);
+        const changes = await this.updateChangeHistory(changeHistory, history =>
+            this.recordConfirmedChanges(history, confirmed, { previousData, currentData, serviceNames, todayDate }));
+
+        const result = {
+            hasChanges: true,
+            isFirstRun: false,
+            pendingChanges: pendingCount
+        };
+        CHANGE_KINDS.forEach(kind => {
+            result[kind] = changes[kind].map(({ entry }) => entry);
+        });
+        result.summary = this.generateSummary(result);
+
+        return result;
+    }
+
+    /**
+     * Record confirmed changes in the change history (changelog entries, inventories, metadata)
+     * @returns {Object} Changelog items per kind, each as { date, entry }
+     */
+    recordConfirmedChanges(changeHistory, confirmed, { previousData, currentData, serviceNames, todayDate }) {
+        // Changelog items per kind, each tagged with the date it belongs to
+        const changes = {};
+        CHANGE_KINDS.forEach(kind => {
+            changes[kind] = [];
+        });
+
+        const touchedEntries = new Set();
+
+        // Services in a region with no previous mapping are its initial service set.
+        // They are reported as part of the region launch, not as individual regional launches.
+        const previousByRegion = previousData.servicesByRegion?.byRegion || {};
+        const initialServicesByRegion = {};
+        confirmed.newRegionalServices.forEach(({ item: { region, service } }) => {
+            if (previousByRegion[region]) return;
+            if (!initialServicesByRegion[region]) {
+                initialServicesByRegion[region] = [];
+            }
+            initialServicesByRegion[region].push(service);
+        });
 
-        // Add new regions to change history
-        newRegions.forEach(region => {
+        // Add new regions to change history (one launch event per region)
+        confirmed.newRegions.forEach(({ item: region, firstObserved }) => {
+            const initialServices = (initialServicesByRegion[region.code] || []).sort();
             changeHistory.regions[region.code] = {
                 name: region.name,
-                firstSeen: todayDate,
+                firstSeen: firstObserved,
                 availabilityZones: region.availabilityZones,
                 launchDate: this.formatLaunchDate(region.launchDate),
+                initialServiceCount: initialServices.length,
                 isNew: true
             };
-            console.log(chalk.green(`   ✅ ${region.code} (${region.name})`));
+            delete changeHistory.removedRegions[region.code];
+            changes.newRegions.push({
+                date: firstObserved,
+                entry: {
+                    code: region.code,
+                    name: region.name,
+                    availabilityZones: region.availabilityZones,
+                    serviceCount: initialServices.length,
+                    initialServices
+                }
+            });
+            console.log(chalk.green(`   ✅ ${region.code} (${region.name}, ${initialServices.length} services)`));
+        });
+
+        // Initial services confirmed after their region (e.g. the region's first fetch failed)
+        // are folded into the earlier launch event when there is one
+        Object.entries(initialServicesByRegion).forEach(([region, services]) => {
+            if (confirmed.newRegions.some(({ item }) => item.code === region)) return;
+
+            const launch = this.findRegionEvent(changeHistory, 'newRegions', region);
+            if (!launch) {
+                delete initialServicesByRegion[region]; // Record as regular regional launches
+                return;
+            }
+
+            launch.entry.initialServices = [...(launch.entry.initialServices || []), ...services].sort();
+            launch.entry.serviceCount = launch.entry.initialServices.length;
+            if (changeHistory.regions[region]) {
+                changeHistory.regions[region].initialServiceCount = launch.entry.serviceCount;
+            }
+            touchedEntries.add(launch.logEntry);
         });
 
         // Add new services to change history
-        newServices.forEach(serviceCode => {
+        confirmed.newServices.forEach(({ item: serviceCode, firstObserved }) => {
             const serviceName = serviceNames[serviceCode] || serviceCode;
             changeHistory.services[serviceCode] = {
                 name: serviceName,
-                firstSeen: todayDate,
+                firstSeen: firstObserved,
                 isNew: true
             };
+            delete changeHistory.removedServices[serviceCode];
+            changes.newServices.push({ date: firstObserved, entry: { code: serviceCode, name: serviceName } });
             console.log(chalk.green(`   ✅ ${serviceCode} (${serviceName})`));
         });
 
         // Add new regional services to change history
-        newRegionalServices.forEach(({ region, service }) => {
+        confirmed.newRegionalServices.forEach(({ item: { region, service }, firstObserved }) => {
             if (!changeHistory.regionalServices[region]) {
                 changeHistory.regionalServices[region] = {};
             }
-            changeHistory.regionalServices[region][service] = todayDate;
+            changeHistory.regionalServices[region][service] = firstObserved;
+
+            if (changeHistory.removedRegionalServices[region]) {
+                delete changeHistory.removedRegionalServices[region][service];
+                if (Object.keys(changeHistory.removedRegionalServices[region]).length === 0) {
+                    delete changeHistory.removedRegionalServices[region];
+                }
+            }
+
+            if (!initialServicesByRegion[region]) {
+                changes.newRegionalServices.push({ date: firstObserved, entry: { region, service } });
+            }
         });
 
-        // Check if we already have a changelog entry for today
-        const existingEntryIndex = changeHistory.changeLog.findIndex(entry => entry.date === todayDate);
-
-        if (existingEntryIndex >= 0) {
-            // Update existing entry (multiple runs same day)
-            console.log(chalk.blue('   ℹ️  Updating existing changelog entry for today'));
-
-            const existingEntry = changeHistory.changeLog[existingEntryIndex];
-
-            // Merge new changes with existing entry
-            existingEntry.changes.newRegions = [
-                ...existingEntry.changes.newRegions,
-                ...newRegions.map(r => ({ code: r.code, name: r.name }))
-            ];
-
-            existingEntry.changes.newServices = [
-                ...existingEntry.changes.newServices,
-                ...newServices.map(code => ({ code, name: serviceNames[code] || code }))
-            ];
-
-            existingEntry.changes.newRegionalServices = [
-                ...existingEntry.changes.newRegionalServices,
-                ...newRegionalServices
-            ];
-
-            // Update summary
-            existingEntry.summary = this.generateSummary(
-                existingEntry.changes.newRegions,
-                existingEntry.changes.newServices,
-                existingEntry.changes.newRegionalServices
-            );
-        } else {
-            // Create new changelog entry
-            changeHistory.changeLog.unshift({
-                date: todayDate,
-                changes: {
-                    newRegions: newRegions.map(r => ({ code: r.code, name: r.name })),
-                    newServices: newServices.map(code => ({ code, name: serviceNames[code] || code })),
-                    newRegionalServices: newRegionalServices
-                },
-                summary: this.generateSummary(newRegions, newServices, newRegionalServices)
+        // Services of a region whose mapping disappeared are its final service set.
+        // They are reported as part of the region removal, not as individual withdrawals.
+        const currentByRegion = currentData.servicesByRegion?.byRegion || {};
+        const finalServicesByRegion = {};
+        confirmed.removedRegionalServices.forEach(({ item: { region, service } }) => {
+            if (currentByRegion[region]) return;
+            if (!finalServicesByRegion[region]) {
+                finalServicesByRegion[region] = [];
+            }
+            finalServicesByRegion[region].push(service);
+        });
+
+        // Record removed regions (one removal event per region)
+        confirmed.removedRegions.forEach(({ item: region, firstObserved, lastSeen }) => {
+            const finalServices = (finalServicesByRegion[region.code] || []).sort();
+            changeHistory.removedRegions[region.code] = {
+                name: region.name,
+                firstSeen: changeHistory.regions[region.code]?.firstSeen || null,
+                lastSeen,
+                removedOn: firstObserved,
+                finalServiceCount: finalServices.length
+            };
+            changes.removedRegions.push({
+                date: firstObserved,
+                entry: {
+                    code: region.code,
+                    name: region.name,
+                    lastSeen,
+                    serviceCount: finalServices.length,
+                    finalServices
+                }
             });
-        }
+            console.log(chalk.red(`   ❌ ${region.code} (${region.name}, ${finalServices.length} services)`));
+        });
+
+        // Final services confirmed after their region's removal are folded into the
+        // earlier removal event when there is one
+        Object.entries(finalServicesByRegion).forEach(([region, services]) => {
+            if (confirmed.removedRegions.some(({ item }) => item.code === region)) return;
+
+            const removal = changeHistory.removedRegions[region]
+                ? this.findRegionEvent(changeHistory, 'removedRegions', region)
+                : null;
+            if (!removal) {
+                delete finalServicesByRegion[region]; // Record as regular withdrawals
+                return;
+            }
+
+            removal.entry.finalServices = [...(removal.entry.finalServices || []), ...services].sort();
+            removal.entry.serviceCount = removal.entry.finalServices.length;
+            changeHistory.removedRegions[region].finalServiceCount = removal.entry.serviceCount;
+            touchedEntries.add(removal.logEntry);
+        });
+
+        // Record retired services (names come from history since services.json no longer lists them)
+        confirmed.removedServices.forEach(({ item: code, firstObserved, lastSeen }) => {
+            const name = serviceNames[code] || changeHistory.services[code]?.name || code;
+            changeHistory.removedServices[code] = {
+                name,
+                firstSeen: changeHistory.services[code]?.firstSeen || null,
+                lastSeen,
+                removedOn: firstObserved
+            };
+            changes.removedServices.push({ date: firstObserved, entry: { code, name, lastSeen } });
+            console.log(chalk.red(`   ❌ ${code} (${name})`));
+        });
+
+        // Record regional service withdrawals
+        confirmed.removedRegionalServices.forEach(({ item: { region, service }, firstObserved, lastSeen }) => {
+            if (!changeHistory.removedRegionalServices[region]) {
+                changeHistory.removedRegionalServices[region] = {};
+            }
+            changeHistory.removedRegionalServices[region][service] = {
+                firstSeen: changeHistory.regionalServices[region]?.[service] || null,
+                lastSeen,
+                removedOn: firstObserved
+            };
+
+            if (!finalServicesByRegion[region]) {
+                changes.removedRegionalServices.push({ date: firstObserved, entry: { region, service, lastSeen } });
+            }
+        });
+
+        // Record region attribute changes (before/after values)
+        confirmed.modifiedRegions.forEach(({ item: { code, field, from, to }, firstObserved }) => {
+            if (changeHistory.regions[code]) {
+                changeHistory.regions[code][field] = field === 'launchDate' ? this.formatLaunchDate(to) : to;
+            }
+            changes.modifiedRegions.push({ date: firstObserved, entry: { code, field, from, to } });
+            console.log(chalk.cyan(`   ✏️  ${code} ${field}: ${from} → ${to}`));
+        });
+
+        // Record service renames
+        confirmed.modifiedServices.forEach(({ item: { code, field, from, to }, firstObserved }) => {
+            if (changeHistory.services[code]) {
+                changeHistory.services[code].name = to;
+            }
+            changes.modifiedServices.push({ date: firstObserved, entry: { code, field, from, to } });
+            console.log(chalk.cyan(`   ✏️  ${code} ${field}: ${from} → ${to}`));
+        });
+
+        // Merge into the changelog entry for the date each change was first observed
+        CHANGE_KINDS.forEach(kind => {
+            changes[kind].forEach(({ date, entry }) => {
+                const logEntry = this.getChangeLogEntry(changeHistory, date);
+                if (!logEntry.changes[kind]) {
+                    logEntry.changes[kind] = []; // Entries written by older versions
+                }
+                logEntry.changes[kind].push(entry);
+                touchedEntries.add(logEntry);
+            });
+        });
+
+        touchedEntries.forEach(logEntry => {
+            logEntry.summary = this.generateSummary(logEntry.changes);
+        });
 
         // Update metadata
         changeHistory.metadata.lastUpdated = todayDate;
@@ -389,26 +1085,37 @@ class ChangeTracker {
         });
         changeHistory.metadata.totalRegionalServices = totalRegionalServices;
 
+        // Initial service sets belong to region launches, not regional service launches
+        let totalInitialServices = 0;
+        Object.values(changeHistory.regions).forEach(region => {
+            totalInitialServices += region.initialServiceCount || 0;
+        });
+
+        let totalRemovedRegionalServices = 0;
+        Object.values(changeHistory.removedRegionalServices).forEach(services => {
+            totalRemovedRegionalServices += Object.keys(services).length;
+        });
+
+        // Likewise, final service sets belong to region removals
+        let totalFinalServices = 0;
+        Object.values(changeHistory.removedRegions).forEach(region => {
+            totalFinalServices += region.finalServiceCount || 0;
+        });
+
         // Update cumulative changes
         changeHistory.metadata.changesSinceInception.newRegions = Object.keys(changeHistory.regions).length;
         changeHistory.metadata.changesSinceInception.newServices = Object.keys(changeHistory.services).length;
-        changeHistory.metadata.changesSinceInception.newRegionalServices = totalRegionalServices;
+        changeHistory.metadata.changesSinceInception.newRegionalServices = totalRegionalServices - totalInitialServices;
+        changeHistory.metadata.changesSinceInception.removedRegions = Object.keys(changeHistory.removedRegions).length;
+        changeHistory.metadata.changesSinceInception.removedServices = Object.keys(changeHistory.removedServices).length;
+        changeHistory.metadata.changesSinceInception.removedRegionalServices = totalRemovedRegionalServices - totalFinalServices;
+        changeHistory.metadata.changesSinceInception.modifiedRegions += confirmed.modifiedRegions.length;
+        changeHistory.metadata.changesSinceInception.modifiedServices += confirmed.modifiedServices.length;
 
         // Update isNew flags
         this.updateIsNewFlags(changeHistory);
 
-        // Save files
-        await this.saveChangeHistory(changeHistory);
-        await this.savePreviousSnapshot(currentData);
-
-        return {
-            hasChanges: true,
-            isFirstRun: false,
-            newRegions,
-            newServices,
-            newRegionalServices,
-            summary: this.generateSummary(newRegions, newServices, newRegionalServices)
-        };
+        return changes;
     }
 
     /**
@@ -436,7 +1143,12 @@ class ChangeTracker {
         changeHistory.metadata.changesSinceInception = {
             newRegions: 0,
             newServices: 0,
-            newRegionalServices: 0
+            newRegionalServices: 0,
+            removedRegions: 0,
+            removedServices: 0,
+            removedRegionalServices: 0,
+            modifiedRegions: 0,
+            modifiedServices: 0
         };
 
         // Add initial changelog entry indicating baseline was set
@@ -445,7 +1157,12 @@ class ChangeTracker {
             changes: {
                 newRegions: [],
                 newServices: [],
-                newRegionalServices: []
+                newRegionalServices: [],
+                removedRegions: [],
+                removedServices: [],
+                removedRegionalServices: [],
+                modifiedRegions: [],
+                modifiedServices: []
             },
             summary: `Baseline initialized with ${changeHistory.metadata.totalRegions} regions, ${changeHistory.metadata.totalServices} services`
         });
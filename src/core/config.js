@@ -15,6 +15,20 @@ module.exports = {
      * Default: 'us-east-1'
      */
     region: "us-east-1",
+
+    /**
+     * Partitions available to --partitions runs
+     * Each partition is fetched with its own SSM client in `region`; `profile`
+     * names the AWS credentials profile for that partition (null = default chain).
+     *
+     * Override a profile with AWS_PROFILE_<PARTITION> environment variables,
+     * e.g. AWS_PROFILE_AWS_US_GOV=govcloud, AWS_PROFILE_AWS_CN=china
+     */
+    partitions: {
+      aws: { region: "us-east-1", profile: null },
+      "aws-us-gov": { region: "us-gov-west-1", profile: null },
+      "aws-cn": { region: "cn-north-1", profile: null },
+    },
   },
 
   // =============================================================================
@@ -27,6 +41,16 @@ module.exports = {
      */
     outputDir: "./output",
 
+    /**
+     * Output directory for --replay runs
+     * Default: './output/replay'
+     *
+     * Replays always write local files here, whatever STORAGE_TYPE says, so they
+     * never overwrite the published dataset, cache or change history.
+     * Override with REPLAY_OUTPUT_DIR environment variable
+     */
+    replayOutputDir: "./output/replay",
+
     /**
      * Cache file name (will be placed in outputDir)
      * Default: '.cache-services-by-region.json'
@@ -36,8 +60,166 @@ module.exports = {
     /**
      * Cache TTL (Time To Live) in milliseconds
      * Default: 24 hours (86400000 ms)
+     *
+     * After this a region's service parameters are listed again (one shallow
+     * listing per region). If their fingerprint matches the cached one the cached
+     * entry is kept; only --include-endpoints runs save calls that way (the deep
+     * listing is skipped). Override with CACHE_TTL environment variable
      */
     cacheTTL: 24 * 60 * 60 * 1000, // 24 hours
+
+    /**
+     * Maximum age of endpoint data (--include-endpoints) in milliseconds
+     * Default: 7 days
+     *
+     * Endpoint and protocol values can change without the region's service list
+     * changing, so regions are deep-fetched at least this often in endpoint mode.
+     * Override with FULL_REFRESH_TTL environment variable
+     */
+    fullRefreshTTL: 7 * 24 * 60 * 60 * 1000, // 7 days
+
+    /**
+     * Name cache TTL (region attributes and service long names) in milliseconds
+     * Default: 7 days
+     *
+     * Names almost never change, so they are cached much longer than service
+     * availability. The cache is refreshed early whenever a new region or
+     * service code appears. Override with NAME_CACHE_TTL environment variable
+     */
+    nameCacheTTL: 7 * 24 * 60 * 60 * 1000, // 7 days
+  },
+
+  // =============================================================================
+  // Data Quality Configuration (checked before a new dataset is saved)
+  // =============================================================================
+  dataQuality: {
+    /**
+     * Run the checks at all
+     * Default: true (skip for a single run with --skip-quality-checks)
+     */
+    enabled: true,
+
+    /**
+     * What happens when a check fails
+     * - "quarantine": save the new files under quarantine/<run>/ and keep the current data
+     * - "fail": fail the run without saving
+     * Default: "quarantine". Override with DATA_QUALITY_ACTION environment variable
+     */
+    action: "quarantine",
+
+    /**
+     * Maximum drop in region count versus the saved dataset, in percent
+     * Default: 5 (38 regions: losing 2 is allowed, losing 3 is not)
+     */
+    maxRegionDropPercent: 5,
+
+    /**
+     * Maximum drop in service count versus the saved dataset, in percent
+     * Default: 5
+     */
+    maxServiceDropPercent: 5,
+
+    /**
+     * Maximum drop in any single region's service count, in percent
+     * Default: 20
+     */
+    maxRegionServiceDropPercent: 20,
+
+    /**
+     * Regions that must be present with service data
+     * Partition runs only check the regions of their own partition.
+     */
+    requiredRegions: ["us-east-1", "us-west-2", "eu-west-1"],
+  },
+
+  // =============================================================================
+  // Checkpoint Configuration (resumable service-by-region runs)
+  // =============================================================================
+  checkpoint: {
+    /**
+     * Time reserved at the end of a Lambda invocation, in milliseconds
+     * Default: 30 seconds
+     *
+     * No new region is started once less than this remains; the time is left
+     * for in-flight regions, the checkpoint write and the response.
+     * Override with TIMEOUT_RESERVE_MS environment variable
+     */
+    timeoutReserve: 30 * 1000,
+  },
+
+  // =============================================================================
+  // History Configuration (complete-data snapshots under history/)
+  // =============================================================================
+  history: {
+    /**
+     * Snapshots kept when history is pruned
+     * Default: 7 daily, 4 weekly, 12 monthly
+     *
+     * The newest snapshot of each of the last `daily` days, `weekly` weeks
+     * (Monday-based, UTC) and `monthly` months is kept; the latest snapshot is
+     * always kept. Override with HISTORY_RETENTION="daily,weekly,monthly".
+     */
+    retention: {
+      daily: 7,
+      weekly: 4,
+      monthly: 12,
+    },
+
+    /**
+     * Prune history after every successful run
+     * Default: true
+     */
+    pruneAfterRun: true,
+  },
+
+  // =============================================================================
+  // Run Lease Configuration (one fetch at a time per dataset)
+  // =============================================================================
+  lease: {
+    /**
+     * Take a run lease before fetching
+     * Default: true
+     *
+     * A run that finds a live lease held by another run is skipped (or waits,
+     * see onBusy) instead of writing the same files concurrently.
+     */
+    enabled: true,
+
+    /**
+     * Lease lifetime in milliseconds, extended by every heartbeat
+     * Default: 2 minutes
+     *
+     * A run that crashes or times out stops renewing; its lease can be
+     * reclaimed once it expires.
+     */
+    ttl: 2 * 60 * 1000,
+
+    /**
+     * Heartbeat (lease renewal) interval in milliseconds
+     * Default: 30 seconds
+     */
+    heartbeatInterval: 30 * 1000,
+
+    /**
+     * What to do when another run holds the lease: "skip" or "wait"
+     * Default: "skip"
+     *
+     * "wait" polls until the lease is free, for at most waitTimeout, then skips.
+     * Override with LEASE_ON_BUSY environment variable
+     */
+    onBusy: "skip",
+
+    /**
+     * Longest time to wait for a busy lease in milliseconds ("wait" mode)
+     * Default: 2 minutes
+     */
+    waitTimeout: 2 * 60 * 1000,
+
+    /**
+     * Poll interval while waiting for a busy lease in milliseconds
+     * Default: 10 seconds
+     */
+    pollInterval: 10 * 1000,
   },
 
   // =============================================================================
@@ -58,6 +240,21 @@ module.exports = {
      */
     baseDelay: 50,
 
+    /**
+     * Retries for a region whose service fetch fails (after the scheduler's own
+     * throttling retries are used up, or on any other error)
+     * Default: 2
+     *
+     * A region that still fails keeps its last good cached data, marked `stale`.
+     */
+    regionRetries: 2,
+
+    /**
+     * Base delay in milliseconds between region retries (doubles each retry)
+     * Default: 1000ms
+     */
+    regionRetryDelay: 1000,
+
     /**
      * Maximum results per page for GetParametersByPath
      * Default: 10 (AWS maximum - cannot be changed)
@@ -65,100 +262,116 @@ module.exports = {
     maxResults: 10,
 
     /**
-     * Delay between pagination requests in milliseconds
-     * Default: 50ms
-     *
-     * ⚡ PERFORMANCE TUNING:
-     * - 50ms = Safe, conservative (current default)
-     * - 40ms = Balanced, good for most accounts
-     * - 30ms = Aggressive, may hit rate limits
-     * - 25ms = Very aggressive, high risk of throttling
-     *
-     * Lower values = faster execution but more risk of ThrottlingException
+     * Names per GetParameters request (batched name lookups)
+     * Default: 10 (AWS maximum - cannot be raised)
      */
-    paginationDelay: 40,
+    getParametersBatchSize: 10,
   },
 
   // =============================================================================
-  // Parallel Processing Configuration
+  // Rate Limit Configuration (shared by every SSM request)
   // =============================================================================
-  parallelProcessing: {
+  rateLimit: {
     /**
-     * Batch size for parallel AZ (Availability Zone) mapping
+     * Starting request rate in transactions per second
      * Default: 20
      *
-     * Number of AZs to process in parallel (122 total AZs)
-     * Higher = faster but more load on AWS API
-     * Safe range: 10-30
+     * The scheduler adapts from here: halved on ThrottlingException, +1 TPS after
+     * each second of unthrottled responses. No hand-tuning of delays needed.
+     *
+     * Override with SSM_TARGET_TPS environment variable
      */
-    azBatchSize: 20,
+    targetTps: 20,
 
     /**
-     * Delay between AZ batches in milliseconds
-     * Default: 100ms
+     * Floor for the adaptive rate
+     * Default: 2
      */
-    azBatchDelay: 100,
+    minTps: 2,
 
     /**
-     * Batch size for parallel region name fetching
-     * Default: 10
-     *
-     * Number of regions to process in parallel (38 total regions)
-     * Safe range: 10-20
+     * Ceiling for the adaptive rate
+     * Default: 40 (SSM GetParametersByPath default account limit)
      */
-    regionNameBatchSize: 10,
+    maxTps: 40,
 
     /**
-     * Delay between region name batches in milliseconds
-     * Default: 100ms
+     * Maximum SSM requests in flight at once
+     * Default: 20
      */
-    regionNameBatchDelay: 100,
+    maxInFlight: 20,
+  },
 
+  // =============================================================================
+  // Parallel Processing Configuration
+  // =============================================================================
+  // Worker counts for each fan-out. Workers pull the next item as soon as they
+  // finish one; the overall request rate is governed by rateLimit above.
+  parallelProcessing: {
     /**
-     * Batch size for parallel service name fetching
+     * Workers for AZ attribute lookups (one request per AZ)
      * Default: 20
-     *
-     * Number of services to process in parallel (394 total services)
-     * Safe range: 15-30
      */
-    serviceNameBatchSize: 20,
+    azWorkers: 20,
+
+    /**
+     * Workers for region attribute lookups (one GetParameters request of 10
+     * parameters = 2 regions each). Skipped while the name cache is fresh.
+     * Default: 5
+     */
+    regionNameWorkers: 5,
 
     /**
-     * Delay between service name batches in milliseconds
-     * Default: 100ms
+     * Workers for service long-name lookups (one GetParameters request of 10
+     * names each, ~40 requests for ~394 services). Skipped while the name cache is fresh.
+     * Default: 5
      */
-    serviceNameBatchDelay: 100,
+    serviceNameWorkers: 5,
 
     /**
-     * Batch size for parallel service-by-region mapping
+     * Regions mapped concurrently for service-by-region data
      * Default: 10
      *
-     * ⚡ PRIMARY PERFORMANCE TUNING PARAMETER
-     *
-     * Number of regions to process in parallel (38 total regions)
-     * Each region fetches ~1000 parameters (100+ pages)
+     * Each region pages through ~1000 parameters (100+ requests). More workers
+     * keep the rate limiter's queue full; they don't raise the request rate.
      *
-     * PERFORMANCE IMPACT (tested results):
-     * - 10 = ~103 seconds (current, safe)         [4 batches]
-     * - 12 = ~90 seconds (17% faster, low risk)   [4 batches]
-     * - 15 = ~75 seconds (27% faster, med risk)   [3 batches]
-     * - 20 = ~55 seconds (47% faster, high risk)  [2 batches]
-     *
-     * AWS rate limit: 40 TPS (Transactions Per Second) for SSM
-     * Each region makes ~10 requests/second during pagination
+     * Override with BATCH_SIZE environment variable
+     */
+    serviceByRegionWorkers: 10,
+  },
+
+  // =============================================================================
+  // Change Tracking Configuration
+  // =============================================================================
+  changeTracking: {
+    /**
+     * Consecutive runs a change must be observed in before it is recorded
+     * Default: 2
      *
-     * SAFE MAXIMUM: 12-15 regions in parallel
-     * RISKY: >15 (may encounter ThrottlingException)
+     * Suppresses flapping caused by transient SSM misses (e.g. a throttled region
+     * returning no services for one run). Confirmed changes are still dated to the
+     * run they were first observed in. Set to 1 to record changes immediately.
      *
-     * ⚠️  Start with 10, increase by 2 and test. Monitor for throttling errors.
+     * Override with CHANGE_CONFIRMATION_RUNS environment variable
      */
-    serviceByRegionBatchSize: 10,
+    confirmationRuns: 2,
+  },
 
+  // =============================================================================
+  // Region Metadata Configuration
+  // =============================================================================
+  regionMetadata: {
     /**
-     * Delay between service-by-region batches in milliseconds
-     * Default: 0 (no delay between batches, only between pagination requests)
+     * JSON file with per-region overrides for the bundled metadata
+     * (continent, coordinates, optInRequired) in src/core/region-metadata.js
+     * Default: null (bundled data only)
+     *
+     * Format: { "ap-southeast-7": { "continent": "Asia", "optInRequired": true } }
+     * Fields are merged over the bundled entry; unknown regions can be added.
+     *
+     * Override with REGION_METADATA_FILE environment variable
      */
-    serviceByRegionBatchDelay: 0,
+    overridesFile: null,
   },
 
   // =============================================================================
@@ -214,32 +427,17 @@ module.exports = {
 // =============================================================================
 /*
 
-Want faster performance? Edit these two parameters above:
+Request pacing is adaptive (rateLimit above), so there are no delays to tune.
 
-1. serviceByRegionBatchSize (line ~150)
-   - Change from 10 → 12 for ~17% speedup (low risk)
-   - Change from 10 → 15 for ~27% speedup (medium risk)
+If runs are throttled a lot (see "SSM throttling" lines and the request summary
+at the end of a run):
+   - Lower rateLimit.maxTps (or SSM_TARGET_TPS) if another workload shares the account's SSM quota
 
-2. paginationDelay (line ~72)
-   - Change from 50 → 40 for ~10% speedup (low risk)
-   - Change from 50 → 30 for ~20% speedup (higher risk)
-
-EXAMPLE - Balanced Settings (recommended):
-   serviceByRegionBatchSize: 12  (instead of 10)
-   paginationDelay: 40           (instead of 50)
-   Expected: ~85 seconds (17% faster than current 103s)
-
-EXAMPLE - Aggressive Settings:
-   serviceByRegionBatchSize: 15  (instead of 10)
-   paginationDelay: 30           (instead of 50)
-   Expected: ~70 seconds (32% faster than current 103s)
+If runs are slow and never throttled:
+   - Raise rateLimit.targetTps so the scheduler starts closer to the account limit
+   - Raise parallelProcessing.serviceByRegionWorkers so enough requests are queued
 
 After editing, just run normally:
    npm run complete
 
-If you see ThrottlingException errors:
-   - Reduce serviceByRegionBatchSize by 2-3
-   - Increase paginationDelay by 10-20ms
-   - Test again
-
 */
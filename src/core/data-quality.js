@@ -0,0 +1,139 @@
+/**
+ * Data Quality - Sanity checks before a new dataset replaces the saved one
+ *
+ * Compares the new complete dataset with the one currently saved: region and
+ * service counts may only drop by a configured percentage, no region's service
+ * count may collapse, and required regions must be present with data. When a
+ * check fails nothing is overwritten; the new files are either quarantined to
+ * `quarantine/<run>/` or the run fails (config.dataQuality.action).
+ */
+
+const chalk = require('chalk');
+const config = require('./config');
+const { getPartitionForRegion } = require('./region-metadata');
+
+const ACTIONS = ['quarantine', 'fail'];
+
+function percentDrop(previous, current) {
+    if (!previous) return 0;
+    return Math.max(0, ((previous - current) / previous) * 100);
+}
+
+/**
+ * Compare a new complete dataset with the saved one
+ *
+ * Only sections present in both datasets are compared, so a regions-only run
+ * is not checked against service data. Without a saved dataset only the
+ * required-regions check applies.
+ *
+ * @param {Object} current - New complete dataset (AWSDataFetcher.buildCompleteData output)
+ * @param {Object|null} previous - Currently saved complete dataset
+ * @param {Object} [options] - Overrides for config.dataQuality
+ * @param {string} [options.partition] - Only require regions of this partition
+ * @returns {{passed: boolean, violations: Array<{check: string, message: string}>}}
+ */
+function checkDataQuality(current, previous, options = {}) {
+    const settings = { ...config.dataQuality, ...options };
+    const violations = [];
+
+    if (current.regions && previous?.regions) {
+        const drop = percentDrop(previous.regions.count, current.regions.count);
+        if (drop > settings.maxRegionDropPercent) {
+            violations.push({
+                check: 'region-count',
+                message: `Region count dropped ${previous.regions.count} → ${current.regions.count} (-${drop.toFixed(1)}%, max ${settings.maxRegionDropPercent}%)`
+            });
+        }
+    }
+
+    if (current.services && previous?.services) {
+        const drop = percentDrop(previous.services.count, current.services.count);
+        if (drop > settings.maxServiceDropPercent) {
+            violations.push({
+                check: 'service-count',
+                message: `Service count dropped ${previous.services.count} → ${current.services.count} (-${drop.toFixed(1)}%, max ${settings.maxServiceDropPercent}%)`
+            });
+        }
+    }
+
+    const currentByRegion = current.servicesByRegion?.byRegion;
+    const previousByRegion = previous?.servicesByRegion?.byRegion;
+    if (currentByRegion && previousByRegion) {
+        Object.keys(previousByRegion).sort().forEach(region => {
+            const before = previousByRegion[region];
+            const after = currentByRegion[region];
+            if (!after || before.error) return;
+
+            // A failed region without earlier data counts as having no services
+            const afterCount = after.error ? 0 : after.serviceCount;
+            const drop = percentDrop(before.serviceCount, afterCount);
+            if (drop > settings.maxRegionServiceDropPercent) {
+                violations.push({
+                    check: 'region-service-count',
+                    region,
+                    message: `${region} service count dropped ${before.serviceCount} → ${afterCount} (-${drop.toFixed(1)}%, max ${settings.maxRegionServiceDropPercent}%)${after.error ? ` (${after.error})` : ''}`
+                });
+            }
+        });
+    }
+
+    const requiredRegions = (settings.requiredRegions || [])
+        .filter(region => !settings.partition || getPartitionForRegion(region) === settings.partition);
+    const regionCodes = current.regions ? new Set(current.regions.regions.map(r => r.code)) : null;
+    requiredRegions.forEach(region => {
+        if (regionCodes && !regionCodes.has(region)) {
+            violations.push({ check: 'required-region', region, message: `Required region ${region} is missing` });
+        } else if (currentByRegion && (!currentByRegion[region] || currentByRegion[region].error)) {
+            violations.push({ check: 'required-region', region, message: `Required region ${region} has no service data` });
+        }
+    });
+
+    return { passed: violations.length === 0, violations };
+}
+
+/**
+ * Check a dataset against the saved one and stop it from being published if it fails
+ *
+ * @param {Object} storage - Storage the dataset would be saved to
+ * @param {Object} completeData - New complete dataset
+ * @param {Object<string, Object>} files - Files that would be written (name -> data), quarantined on failure
+ * @param {Object} [options] - checkDataQuality options plus `action` ('quarantine' or 'fail')
+ * @returns {Promise<{passed: boolean, violations: Array, quarantinePath?: string}>}
+ * @throws {Error} When checks fail and the action is 'fail'
+ */
+async function enforceDataQuality(storage, completeData, files, options = {}) {
+    const action = options.action || process.env.DATA_QUALITY_ACTION || config.dataQuality.action;
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`Unknown data quality action: ${action} (expected ${ACTIONS.join(' or ')})`);
+    }
+
+    const previous = await storage.loadComplete();
+    const result = checkDataQuality(completeData, previous, options);
+
+    if (result.passed) {
+        console.log(chalk.green(`✅ Data quality checks passed${previous ? '' : ' (no saved dataset to compare with)'}`));
+        return result;
+    }
+
+    console.error(chalk.red(`\n🛑 Data quality checks failed (${result.violations.length}):`));
+    result.violations.forEach(violation => console.error(chalk.red(`   • ${violation.message}`)));
+
+    if (action === 'fail') {
+        throw new Error(`Data quality checks failed: ${result.violations.map(v => v.message).join('; ')}`);
+    }
+
+    const runId = new Date().toISOString().replace(/[:.]/g, '-');
+    result.quarantinePath = await storage.saveQuarantine(runId, {
+        ...files,
+        'quality-report.json': {
+            violations: result.violations,
+            previousTimestamp: previous?.metadata?.timestamp || null,
+            timestamp: new Date().toISOString()
+        }
+    });
+    console.error(chalk.yellow(`   New data quarantined to ${result.quarantinePath}; the saved dataset was left untouched`));
+
+    return result;
+}
+
+module.exports = { checkDataQuality, enforceDataQuality };
@@ -0,0 +1,141 @@
+/**
+ * Fixture Client - Record and replay SSM traffic for offline runs
+ *
+ * Stands in for the SSM client behind the request scheduler. In "record" mode
+ * every request goes to the real client and the response is written to
+ * `<dir>/ssm/<Command>-<hash>.json`; in "replay" mode responses are served from
+ * those files with no network access. Requests are keyed by command name and
+ * input, so replay does not depend on request order or concurrency.
+ *
+ * The regions RSS feed is kept alongside as `<dir>/regions-rss.xml`
+ * (see AWSDataFetcher.fetchRegionLaunchData), and the time of the recording as
+ * `<dir>/fixture.json` so replays can reuse it as their run timestamp.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const MODES = ['record', 'replay'];
+const RSS_FIXTURE = 'regions-rss.xml';
+const MANIFEST = 'fixture.json';
+
+function isThrottlingError(error) {
+    return error.name === 'ThrottlingException' || (error.message || '').includes('Rate exceeded');
+}
+
+class FixtureClient {
+    /**
+     * @param {Object|null} client - Real SSM client (record mode only)
+     * @param {Object} options
+     * @param {string} options.mode - 'record' or 'replay'
+     * @param {string} options.dir - Fixture directory
+     */
+    constructor(client, { mode, dir }) {
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unknown fixture mode: ${mode} (expected ${MODES.join(' or ')})`);
+        }
+        if (!dir) {
+            throw new Error('Fixture mode needs a fixture directory');
+        }
+
+        this.client = client;
+        this.mode = mode;
+        this.dir = dir;
+        this.stats = { recorded: 0, replayed: 0 };
+    }
+
+    fixturePath(command) {
+        const name = command.constructor.name.replace(/Command$/, '');
+        const hash = crypto.createHash('sha1').update(JSON.stringify(command.input)).digest('hex').slice(0, 16);
+        return path.join(this.dir, 'ssm', `${name}-${hash}.json`);
+    }
+
+    async send(command) {
+        const file = this.fixturePath(command);
+
+        if (this.mode === 'replay') {
+            let fixture;
+            try {
+                fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    throw new Error(`No recorded response for ${command.constructor.name} ${JSON.stringify(command.input)} in ${this.dir}`);
+                }
+                throw error;
+            }
+
+            this.stats.replayed++;
+            if (fixture.error) {
+                const error = new Error(fixture.error.message);
+                error.name = fixture.error.name;
+                throw error;
+            }
+            return fixture.response;
+        }
+
+        let response;
+        let failure;
+        try {
+            response = await this.client.send(command);
+        } catch (error) {
+            // Throttling depends on timing, not on the data; only final errors are recorded
+            if (isThrottlingError(error)) throw error;
+            failure = error;
+        }
+
+        const { $metadata, ...body } = response || {};
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, JSON.stringify({
+            command: command.constructor.name,
+            input: command.input,
+            ...(failure ? { error: { name: failure.name, message: failure.message } } : { response: body })
+        }, null, 2));
+        this.stats.recorded++;
+
+        if (failure) throw failure;
+        return response;
+    }
+
+    /**
+     * Recorded regions RSS feed, or null when none was recorded
+     */
+    async loadRssFeed() {
+        try {
+            return await fs.readFile(path.join(this.dir, RSS_FIXTURE), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async saveRssFeed(xml) {
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(path.join(this.dir, RSS_FIXTURE), xml);
+    }
+
+    /**
+     * Time the fixture was recorded (ISO string), or null for fixtures recorded without one
+     */
+    async loadRecordedAt() {
+        try {
+            return JSON.parse(await fs.readFile(path.join(this.dir, MANIFEST), 'utf8')).recordedAt || null;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async saveRecordedAt(timestamp) {
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(path.join(this.dir, MANIFEST), JSON.stringify({ recordedAt: timestamp }, null, 2));
+    }
+
+    describe() {
+        return this.mode === 'replay'
+            ? `${this.stats.replayed} responses replayed from ${this.dir}`
+            : `${this.stats.recorded} responses recorded to ${this.dir}`;
+    }
+}
+
+module.exports = FixtureClient;
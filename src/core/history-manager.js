@@ -0,0 +1,240 @@
+/**
+ * History Manager - Retention and rollback for complete-data history snapshots
+ *
+ * Every saved complete-data.json is also kept as history/complete-data-<timestamp>.json.
+ * prune() applies a daily/weekly/monthly retention policy to those snapshots;
+ * rollback() republishes a chosen snapshot as the current complete-data.json,
+ * regions.json and services.json and redistributes it, as the recovery path
+ * after a bad publish.
+ */
+
+const chalk = require('chalk');
+const config = require('./config');
+const ChangeTracker = require('./change-tracker');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const BUCKETS = ['daily', 'weekly', 'monthly'];
+
+/**
+ * Retention bucket keys for a snapshot timestamp (UTC)
+ */
+function bucketKeys(timestamp) {
+    const date = new Date(timestamp);
+    const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - ((date.getUTCDay() + 6) % 7)));
+    return {
+        daily: date.toISOString().split('T')[0],
+        weekly: monday.toISOString().split('T')[0],
+        monthly: date.toISOString().slice(0, 7)
+    };
+}
+
+class HistoryManager {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Retention policy from config, HISTORY_RETENTION ("daily,weekly,monthly") and overrides
+     */
+    static getRetentionPolicy(overrides = {}) {
+        const policy = { ...config.history.retention };
+
+        if (process.env.HISTORY_RETENTION) {
+            const values = process.env.HISTORY_RETENTION.split(',').map(value => parseInt(value));
+            if (values.length !== BUCKETS.length || values.some(value => isNaN(value) || value < 0)) {
+                throw new Error(`Invalid HISTORY_RETENTION: ${process.env.HISTORY_RETENTION} (expected "daily,weekly,monthly", e.g. "7,4,12")`);
+            }
+            BUCKETS.forEach((bucket, index) => {
+                policy[bucket] = values[index];
+            });
+        }
+
+        BUCKETS.forEach(bucket => {
+            if (overrides[bucket] !== undefined) policy[bucket] = overrides[bucket];
+        });
+        return policy;
+    }
+
+    /**
+     * Decide which snapshots a retention policy keeps
+     * Walking newest first, a snapshot is kept when it is the newest one of a day,
+     * week or month that still fits in that bucket's count. The latest snapshot is
+     * always kept.
+     *
+     * @param {Array<{id: string, timestamp: number}>} listings - Oldest first (listHistorySnapshots order)
+     * @param {{daily: number, weekly: number, monthly: number}} policy
+     * @returns {{keep: Array<Object>, remove: Array<Object>}} Listings (newest first), kept ones with `reasons`
+     */
+    selectRetained(listings, policy) {
+        const seen = { daily: new Set(), weekly: new Set(), monthly: new Set() };
+        const keep = [];
+        const remove = [];
+
+        [...listings].reverse().forEach((listing, index) => {
+            const keys = bucketKeys(listing.timestamp);
+            const reasons = index === 0 ? ['latest'] : [];
+
+            BUCKETS.forEach(bucket => {
+                if (seen[bucket].has(keys[bucket]) || seen[bucket].size >= policy[bucket]) return;
+                seen[bucket].add(keys[bucket]);
+                reasons.push(bucket);
+            });
+
+            if (reasons.length > 0) {
+                keep.push({ ...listing, reasons });
+            } else {
+                remove.push(listing);
+            }
+        });
+
+        return { keep, remove };
+    }
+
+    /**
+     * Delete the snapshots the retention policy doesn't keep
+     *
+     * @param {Object} [options]
+     * @param {Object} [options.policy] - Overrides for the retention policy
+     * @param {boolean} [options.dryRun] - Report without deleting
+     * @returns {Promise<{keep: Array, remove: Array, policy: Object}>}
+     */
+    async prune(options = {}) {
+        const policy = HistoryManager.getRetentionPolicy(options.policy);
+        const listings = await this.storage.listHistorySnapshots();
+        const { keep, remove } = this.selectRetained(listings, policy);
+
+        if (remove.length === 0) {
+            console.log(chalk.gray(`📚 History: ${keep.length} snapshots, none due for pruning`));
+            return { keep, remove, policy };
+        }
+
+        if (options.dryRun) {
+            console.log(chalk.yellow(`📚 History: would prune ${remove.length} of ${listings.length} snapshots (dry run)`));
+            return { keep, remove, policy };
+        }
+
+        for (const listing of remove) {
+            await this.storage.deleteHistorySnapshot(listing.id);
+        }
+        console.log(chalk.gray(`📚 History: pruned ${remove.length} snapshots, kept ${keep.length} (${policy.daily} daily, ${policy.weekly} weekly, ${policy.monthly} monthly)`));
+
+        return { keep, remove, policy };
+    }
+
+    /**
+     * Find a history snapshot
+     *
+     * @param {string} ref - Snapshot timestamp, id (or file name), or a date
+     *                       (YYYY-MM-DD: latest snapshot taken on or before that day)
+     * @returns {Promise<{id: string, timestamp: number}>}
+     */
+    async resolve(ref) {
+        const listings = await this.storage.listHistorySnapshots();
+
+        if (DATE_PATTERN.test(ref)) {
+            const endOfDay = new Date(`${ref}T23:59:59.999Z`).getTime();
+            const candidates = listings.filter(listing => listing.timestamp <= endOfDay);
+            if (candidates.length === 0) {
+                throw new Error(`No history snapshot found on or before ${ref}`);
+            }
+            return candidates[candidates.length - 1];
+        }
+
+        const listing = listings.find(l => String(l.timestamp) === ref || l.id === ref || l.id.endsWith(`/${ref}`));
+        if (!listing) {
+            throw new Error(`History snapshot not found: ${ref} (expected a timestamp, snapshot name or YYYY-MM-DD; see "history list")`);
+        }
+        return listing;
+    }
+
+    /**
+     * Republish a history snapshot as the current dataset
+     *
+     * complete-data.json and regions.json are restored as stored. The snapshot only
+     * holds service codes, so services.json takes names (and other fields) from the
+     * current services.json, falling back to the code. metadata.timestamp is the time
+     * of the rollback. Saving complete-data.json also records the rollback as the
+     * newest history snapshot. The change tracking baseline (.previous-snapshot.json)
+     * is reset to the restored data, dropping changes awaiting confirmation, so the
+     * next run compares against the restored data and the rollback itself is not
+     * recorded as a change. Change history entries already recorded stay as they are.
+     *
+     * @param {string} ref - See resolve()
+     * @param {Object} [options]
+     * @param {boolean} [options.distribute=true] - Redistribute to the website bucket (S3 storage only)
+     * @param {boolean} [options.dryRun] - Resolve and report without publishing
+     */
+    async rollback(ref, options = {}) {
+        const { distribute = true, dryRun = false } = options;
+
+        console.log(chalk.bold.blue('\n=== ROLLBACK ==='));
+        const listing = await this.resolve(ref);
+        const snapshot = await this.storage.loadHistorySnapshot(listing.id);
+        const takenAt = new Date(listing.timestamp).toISOString();
+
+        if (!snapshot.regions || !snapshot.services) {
+            throw new Error(`Snapshot ${listing.id} has no regions or services data and can't be published`);
+        }
+
+        console.log(chalk.white(`⏪ Snapshot ${listing.id} (${takenAt}): ${snapshot.regions.count} regions, ${snapshot.services.count} services`));
+
+        const current = await this.storage.loadServicesForChangeTracking();
+        const currentServices = new Map((current?.services || []).map(service => [service.code, service]));
+        const services = snapshot.services.services.map(code => currentServices.get(code) || { code, name: code });
+
+        const regionsData = {
+            count: snapshot.regions.count,
+            regions: snapshot.regions.regions,
+            source: snapshot.regions.source,
+            timestamp: snapshot.regions.timestamp
+        };
+        const servicesData = {
+            count: services.length,
+            services,
+            source: snapshot.services.source,
+            timestamp: snapshot.services.timestamp
+        };
+        const rolledBackAt = new Date().toISOString();
+        const completeData = {
+            ...snapshot,
+            metadata: {
+                ...snapshot.metadata,
+                timestamp: rolledBackAt,
+                rolledBackFrom: { snapshot: listing.id, timestamp: takenAt },
+                rolledBackAt
+            }
+        };
+
+        const result = { snapshot: listing.id, timestamp: takenAt, regions: regionsData.count, services: servicesData.count };
+        if (dryRun) {
+            console.log(chalk.yellow('   Dry run: nothing published'));
+            return { ...result, dryRun: true };
+        }
+
+        result.regionPath = (await this.storage.saveRegions(regionsData)).path;
+        result.servicePath = (await this.storage.saveServices(servicesData)).path;
+        result.completePath = (await this.storage.saveComplete(completeData)).path;
+        console.log(chalk.green(`✅ Snapshot republished as ${result.completePath}`));
+
+        // Without change tracking yet, the next run initializes it from the restored data anyway
+        const tracker = new ChangeTracker(this.storage);
+        const previous = await tracker.loadPreviousSnapshot();
+        if (previous) {
+            const serviceNames = Object.fromEntries(services.map(service => [service.code, service.name]));
+            await tracker.savePreviousSnapshot(tracker.buildBaselineSnapshot(completeData, previous, {}, serviceNames));
+            result.baselineReset = true;
+            console.log(chalk.green('✅ Change tracking baseline reset to the restored data'));
+        }
+
+        if (distribute && typeof this.storage.distributeToWebsite === 'function') {
+            result.distribution = await this.storage.distributeToWebsite(
+                process.env.DISTRIBUTION_BUCKET,
+                process.env.DISTRIBUTION_PREFIX || 'data'
+            );
+        }
+
+        return result;
+    }
+}
+
+module.exports = HistoryManager;
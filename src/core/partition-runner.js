@@ -0,0 +1,320 @@
+/**
+ * Partition Runner - Fetch several AWS partitions (aws, aws-us-gov, aws-cn)
+ *
+ * Runs one AWSDataFetcher per partition, each with its own SSM client, region
+ * and credentials profile, writing to `partitions/<partition>/` in storage.
+ * In "merged" mode the partition datasets are combined into the regular
+ * regions/services/complete-data files (every region and mapping carries a
+ * `partition` field) and change tracking runs once on the merged dataset.
+ * In "separate" mode each partition keeps its own dataset and change history.
+ */
+
+const chalk = require('chalk');
+const path = require('path');
+const AWSDataFetcher = require('./aws-data-fetcher');
+const config = require('./config');
+const { enforceDataQuality } = require('./data-quality');
+const HistoryManager = require('./history-manager');
+const StorageFactory = require('../storage/storage-factory');
+const StorageConflictError = require('../storage/storage-conflict-error');
+
+const OUTPUT_MODES = ['merged', 'separate'];
+
+class PartitionRunner {
+    constructor(partitions, options = {}) {
+        const unknown = partitions.filter(partition => !config.aws.partitions[partition]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown partition: ${unknown.join(', ')} (expected ${Object.keys(config.aws.partitions).join(', ')})`);
+        }
+
+        this.output = options.output || 'merged';
+        if (!OUTPUT_MODES.includes(this.output)) {
+            throw new Error(`Unknown partition output mode: ${this.output} (expected ${OUTPUT_MODES.join(' or ')})`);
+        }
+
+        this.partitions = [...new Set(partitions)];
+        this.fixtures = options.fixtures || null;
+        this.outputDir = options.outputDir || (this.fixtures?.mode === 'replay'
+            ? process.env.REPLAY_OUTPUT_DIR || config.cache.replayOutputDir
+            : config.cache.outputDir);
+        this.storage = this.createStorage();
+    }
+
+    /**
+     * Storage for the merged dataset, or a partition's under `subPath`
+     * Replays always write local files so they never publish
+     */
+    createStorage(subPath = null) {
+        if (this.fixtures?.mode === 'replay') {
+            return StorageFactory.create('local', { outputDir: subPath ? path.join(this.outputDir, subPath) : this.outputDir });
+        }
+        return StorageFactory.fromEnvironment(this.outputDir, subPath);
+    }
+
+    /**
+     * SSM region and credentials profile for a partition
+     * AWS_PROFILE_<PARTITION> (e.g. AWS_PROFILE_AWS_US_GOV) overrides the configured profile
+     */
+    getPartitionConfig(partition) {
+        const envKey = `AWS_PROFILE_${partition.toUpperCase().replace(/-/g, '_')}`;
+        const partitionConfig = config.aws.partitions[partition];
+        return {
+            region: partitionConfig.region,
+            profile: process.env[envKey] || partitionConfig.profile || null
+        };
+    }
+
+    createFetcher(partition) {
+        const { region, profile } = this.getPartitionConfig(partition);
+        const subPath = `partitions/${partition}`;
+
+        return new AWSDataFetcher(region, {
+            partition,
+            profile,
+            outputDir: path.join(this.outputDir, subPath),
+            storage: this.createStorage(subPath),
+            // Each partition records to (or replays from) its own fixture subdirectory
+            ...(this.fixtures && { fixtures: { ...this.fixtures, dir: path.join(this.fixtures.dir, partition) } })
+        });
+    }
+
+    /**
+     * Fetch every partition, then merge (merged mode)
+     * A merged dataset is only written when every partition succeeded, so a
+     * credentials problem never shows up as a partition's regions being removed.
+     */
+    async run(options = {}) {
+        const partitionResults = {};
+        const failures = [];
+
+        for (const partition of this.partitions) {
+            const { region, profile } = this.getPartitionConfig(partition);
+            console.log(chalk.bold.magenta(`\n🧩 Partition ${partition} (SSM region ${region}${profile ? `, profile ${profile}` : ''})`));
+
+            try {
+                const fetcher = this.createFetcher(partition);
+                const result = await fetcher.run({
+                    ...options,
+                    skipChangeTracking: this.output === 'merged'
+                });
+                if (result.partial) {
+                    throw new Error(`stopped before finishing, ${result.pendingRegions.length} regions pending (resumable)`);
+                }
+                if (result.quarantined) {
+                    throw new Error(`data quality checks failed, new data quarantined to ${result.quarantined.path}`);
+                }
+                if (result.leaseLost) {
+                    throw new Error('run lease was taken over by another run, nothing saved');
+                }
+                partitionResults[partition] = result;
+            } catch (error) {
+                console.error(chalk.red(`❌ Partition ${partition} failed: ${error.message}`));
+                failures.push({ partition, error: error.message });
+            }
+        }
+
+        const failureMessage = failures.map(f => `${f.partition} (${f.error})`).join(', ');
+
+        if (this.output === 'separate') {
+            this.printSummary(partitionResults, failures);
+            if (failures.length > 0) {
+                throw new Error(`Partition fetch failed: ${failureMessage}`);
+            }
+            return { partitions: partitionResults };
+        }
+
+        if (failures.length > 0) {
+            throw new Error(`Merged dataset not written, partition fetch failed: ${failureMessage}`);
+        }
+
+        const merged = this.mergeResults(partitionResults);
+        console.log(chalk.bold('\n=== MERGED DATASET ==='));
+
+        const completeData = AWSDataFetcher.buildCompleteData(merged);
+
+        if (config.dataQuality.enabled && !options.skipQualityChecks) {
+            const files = { 'complete-data.json': completeData };
+            if (merged.regions) files['regions.json'] = merged.regions;
+            if (merged.services) files['services.json'] = merged.services;
+            if (merged.endpoints) files['endpoints.json'] = merged.endpoints;
+
+            const quality = await enforceDataQuality(this.storage, completeData, files);
+            if (!quality.passed) {
+                this.printSummary(partitionResults, failures);
+                return {
+                    ...merged,
+                    quarantined: { path: quality.quarantinePath, violations: quality.violations },
+                    partitions: partitionResults
+                };
+            }
+        }
+
+        // Same rule as AWSDataFetcher.run(): a run that lost its lease publishes nothing
+        if (options.lease?.lost) {
+            console.error(chalk.yellow('⏹️  Run lease was taken over by another run; merged dataset not saved'));
+            this.printSummary(partitionResults, failures);
+            return { ...merged, leaseLost: true, partitions: partitionResults };
+        }
+
+        const saved = {};
+        if (merged.regions) {
+            saved['regions.json'] = await this.storage.saveRegions(merged.regions);
+            merged.regionPath = saved['regions.json'].path;
+        }
+        if (merged.services) {
+            saved['services.json'] = await this.storage.saveServices(merged.services);
+            merged.servicePath = saved['services.json'].path;
+        }
+        if (merged.endpoints) {
+            saved['endpoints.json'] = await this.storage.saveEndpoints(merged.endpoints);
+            merged.endpointsPath = saved['endpoints.json'].path;
+        }
+
+        saved['complete-data.json'] = await this.storage.saveComplete(completeData);
+        merged.completePath = saved['complete-data.json'].path;
+        merged.artifacts = AWSDataFetcher.summarizeArtifacts(saved);
+        console.log(chalk.green(`💾 Merged dataset saved: ${merged.completePath}`));
+
+        if (config.history.pruneAfterRun) {
+            try {
+                await new HistoryManager(this.storage).prune();
+            } catch (error) {
+                console.warn(chalk.yellow(`⚠️  History pruning failed: ${error.message}`));
+            }
+        }
+
+        if (!options.regionsOnly && !options.servicesOnly) {
+            const ChangeTracker = require('./change-tracker');
+            try {
+                const changeTracker = new ChangeTracker(this.storage, this.fixtures?.mode === 'replay'
+                    ? { asOfDate: merged.metadata.timestamp.split('T')[0] }
+                    : {});
+                merged.changes = await changeTracker.detectAndTrackChanges(completeData);
+            } catch (error) {
+                if (error instanceof StorageConflictError) {
+                    merged.changeTrackingConflict = error.message;
+                    console.error(chalk.yellow('\n⚠️  Change tracking skipped:', error.message));
+                    console.error(chalk.gray('   The next run compares against the latest baseline and records any remaining changes'));
+                } else {
+                    console.error(chalk.yellow('\n⚠️  Change tracking failed:', error.message));
+                    console.error(chalk.gray('   Continuing without change tracking...'));
+                }
+            }
+        }
+
+        this.printSummary(partitionResults, failures);
+        return { ...merged, partitions: partitionResults };
+    }
+
+    /**
+     * Combine per-partition run results into one result set
+     * Services are the union across partitions, each listing the partitions it appears in.
+     */
+    mergeResults(partitionResults) {
+        const entries = Object.entries(partitionResults);
+        // A replay keeps the recording times, so the merged dataset is as deterministic as its partitions
+        const timestamp = this.fixtures?.mode === 'replay'
+            ? entries.map(([, result]) => result.metadata.timestamp).sort().pop()
+            : new Date().toISOString();
+        const merged = {
+            metadata: {
+                ...entries[0][1].metadata,
+                timestamp,
+                partitions: entries.map(([partition]) => partition)
+            }
+        };
+        delete merged.metadata.partition;
+
+        if (entries.every(([, result]) => result.regions)) {
+            const regions = entries
+                .flatMap(([, result]) => result.regions.regions)
+                .sort((a, b) => a.code.localeCompare(b.code));
+            merged.regions = { count: regions.length, regions, source: 'ssm', timestamp };
+        }
+
+        if (entries.every(([, result]) => result.services)) {
+            const services = new Map();
+            entries.forEach(([partition, result]) => {
+                result.services.services.forEach(service => {
+                    const existing = services.get(service.code);
+                    if (!existing) {
+                        services.set(service.code, { ...service, partitions: [partition] });
+                        return;
+                    }
+                    existing.partitions.push(partition);
+                    if (existing.name === existing.code && service.name !== service.code) {
+                        existing.name = service.name;
+                    }
+                });
+            });
+            const list = [...services.values()].sort((a, b) => a.code.localeCompare(b.code));
+            merged.services = { count: list.length, services: list, source: 'ssm', timestamp };
+        }
+
+        if (entries.every(([, result]) => result.servicesByRegion)) {
+            const byRegion = {};
+            let cachedRegions = 0;
+            let fetchedRegions = 0;
+            let unchangedRegions = 0;
+            const failedRegions = [];
+            entries.forEach(([, result]) => {
+                Object.assign(byRegion, result.servicesByRegion.byRegion);
+                cachedRegions += result.servicesByRegion.summary.cachedRegions || 0;
+                fetchedRegions += result.servicesByRegion.summary.fetchedRegions || 0;
+                unchangedRegions += result.servicesByRegion.summary.unchangedRegions || 0;
+                failedRegions.push(...(result.servicesByRegion.summary.failedRegions || []));
+            });
+
+            const counts = Object.values(byRegion).map(r => r.serviceCount);
+            merged.servicesByRegion = {
+                byRegion,
+                summary: {
+                    totalRegions: counts.length,
+                    totalServices: merged.services ? merged.services.count : 0,
+                    averageServicesPerRegion: counts.length > 0
+                        ? Math.round(counts.reduce((a, b) => a + b, 0) / counts.length)
+                        : 0,
+                    cachedRegions,
+                    fetchedRegions,
+                    unchangedRegions,
+                    failedRegions,
+                    lastUpdated: timestamp
+                }
+            };
+            merged.failedRegions = failedRegions;
+        }
+
+        if (entries.every(([, result]) => result.endpoints)) {
+            const byRegion = {};
+            const missingRegions = [];
+            let totalEndpoints = 0;
+            entries.forEach(([, result]) => {
+                Object.assign(byRegion, result.endpoints.byRegion);
+                missingRegions.push(...result.endpoints.summary.missingRegions);
+                totalEndpoints += result.endpoints.summary.totalEndpoints;
+            });
+            merged.endpoints = {
+                byRegion,
+                summary: { totalRegions: Object.keys(byRegion).length, totalEndpoints, missingRegions: missingRegions.sort() },
+                source: 'ssm',
+                timestamp
+            };
+        }
+
+        return merged;
+    }
+
+    printSummary(partitionResults, failures) {
+        console.log(chalk.bold.blue(`\n🧩 Partition summary (${this.output})`));
+        Object.entries(partitionResults).forEach(([partition, result]) => {
+            const regions = result.regions ? `${result.regions.count} regions` : 'no regions';
+            const services = result.services ? `${result.services.count} services` : 'no services';
+            console.log(chalk.green(`   ✅ ${partition.padEnd(12)} ${regions}, ${services}`));
+        });
+        failures.forEach(({ partition, error }) => {
+            console.log(chalk.red(`   ❌ ${partition.padEnd(12)} ${error}`));
+        });
+    }
+}
+
+module.exports = PartitionRunner;
@@ -0,0 +1,121 @@
+/**
+ * Region Metadata - Bundled per-region data SSM does not provide
+ *
+ * Continent, approximate coordinates (metro area of the region) and whether the
+ * region must be enabled per account before use. Entries can be overridden or
+ * added with a JSON file (REGION_METADATA_FILE / config.regionMetadata.overridesFile)
+ * so newly launched regions don't have to wait for a release. Also maps region
+ * codes to their partition when SSM doesn't say.
+ */
+
+const fs = require('fs').promises;
+const config = require('./config');
+
+// Region code prefix -> partition, for regions whose SSM partition attribute is missing
+const PARTITION_PREFIXES = [
+    ['us-gov-', 'aws-us-gov'],
+    ['cn-', 'aws-cn'],
+    ['us-isob-', 'aws-iso-b'],
+    ['us-iso-', 'aws-iso'],
+    ['eusc-', 'aws-eusc']
+];
+
+const REGION_METADATA = {
+    // North America
+    'us-east-1': { continent: 'North America', coordinates: { latitude: 39.04, longitude: -77.49 }, optInRequired: false },
+    'us-east-2': { continent: 'North America', coordinates: { latitude: 39.96, longitude: -83.0 }, optInRequired: false },
+    'us-west-1': { continent: 'North America', coordinates: { latitude: 37.77, longitude: -122.42 }, optInRequired: false },
+    'us-west-2': { continent: 'North America', coordinates: { latitude: 45.84, longitude: -119.7 }, optInRequired: false },
+    'ca-central-1': { continent: 'North America', coordinates: { latitude: 45.5, longitude: -73.57 }, optInRequired: false },
+    'ca-west-1': { continent: 'North America', coordinates: { latitude: 51.05, longitude: -114.07 }, optInRequired: true },
+    'mx-central-1': { continent: 'North America', coordinates: { latitude: 20.59, longitude: -100.39 }, optInRequired: true },
+    'us-gov-west-1': { continent: 'North America', coordinates: { latitude: 45.52, longitude: -122.68 }, optInRequired: false },
+    'us-gov-east-1': { continent: 'North America', coordinates: { latitude: 39.96, longitude: -83.0 }, optInRequired: false },
+
+    // South America
+    'sa-east-1': { continent: 'South America', coordinates: { latitude: -23.55, longitude: -46.63 }, optInRequired: false },
+
+    // Europe
+    'eu-central-1': { continent: 'Europe', coordinates: { latitude: 50.11, longitude: 8.68 }, optInRequired: false },
+    'eu-central-2': { continent: 'Europe', coordinates: { latitude: 47.38, longitude: 8.54 }, optInRequired: true },
+    'eu-west-1': { continent: 'Europe', coordinates: { latitude: 53.35, longitude: -6.26 }, optInRequired: false },
+    'eu-west-2': { continent: 'Europe', coordinates: { latitude: 51.51, longitude: -0.13 }, optInRequired: false },
+    'eu-west-3': { continent: 'Europe', coordinates: { latitude: 48.86, longitude: 2.35 }, optInRequired: false },
+    'eu-south-1': { continent: 'Europe', coordinates: { latitude: 45.46, longitude: 9.19 }, optInRequired: true },
+    'eu-south-2': { continent: 'Europe', coordinates: { latitude: 41.65, longitude: -0.89 }, optInRequired: true },
+    'eu-north-1': { continent: 'Europe', coordinates: { latitude: 59.33, longitude: 18.07 }, optInRequired: false },
+
+    // Asia (including the Middle East)
+    'ap-east-1': { continent: 'Asia', coordinates: { latitude: 22.32, longitude: 114.17 }, optInRequired: true },
+    'ap-east-2': { continent: 'Asia', coordinates: { latitude: 25.03, longitude: 121.56 }, optInRequired: true },
+    'ap-south-1': { continent: 'Asia', coordinates: { latitude: 19.08, longitude: 72.88 }, optInRequired: false },
+    'ap-south-2': { continent: 'Asia', coordinates: { latitude: 17.39, longitude: 78.49 }, optInRequired: true },
+    'ap-southeast-1': { continent: 'Asia', coordinates: { latitude: 1.35, longitude: 103.82 }, optInRequired: false },
+    'ap-southeast-3': { continent: 'Asia', coordinates: { latitude: -6.21, longitude: 106.85 }, optInRequired: true },
+    'ap-southeast-5': { continent: 'Asia', coordinates: { latitude: 3.14, longitude: 101.69 }, optInRequired: true },
+    'ap-southeast-7': { continent: 'Asia', coordinates: { latitude: 13.76, longitude: 100.5 }, optInRequired: true },
+    'ap-northeast-1': { continent: 'Asia', coordinates: { latitude: 35.68, longitude: 139.69 }, optInRequired: false },
+    'ap-northeast-2': { continent: 'Asia', coordinates: { latitude: 37.57, longitude: 126.98 }, optInRequired: false },
+    'ap-northeast-3': { continent: 'Asia', coordinates: { latitude: 34.69, longitude: 135.5 }, optInRequired: false },
+    'cn-north-1': { continent: 'Asia', coordinates: { latitude: 39.9, longitude: 116.4 }, optInRequired: false },
+    'cn-northwest-1': { continent: 'Asia', coordinates: { latitude: 37.51, longitude: 105.19 }, optInRequired: false },
+    'il-central-1': { continent: 'Asia', coordinates: { latitude: 32.09, longitude: 34.78 }, optInRequired: true },
+    'me-south-1': { continent: 'Asia', coordinates: { latitude: 26.07, longitude: 50.56 }, optInRequired: true },
+    'me-central-1': { continent: 'Asia', coordinates: { latitude: 24.45, longitude: 54.38 }, optInRequired: true },
+
+    // Oceania
+    'ap-southeast-2': { continent: 'Oceania', coordinates: { latitude: -33.87, longitude: 151.21 }, optInRequired: false },
+    'ap-southeast-4': { continent: 'Oceania', coordinates: { latitude: -37.81, longitude: 144.96 }, optInRequired: true },
+    'ap-southeast-6': { continent: 'Oceania', coordinates: { latitude: -36.85, longitude: 174.76 }, optInRequired: true },
+
+    // Africa
+    'af-south-1': { continent: 'Africa', coordinates: { latitude: -33.92, longitude: 18.42 }, optInRequired: true }
+};
+
+/**
+ * Bundled metadata merged with the overrides file, keyed by region code
+ *
+ * @param {string|null} [overridesFile] - JSON overrides path (defaults to env/config)
+ * @returns {Promise<Object<string, {continent, coordinates, optInRequired}>>}
+ */
+async function loadRegionMetadata(overridesFile = process.env.REGION_METADATA_FILE || config.regionMetadata.overridesFile) {
+    const metadata = { ...REGION_METADATA };
+    if (!overridesFile) {
+        return metadata;
+    }
+
+    let overrides;
+    try {
+        overrides = JSON.parse(await fs.readFile(overridesFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to load region metadata overrides from ${overridesFile}: ${error.message}`);
+    }
+
+    Object.entries(overrides).forEach(([code, entry]) => {
+        metadata[code] = { ...metadata[code], ...entry };
+    });
+
+    return metadata;
+}
+
+/**
+ * Metadata fields for one region; unknown regions get nulls rather than guesses
+ */
+function getRegionMetadata(code, metadata = REGION_METADATA) {
+    const entry = metadata[code] || {};
+    return {
+        continent: entry.continent ?? null,
+        coordinates: entry.coordinates ?? null,
+        optInRequired: entry.optInRequired ?? null
+    };
+}
+
+/**
+ * Partition a region belongs to, from its code (commercial "aws" unless a known prefix matches)
+ */
+function getPartitionForRegion(code) {
+    const match = PARTITION_PREFIXES.find(([prefix]) => code.startsWith(prefix));
+    return match ? match[1] : 'aws';
+}
+
+module.exports = { REGION_METADATA, loadRegionMetadata, getRegionMetadata, getPartitionForRegion };
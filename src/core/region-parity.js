@@ -0,0 +1,119 @@
+/**
+ * Region Parity - Compare service availability across regions
+ *
+ * Builds a service matrix for N regions with shared, unique and missing
+ * services per region and a parity percentage for every region pair.
+ * Exported as a plain function so other tooling can call it with a loaded
+ * complete-data.json (and optional service names from services.json).
+ */
+
+const AvailabilityQuery = require('./availability-query');
+
+/**
+ * Round a ratio to a percentage with one decimal place
+ */
+function toPercent(numerator, denominator) {
+    if (denominator === 0) return 100;
+    return Math.round((numerator / denominator) * 1000) / 10;
+}
+
+/**
+ * Compare service availability across regions
+ *
+ * @param {Object} completeData - complete-data.json contents (needs servicesByRegion)
+ * @param {string[]} regionCodes - Two or more region codes
+ * @param {Object<string, string>} [serviceNames] - Service code -> long name
+ * @returns {Object} Parity report:
+ *   - regions: [{ code, name, serviceCount }]
+ *   - shared: services offered in every region
+ *   - unique: { region: services offered only in that region }
+ *   - missing: { region: services offered in another listed region but not this one }
+ *   - matrix: [{ code, name, regions: { region: boolean } }] for every service in any region
+ *   - pairs: [{ a, b, shared, onlyInA, onlyInB, parity, coverage: { bCoversA, aCoversB } }]
+ */
+function compareRegions(completeData, regionCodes, serviceNames = {}) {
+    const codes = [...new Set(regionCodes)];
+    if (codes.length < 2) {
+        throw new Error('Region comparison needs at least two distinct region codes');
+    }
+
+    const query = new AvailabilityQuery(completeData, serviceNames);
+    const servicesByRegion = {};
+
+    codes.forEach(code => {
+        const services = query.getRegionServices(code);
+        if (!services) {
+            const error = completeData.servicesByRegion.byRegion[code]?.error;
+            throw new Error(`No service data for ${code}${error ? ` (fetch failed: ${error})` : ''}`);
+        }
+        servicesByRegion[code] = services;
+    });
+
+    const allServices = [...new Set(codes.flatMap(code => [...servicesByRegion[code]]))].sort();
+    const offeredIn = (service) => codes.filter(code => servicesByRegion[code].has(service));
+
+    const shared = allServices
+        .filter(service => offeredIn(service).length === codes.length)
+        .map(service => query.describeService(service));
+
+    const unique = {};
+    const missing = {};
+    codes.forEach(code => {
+        unique[code] = allServices
+            .filter(service => {
+                const regions = offeredIn(service);
+                return regions.length === 1 && regions[0] === code;
+            })
+            .map(service => query.describeService(service));
+
+        missing[code] = allServices
+            .filter(service => !servicesByRegion[code].has(service))
+            .map(service => query.describeService(service));
+    });
+
+    const matrix = allServices.map(service => {
+        const regions = {};
+        codes.forEach(code => {
+            regions[code] = servicesByRegion[code].has(service);
+        });
+        return { ...query.describeService(service), regions };
+    });
+
+    const pairs = [];
+    for (let i = 0; i < codes.length; i++) {
+        for (let j = i + 1; j < codes.length; j++) {
+            const a = servicesByRegion[codes[i]];
+            const b = servicesByRegion[codes[j]];
+            const sharedCount = [...a].filter(service => b.has(service)).length;
+            const unionCount = a.size + b.size - sharedCount;
+
+            pairs.push({
+                a: codes[i],
+                b: codes[j],
+                shared: sharedCount,
+                onlyInA: a.size - sharedCount,
+                onlyInB: b.size - sharedCount,
+                parity: toPercent(sharedCount, unionCount),
+                coverage: {
+                    bCoversA: toPercent(sharedCount, a.size),
+                    aCoversB: toPercent(sharedCount, b.size)
+                }
+            });
+        }
+    }
+
+    return {
+        regions: codes.map(code => ({
+            ...query.describeRegion(code),
+            serviceCount: servicesByRegion[code].size
+        })),
+        totalServices: allServices.length,
+        shared,
+        unique,
+        missing,
+        matrix,
+        pairs
+    };
+}
+
+module.exports = { compareRegions };
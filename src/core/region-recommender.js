@@ -0,0 +1,150 @@
+/**
+ * Region Recommender - Rank regions for a required service set
+ *
+ * Filters regions by geography and opt-in status, ranks those offering every
+ * required service (and meeting the minimum AZ count), and lists near-misses
+ * with what they lack. Builds on discoverRegions output (names, AZ counts) and
+ * the servicesByRegion mapping in complete-data.json.
+ */
+
+const AvailabilityQuery = require('./availability-query');
+const { REGION_METADATA } = require('./region-metadata');
+
+// Geography -> region code prefixes
+const GEOGRAPHIES = {
+    'north-america': ['us', 'ca', 'mx'],
+    'south-america': ['sa'],
+    'europe': ['eu'],
+    'asia-pacific': ['ap'],
+    'middle-east': ['me', 'il'],
+    'africa': ['af']
+};
+
+/**
+ * Geography for a region code, or null if the prefix is not recognized
+ */
+function getGeography(code) {
+    const prefix = code.split('-')[0];
+    const match = Object.entries(GEOGRAPHIES).find(([, prefixes]) => prefixes.includes(prefix));
+    return match ? match[0] : null;
+}
+
+/**
+ * Opt-in status from the region record, falling back to the bundled metadata
+ * for datasets written before regions carried optInRequired
+ */
+function isOptInRegion(region) {
+    if (typeof region.optInRequired === 'boolean') {
+        return region.optInRequired;
+    }
+    return REGION_METADATA[region.code]?.optInRequired === true;
+}
+
+/**
+ * Rank regions that satisfy a required service set and constraints
+ *
+ * @param {Object} completeData - complete-data.json contents (needs regions and servicesByRegion)
+ * @param {string[]} requiredServices - Service codes every candidate must offer
+ * @param {Object} [options]
+ * @param {string[]} [options.geographies] - Geography names (see GEOGRAPHIES) or region code prefixes
+ * @param {number} [options.minAvailabilityZones] - Minimum AZ count
+ * @param {boolean} [options.excludeOptIn] - Skip regions that require opt-in
+ * @param {number} [options.maxMissing=3] - Most unmet requirements a near-miss may have
+ * @param {Object<string, string>} [options.serviceNames] - Service code -> long name
+ * @returns {Object} Recommendation:
+ *   - matches: regions meeting every requirement, best first
+ *   - nearMisses: [{ ...region, missing: [services], availabilityZoneShortfall }]
+ *   - excluded: [{ code, name, reason }] regions filtered out by geography/opt-in or unknown data
+ */
+function recommendRegions(completeData, requiredServices, options = {}) {
+    const {
+        geographies = [],
+        minAvailabilityZones = 0,
+        excludeOptIn = false,
+        maxMissing = 3,
+        serviceNames = {}
+    } = options;
+
+    const services = [...new Set(requiredServices)];
+    if (services.length === 0) {
+        throw new Error('Region recommendation needs at least one required service code');
+    }
+
+    const prefixes = new Set(geographies.flatMap(geography => {
+        if (GEOGRAPHIES[geography]) return GEOGRAPHIES[geography];
+        if (Object.values(GEOGRAPHIES).some(list => list.includes(geography))) return [geography];
+        throw new Error(`Unknown geography: ${geography} (expected ${Object.keys(GEOGRAPHIES).join(', ')} or a region code prefix)`);
+    }));
+
+    const query = new AvailabilityQuery(completeData, serviceNames);
+    const matches = [];
+    const nearMisses = [];
+    const excluded = [];
+
+    (completeData.regions?.regions || []).forEach(region => {
+        const candidate = {
+            code: region.code,
+            name: region.name,
+            geography: getGeography(region.code),
+            availabilityZones: region.availabilityZones || 0,
+            optInRequired: isOptInRegion(region)
+        };
+
+        if (prefixes.size > 0 && !prefixes.has(region.code.split('-')[0])) {
+            excluded.push({ code: candidate.code, name: candidate.name, reason: 'geography' });
+            return;
+        }
+        if (excludeOptIn && candidate.optInRequired) {
+            excluded.push({ code: candidate.code, name: candidate.name, reason: 'opt-in' });
+            return;
+        }
+
+        const available = query.getRegionServices(region.code);
+        if (!available) {
+            excluded.push({ code: candidate.code, name: candidate.name, reason: 'no service data' });
+            return;
+        }
+
+        candidate.serviceCount = available.size;
+        const missing = services.filter(service => !available.has(service));
+        const availabilityZoneShortfall = Math.max(0, minAvailabilityZones - candidate.availabilityZones);
+        const unmet = missing.length + (availabilityZoneShortfall > 0 ? 1 : 0);
+
+        if (unmet === 0) {
+            matches.push(candidate);
+        } else if (unmet <= maxMissing) {
+            nearMisses.push({
+                ...candidate,
+                missing: missing.map(code => query.describeService(code)),
+                availabilityZoneShortfall
+            });
+        }
+    });
+
+    // More AZs first, then broader service catalog (room to grow), then code for stable output
+    const rank = (a, b) => b.availabilityZones - a.availabilityZones ||
+        b.serviceCount - a.serviceCount ||
+        a.code.localeCompare(b.code);
+
+    matches.sort(rank);
+    nearMisses.sort((a, b) => a.missing.length - b.missing.length ||
+        a.availabilityZoneShortfall - b.availabilityZoneShortfall ||
+        rank(a, b));
+
+    return {
+        required: services.map(code => query.describeService(code)),
+        unknownServices: services.filter(code => !query.knownServices.has(code)),
+        constraints: {
+            geographies,
+            minAvailabilityZones,
+            excludeOptIn,
+            maxMissing
+        },
+        matches,
+        nearMisses,
+        excluded,
+        available: matches.length > 0
+    };
+}
+
+module.exports = { recommendRegions, getGeography, GEOGRAPHIES };
@@ -0,0 +1,172 @@
+/**
+ * Request Scheduler - Shared rate limiting for SSM calls
+ *
+ * Every SSM request made by a fetcher goes through one scheduler: a token
+ * bucket refilled at the current target rate (TPS) plus a cap on requests in
+ * flight. On ThrottlingException the rate is halved (at most once per second)
+ * and the request retried with backoff; after about a second's worth of clean
+ * responses the rate ramps back up by one TPS, up to the configured maximum.
+ *
+ * map() runs tasks on a fixed-size worker pool, so a slow task never holds up
+ * the others the way a fixed batch waits on its slowest member.
+ */
+
+const chalk = require('chalk');
+const config = require('./config');
+
+function isThrottlingError(error) {
+    return error.name === 'ThrottlingException' ||
+        error.name === 'TooManyRequestsException' ||
+        (error.message || '').includes('Rate exceeded');
+}
+
+class RequestScheduler {
+    /**
+     * @param {Object} client - AWS SDK v3 client (anything with send(command))
+     * @param {Object} [options] - Overrides for config.rateLimit
+     */
+    constructor(client, options = {}) {
+        const settings = { ...config.rateLimit, ...options };
+
+        this.client = client;
+        this.minTps = settings.minTps;
+        this.maxTps = settings.maxTps;
+        this.maxInFlight = settings.maxInFlight;
+        this.maxRetries = settings.maxRetries ?? config.ssm.maxRetries;
+        this.baseDelay = settings.baseDelay ?? config.ssm.baseDelay;
+        this.rate = Math.min(this.maxTps, Math.max(this.minTps, settings.targetTps));
+
+        this.tokens = 1;
+        this.lastRefill = Date.now();
+        this.lastBackoff = 0;
+        this.inFlight = 0;
+        this.queue = [];
+        this.timer = null;
+        this.successStreak = 0;
+        this.stats = { requests: 0, throttled: 0, failed: 0 };
+    }
+
+    refill() {
+        const now = Date.now();
+        // Bucket holds at most one second of requests, so bursts stay near the target rate
+        this.tokens = Math.min(Math.max(1, this.rate), this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Hand out tokens to queued requests while the bucket and in-flight cap allow
+     */
+    pump() {
+        if (this.timer) return;
+
+        while (this.queue.length > 0 && this.inFlight < this.maxInFlight) {
+            this.refill();
+            if (this.tokens < 1) {
+                const waitMs = Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.pump();
+                }, waitMs);
+                return;
+            }
+
+            this.tokens -= 1;
+            this.inFlight++;
+            this.queue.shift()();
+        }
+    }
+
+    acquire() {
+        return new Promise(resolve => {
+            this.queue.push(resolve);
+            this.pump();
+        });
+    }
+
+    release() {
+        this.inFlight--;
+        this.pump();
+    }
+
+    onSuccess() {
+        this.successStreak++;
+        if (this.successStreak >= Math.ceil(this.rate) && this.rate < this.maxTps) {
+            this.rate = Math.min(this.maxTps, this.rate + 1);
+            this.successStreak = 0;
+        }
+    }
+
+    onThrottle() {
+        this.stats.throttled++;
+        this.successStreak = 0;
+
+        // Concurrent throttles from one burst count as a single signal
+        const now = Date.now();
+        if (now - this.lastBackoff < 1000) return;
+        this.lastBackoff = now;
+
+        const previous = this.rate;
+        this.rate = Math.max(this.minTps, this.rate / 2);
+        this.tokens = 0;
+        console.log(chalk.yellow(`   ⚠️  SSM throttling, request rate ${previous.toFixed(1)} → ${this.rate.toFixed(1)} TPS`));
+    }
+
+    /**
+     * Send a command through the rate limiter, retrying throttled requests
+     */
+    async send(command) {
+        for (let attempt = 0; ; attempt++) {
+            await this.acquire();
+            this.stats.requests++;
+
+            let throttled = false;
+            try {
+                const response = await this.client.send(command);
+                this.onSuccess();
+                return response;
+            } catch (error) {
+                if (!isThrottlingError(error) || attempt >= this.maxRetries) {
+                    this.stats.failed++;
+                    throw error;
+                }
+                throttled = true;
+                this.onThrottle();
+            } finally {
+                this.release();
+            }
+
+            if (throttled) {
+                await new Promise(resolve => setTimeout(resolve, this.baseDelay * Math.pow(2, attempt + 1)));
+            }
+        }
+    }
+
+    /**
+     * Run worker(item, index) for every item on a pool of `concurrency` workers
+     * Results keep the order of items; a rejected worker rejects the whole map.
+     */
+    async map(items, worker, concurrency) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        const runWorker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await worker(items[index], index);
+            }
+        };
+
+        const poolSize = Math.max(1, Math.min(concurrency, items.length));
+        await Promise.all(Array.from({ length: poolSize }, runWorker));
+        return results;
+    }
+
+    /**
+     * One-line summary for the end of a run
+     */
+    describe() {
+        return `${this.stats.requests} SSM requests, ${this.stats.throttled} throttled, final rate ${this.rate.toFixed(1)} TPS`;
+    }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,357 @@
+/**
+ * Resource Type -> SSM Service Code Mapping
+ *
+ * Maps CloudFormation/SAM resource types and Terraform AWS provider resource
+ * types to the service codes discovered by discoverServices()
+ * (/aws/service/global-infrastructure/services/<code>).
+ *
+ * Maintenance notes:
+ * - CloudFormation types are matched by full type first, then by namespace (AWS::<Service>).
+ * - Terraform types are matched by full type first, then by longest prefix (aws_<service>_).
+ * - A mapping to a code that is not in the current dataset is reported as unresolved,
+ *   so a stale or wrong entry shows up in the report rather than passing silently.
+ * - GLOBAL entries are not region-scoped (or are always present); they are listed but not checked.
+ */
+
+const GLOBAL = null;
+
+// Full CloudFormation types that differ from their namespace mapping
+const CLOUDFORMATION_TYPES = {
+    'AWS::Serverless::Function': 'lambda',
+    'AWS::Serverless::LayerVersion': 'lambda',
+    'AWS::Serverless::Api': 'apigateway',
+    'AWS::Serverless::HttpApi': 'apigateway',
+    'AWS::Serverless::SimpleTable': 'dynamodb',
+    'AWS::Serverless::StateMachine': 'stepfunctions',
+    'AWS::Serverless::Application': 'serverlessrepo',
+    'AWS::Serverless::GraphQLApi': 'appsync',
+    'AWS::Serverless::Connector': GLOBAL,
+    'AWS::EC2::FlowLog': 'ec2',
+    'AWS::Logs::LogGroup': 'logs'
+};
+
+// CloudFormation namespaces (AWS::<Namespace>::*)
+const CLOUDFORMATION_NAMESPACES = {
+    'AWS::ACMPCA': 'acm-pca',
+    'AWS::AmazonMQ': 'mq',
+    'AWS::Amplify': 'amplify',
+    'AWS::ApiGateway': 'apigateway',
+    'AWS::ApiGatewayV2': 'apigateway',
+    'AWS::AppConfig': 'appconfig',
+    'AWS::AppFlow': 'appflow',
+    'AWS::AppMesh': 'appmesh',
+    'AWS::AppRunner': 'apprunner',
+    'AWS::AppStream': 'appstream',
+    'AWS::AppSync': 'appsync',
+    'AWS::ApplicationAutoScaling': 'application-autoscaling',
+    'AWS::Athena': 'athena',
+    'AWS::AutoScaling': 'autoscaling',
+    'AWS::Backup': 'backup',
+    'AWS::Batch': 'batch',
+    'AWS::Bedrock': 'bedrock',
+    'AWS::CertificateManager': 'acm',
+    'AWS::Cloud9': 'cloud9',
+    'AWS::CloudFormation': GLOBAL,
+    'AWS::CloudFront': GLOBAL,
+    'AWS::CloudTrail': 'cloudtrail',
+    'AWS::CloudWatch': 'cloudwatch',
+    'AWS::CodeArtifact': 'codeartifact',
+    'AWS::CodeBuild': 'codebuild',
+    'AWS::CodeCommit': 'codecommit',
+    'AWS::CodeDeploy': 'codedeploy',
+    'AWS::CodePipeline': 'codepipeline',
+    'AWS::Cognito': 'cognito-idp',
+    'AWS::Comprehend': 'comprehend',
+    'AWS::Config': 'config',
+    'AWS::Connect': 'connect',
+    'AWS::DAX': 'dax',
+    'AWS::DMS': 'dms',
+    'AWS::DataSync': 'datasync',
+    'AWS::DirectoryService': 'ds',
+    'AWS::DocDB': 'docdb',
+    'AWS::DynamoDB': 'dynamodb',
+    'AWS::EC2': 'ec2',
+    'AWS::ECR': 'ecr',
+    'AWS::ECS': 'ecs',
+    'AWS::EFS': 'efs',
+    'AWS::EKS': 'eks',
+    'AWS::EMR': 'emr',
+    'AWS::EMRServerless': 'emr-serverless',
+    'AWS::ElastiCache': 'elasticache',
+    'AWS::ElasticBeanstalk': 'elasticbeanstalk',
+    'AWS::ElasticLoadBalancing': 'elb',
+    'AWS::ElasticLoadBalancingV2': 'elb',
+    'AWS::Elasticsearch': 'es',
+    'AWS::Events': 'events',
+    'AWS::FSx': 'fsx',
+    'AWS::GameLift': 'gamelift',
+    'AWS::Glue': 'glue',
+    'AWS::GuardDuty': 'guardduty',
+    'AWS::IAM': GLOBAL,
+    'AWS::ImageBuilder': 'imagebuilder',
+    'AWS::Inspector': 'inspector',
+    'AWS::InspectorV2': 'inspector2',
+    'AWS::IoT': 'iot',
+    'AWS::KMS': 'kms',
+    'AWS::Kendra': 'kendra',
+    'AWS::Kinesis': 'kinesis',
+    'AWS::KinesisAnalytics': 'kinesisanalytics',
+    'AWS::KinesisAnalyticsV2': 'kinesisanalytics',
+    'AWS::KinesisFirehose': 'firehose',
+    'AWS::KinesisVideo': 'kinesisvideo',
+    'AWS::LakeFormation': 'lakeformation',
+    'AWS::Lambda': 'lambda',
+    'AWS::Lex': 'lex',
+    'AWS::Lightsail': 'lightsail',
+    'AWS::Logs': 'logs',
+    'AWS::MSK': 'msk',
+    'AWS::Macie': 'macie',
+    'AWS::MediaConvert': 'mediaconvert',
+    'AWS::MediaLive': 'medialive',
+    'AWS::MediaPackage': 'mediapackage',
+    'AWS::MemoryDB': 'memorydb',
+    'AWS::Neptune': 'neptune',
+    'AWS::NetworkFirewall': 'network-firewall',
+    'AWS::OpenSearchServerless': 'aoss',
+    'AWS::OpenSearchService': 'es',
+    'AWS::Organizations': GLOBAL,
+    'AWS::Personalize': 'personalize',
+    'AWS::Pinpoint': 'pinpoint',
+    'AWS::Pipes': 'pipes',
+    'AWS::QLDB': 'qldb',
+    'AWS::RAM': 'ram',
+    'AWS::RDS': 'rds',
+    'AWS::Redshift': 'redshift',
+    'AWS::RedshiftServerless': 'redshift-serverless',
+    'AWS::Rekognition': 'rekognition',
+    'AWS::ResourceGroups': 'resource-groups',
+    'AWS::Route53': GLOBAL,
+    'AWS::Route53Resolver': 'route53resolver',
+    'AWS::S3': 's3',
+    'AWS::S3Express': 's3',
+    'AWS::SES': 'ses',
+    'AWS::SNS': 'sns',
+    'AWS::SQS': 'sqs',
+    'AWS::SSM': 'ssm',
+    'AWS::SageMaker': 'sagemaker',
+    'AWS::Scheduler': 'scheduler',
+    'AWS::SecretsManager': 'secretsmanager',
+    'AWS::SecurityHub': 'securityhub',
+    'AWS::ServiceCatalog': 'servicecatalog',
+    'AWS::ServiceDiscovery': 'cloudmap',
+    'AWS::Shield': GLOBAL,
+    'AWS::StepFunctions': 'stepfunctions',
+    'AWS::Synthetics': 'synthetics',
+    'AWS::Timestream': 'timestream',
+    'AWS::Transfer': 'transfer',
+    'AWS::VpcLattice': 'vpc-lattice',
+    'AWS::WAF': GLOBAL,
+    'AWS::WAFRegional': 'waf-regional',
+    'AWS::WAFv2': 'wafv2',
+    'AWS::WorkSpaces': 'workspaces',
+    'AWS::XRay': 'xray'
+};
+
+// Full Terraform types whose name is also the prefix of another service's types
+const TERRAFORM_TYPES = {
+    'aws_vpc': 'ec2'
+};
+
+// Terraform AWS provider resource type prefixes (longest match wins)
+const TERRAFORM_PREFIXES = {
+    'aws_acm_': 'acm',
+    'aws_acmpca_': 'acm-pca',
+    'aws_ami': 'ec2',
+    'aws_amplify_': 'amplify',
+    'aws_api_gateway_': 'apigateway',
+    'aws_apigatewayv2_': 'apigateway',
+    'aws_appautoscaling_': 'application-autoscaling',
+    'aws_appconfig_': 'appconfig',
+    'aws_appflow_': 'appflow',
+    'aws_appmesh_': 'appmesh',
+    'aws_apprunner_': 'apprunner',
+    'aws_appstream_': 'appstream',
+    'aws_appsync_': 'appsync',
+    'aws_athena_': 'athena',
+    'aws_autoscaling_': 'autoscaling',
+    'aws_backup_': 'backup',
+    'aws_batch_': 'batch',
+    'aws_bedrock_': 'bedrock',
+    'aws_bedrockagent_': 'bedrock',
+    'aws_cloud9_': 'cloud9',
+    'aws_cloudformation_': GLOBAL,
+    'aws_cloudfront_': GLOBAL,
+    'aws_cloudtrail': 'cloudtrail',
+    'aws_cloudwatch_event_': 'events',
+    'aws_cloudwatch_log_': 'logs',
+    'aws_cloudwatch_': 'cloudwatch',
+    'aws_codeartifact_': 'codeartifact',
+    'aws_codebuild_': 'codebuild',
+    'aws_codecommit_': 'codecommit',
+    'aws_codedeploy_': 'codedeploy',
+    'aws_codepipeline': 'codepipeline',
+    'aws_cognito_identity_pool': 'cognito-identity',
+    'aws_cognito_': 'cognito-idp',
+    'aws_config_': 'config',
+    'aws_connect_': 'connect',
+    'aws_customer_gateway': 'ec2',
+    'aws_datasync_': 'datasync',
+    'aws_dax_': 'dax',
+    'aws_db_': 'rds',
+    'aws_default_': 'ec2',
+    'aws_directory_service_': 'ds',
+    'aws_dms_': 'dms',
+    'aws_docdb_': 'docdb',
+    'aws_dynamodb_': 'dynamodb',
+    'aws_ebs_': 'ec2',
+    'aws_ec2_': 'ec2',
+    'aws_ecr_': 'ecr',
+    'aws_ecs_': 'ecs',
+    'aws_efs_': 'efs',
+    'aws_egress_only_internet_gateway': 'ec2',
+    'aws_eip': 'ec2',
+    'aws_eks_': 'eks',
+    'aws_elastic_beanstalk_': 'elasticbeanstalk',
+    'aws_elasticache_': 'elasticache',
+    'aws_elasticsearch_': 'es',
+    'aws_elb': 'elb',
+    'aws_emr_': 'emr',
+    'aws_emrserverless_': 'emr-serverless',
+    'aws_flow_log': 'ec2',
+    'aws_fsx_': 'fsx',
+    'aws_gamelift_': 'gamelift',
+    'aws_glue_': 'glue',
+    'aws_guardduty_': 'guardduty',
+    'aws_iam_': GLOBAL,
+    'aws_imagebuilder_': 'imagebuilder',
+    'aws_inspector2_': 'inspector2',
+    'aws_inspector_': 'inspector',
+    'aws_instance': 'ec2',
+    'aws_internet_gateway': 'ec2',
+    'aws_iot_': 'iot',
+    'aws_key_pair': 'ec2',
+    'aws_kendra_': 'kendra',
+    'aws_kinesis_firehose_': 'firehose',
+    'aws_kinesis_video_': 'kinesisvideo',
+    'aws_kinesis_analytics_': 'kinesisanalytics',
+    'aws_kinesisanalyticsv2_': 'kinesisanalytics',
+    'aws_kinesis_': 'kinesis',
+    'aws_kms_': 'kms',
+    'aws_lakeformation_': 'lakeformation',
+    'aws_lambda_': 'lambda',
+    'aws_launch_template': 'ec2',
+    'aws_lb': 'elb',
+    'aws_lex_': 'lex',
+    'aws_lightsail_': 'lightsail',
+    'aws_macie2_': 'macie',
+    'aws_main_route_table_association': 'ec2',
+    'aws_media_convert_': 'mediaconvert',
+    'aws_medialive_': 'medialive',
+    'aws_memorydb_': 'memorydb',
+    'aws_mq_': 'mq',
+    'aws_msk_': 'msk',
+    'aws_nat_gateway': 'ec2',
+    'aws_neptune_': 'neptune',
+    'aws_network_acl': 'ec2',
+    'aws_network_interface': 'ec2',
+    'aws_networkfirewall_': 'network-firewall',
+    'aws_opensearch_': 'es',
+    'aws_opensearchserverless_': 'aoss',
+    'aws_organizations_': GLOBAL,
+    'aws_pinpoint_': 'pinpoint',
+    'aws_pipes_': 'pipes',
+    'aws_placement_group': 'ec2',
+    'aws_qldb_': 'qldb',
+    'aws_ram_': 'ram',
+    'aws_rds_': 'rds',
+    'aws_redshift_': 'redshift',
+    'aws_redshiftserverless_': 'redshift-serverless',
+    'aws_rekognition_': 'rekognition',
+    'aws_resourcegroups_': 'resource-groups',
+    'aws_route53_resolver_': 'route53resolver',
+    'aws_route53_': GLOBAL,
+    'aws_route': 'ec2',
+    'aws_s3_': 's3',
+    'aws_s3control_': 's3',
+    'aws_sagemaker_': 'sagemaker',
+    'aws_scheduler_': 'scheduler',
+    'aws_secretsmanager_': 'secretsmanager',
+    'aws_security_group': 'ec2',
+    'aws_securityhub_': 'securityhub',
+    'aws_service_discovery_': 'cloudmap',
+    'aws_servicecatalog_': 'servicecatalog',
+    'aws_ses_': 'ses',
+    'aws_sesv2_': 'ses',
+    'aws_sfn_': 'stepfunctions',
+    'aws_shield_': GLOBAL,
+    'aws_sns_': 'sns',
+    'aws_spot_': 'ec2',
+    'aws_sqs_': 'sqs',
+    'aws_ssm_': 'ssm',
+    'aws_subnet': 'ec2',
+    'aws_synthetics_': 'synthetics',
+    'aws_timestreamwrite_': 'timestream',
+    'aws_transfer_': 'transfer',
+    'aws_volume_attachment': 'ec2',
+    'aws_vpc_': 'ec2',
+    'aws_vpclattice_': 'vpc-lattice',
+    'aws_vpn_': 'ec2',
+    'aws_waf_': GLOBAL,
+    'aws_wafregional_': 'waf-regional',
+    'aws_wafv2_': 'wafv2',
+    'aws_workspaces_': 'workspaces',
+    'aws_xray_': 'xray'
+};
+
+const TERRAFORM_PREFIX_LIST = Object.keys(TERRAFORM_PREFIXES).sort((a, b) => b.length - a.length);
+
+/**
+ * Resolve a resource type to an SSM service code
+ *
+ * @param {string} type - CloudFormation (AWS::S3::Bucket) or Terraform (aws_s3_bucket) type
+ * @returns {{ mapped: boolean, global: boolean, service: string|null }}
+ *   mapped=false when no mapping exists; global=true for resources not checked per region
+ */
+function resolveResourceType(type) {
+    if (type.startsWith('Custom::') || type === 'AWS::CloudFormation::CustomResource') {
+        return { mapped: true, global: true, service: null };
+    }
+
+    if (type.startsWith('AWS::')) {
+        let service;
+        if (Object.prototype.hasOwnProperty.call(CLOUDFORMATION_TYPES, type)) {
+            service = CLOUDFORMATION_TYPES[type];
+        } else {
+            const namespace = type.split('::').slice(0, 2).join('::');
+            if (!Object.prototype.hasOwnProperty.call(CLOUDFORMATION_NAMESPACES, namespace)) {
+                return { mapped: false, global: false, service: null };
+            }
+            service = CLOUDFORMATION_NAMESPACES[namespace];
+        }
+        return { mapped: true, global: service === GLOBAL, service };
+    }
+
+    if (Object.prototype.hasOwnProperty.call(TERRAFORM_TYPES, type)) {
+        const service = TERRAFORM_TYPES[type];
+        return { mapped: true, global: service === GLOBAL, service };
+    }
+
+    if (type.startsWith('aws_')) {
+        const prefix = TERRAFORM_PREFIX_LIST.find(candidate => type.startsWith(candidate));
+        if (!prefix) {
+            return { mapped: false, global: false, service: null };
+        }
+        const service = TERRAFORM_PREFIXES[prefix];
+        return { mapped: true, global: service === GLOBAL, service };
+    }
+
+    return { mapped: false, global: false, service: null };
+}
+
+module.exports = {
+    CLOUDFORMATION_TYPES,
+    CLOUDFORMATION_NAMESPACES,
+    TERRAFORM_TYPES,
+    TERRAFORM_PREFIXES,
+    resolveResourceType
+};
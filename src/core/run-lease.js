@@ -0,0 +1,160 @@
+/**
+ * Run Lease - One fetch at a time per dataset
+ *
+ * Before a run writes anything it takes a lease object through the storage
+ * layer (`locks/run-lease.json` in S3, `.run-lease/` locally) naming its
+ * owner and an expiry. A heartbeat keeps extending the expiry while the run is
+ * alive; a run that crashes or times out stops renewing, so its lease can be
+ * reclaimed once it expires. Every lease write is conditional on the version
+ * that was read, so two runs can never both believe they hold the lease.
+ */
+
+const chalk = require('chalk');
+const crypto = require('crypto');
+const config = require('./config');
+const StorageConflictError = require('../storage/storage-conflict-error');
+
+const BUSY_ACTIONS = ['skip', 'wait'];
+
+class RunLease {
+    /**
+     * @param {Object} storage - Storage implementing loadLease()/saveLease()
+     * @param {Object} options - Overrides for config.lease, plus:
+     * @param {string} options.owner - Who holds the lease (Lambda request id, CLI host and pid)
+     */
+    constructor(storage, { owner, ...settings }) {
+        this.storage = storage;
+        this.owner = owner;
+        this.settings = { ...config.lease, ...settings };
+        if (!BUSY_ACTIONS.includes(this.settings.onBusy)) {
+            throw new Error(`Unknown lease onBusy action: ${this.settings.onBusy} (expected ${BUSY_ACTIONS.join(' or ')})`);
+        }
+
+        this.lease = null;
+        this.version = null;
+        this.timer = null;
+        this.lost = false;
+    }
+
+    static isLive(lease, now = Date.now()) {
+        return Boolean(lease) && !lease.releasedAt && Date.parse(lease.expiresAt) > now;
+    }
+
+    /**
+     * Take the lease, reclaiming it if the previous holder's lease expired
+     * With onBusy "wait", a live lease is polled until free or waitTimeout passes.
+     *
+     * @returns {Promise<{acquired: boolean, holder?: Object, reclaimed?: Object}>}
+     *   holder: the live lease that blocked this run; reclaimed: the expired lease taken over
+     */
+    async acquire() {
+        const waitUntil = Date.now() + (this.settings.onBusy === 'wait' ? this.settings.waitTimeout : 0);
+
+        for (;;) {
+            const result = await this.tryAcquire();
+            if (result.acquired || Date.now() + this.settings.pollInterval > waitUntil) {
+                return result;
+            }
+
+            console.log(chalk.gray(`   ⏳ Run lease held by ${result.holder.owner} until ${result.holder.expiresAt}, waiting...`));
+            await new Promise(resolve => setTimeout(resolve, this.settings.pollInterval));
+        }
+    }
+
+    async tryAcquire() {
+        const current = await this.storage.loadLease();
+        if (current && RunLease.isLive(current.lease)) {
+            return { acquired: false, holder: current.lease };
+        }
+
+        const now = Date.now();
+        const lease = {
+            owner: this.owner,
+            token: crypto.randomUUID(),
+            acquiredAt: new Date(now).toISOString(),
+            heartbeatAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.settings.ttl).toISOString()
+        };
+
+        try {
+            this.version = await this.storage.saveLease(lease, current ? current.version : null);
+        } catch (error) {
+            if (!(error instanceof StorageConflictError)) throw error;
+
+            // Another run took the lease between our read and write
+            const winner = await this.storage.loadLease();
+            return { acquired: false, holder: winner ? winner.lease : null };
+        }
+
+        this.lease = lease;
+        this.startHeartbeat();
+
+        const reclaimed = current && !current.lease.releasedAt ? current.lease : null;
+        if (reclaimed) {
+            console.log(chalk.yellow(`   ⚠️  Reclaimed expired run lease from ${reclaimed.owner} (expired ${reclaimed.expiresAt})`));
+        }
+        console.log(chalk.gray(`   🔒 Run lease acquired by ${this.owner}`));
+        return { acquired: true, reclaimed };
+    }
+
+    startHeartbeat() {
+        this.timer = setInterval(() => {
+            this.heartbeat().catch(error => {
+                console.warn(chalk.yellow(`   ⚠️  Run lease heartbeat failed: ${error.message}`));
+            });
+        }, this.settings.heartbeatInterval);
+        // The heartbeat alone must not keep the process alive
+        this.timer.unref();
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Extend the lease expiry
+     * If the lease was reclaimed meanwhile (this run stalled past its expiry) it is
+     * marked lost and no longer renewed.
+     */
+    async heartbeat() {
+        if (!this.lease || this.lost) return;
+
+        const now = Date.now();
+        const renewed = {
+            ...this.lease,
+            heartbeatAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.settings.ttl).toISOString()
+        };
+
+        try {
+            this.version = await this.storage.saveLease(renewed, this.version);
+            this.lease = renewed;
+        } catch (error) {
+            if (!(error instanceof StorageConflictError)) throw error;
+            this.lost = true;
+            this.stopHeartbeat();
+            console.warn(chalk.yellow('   ⚠️  Run lease was taken over by another run; this run no longer holds it'));
+        }
+    }
+
+    /**
+     * Give the lease up so the next run doesn't have to wait for it to expire
+     */
+    async release() {
+        this.stopHeartbeat();
+        if (!this.lease || this.lost) return;
+
+        const now = new Date().toISOString();
+        try {
+            await this.storage.saveLease({ ...this.lease, releasedAt: now, expiresAt: now }, this.version);
+            console.log(chalk.gray('   🔓 Run lease released'));
+        } catch (error) {
+            // An unreleased lease only delays the next run until it expires
+            console.warn(chalk.yellow(`   ⚠️  Failed to release run lease: ${error.message}`));
+        }
+        this.lease = null;
+    }
+}
+
+module.exports = RunLease;
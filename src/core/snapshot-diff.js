@@ -0,0 +1,263 @@
+/**
+ * Snapshot Diff - Compare two complete-data snapshots
+ *
+ * Resolves snapshots by date (from the history snapshots in storage), by file
+ * path, or "current" (the latest complete-data.json), and produces a structured
+ * diff of regions, services, AZ counts and region/service pairs. Detection reuses
+ * ChangeTracker so the diff agrees with what change tracking would record.
+ */
+
+const chalk = require('chalk');
+const fs = require('fs').promises;
+const ChangeTracker = require('./change-tracker');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class SnapshotDiff {
+    constructor(storage) {
+        this.storage = storage;
+        // Detection methods are pure; the tracker never touches storage here
+        this.tracker = new ChangeTracker(storage);
+    }
+
+    /**
+     * Load a snapshot by reference
+     *
+     * @param {string} ref - "current", a date (YYYY-MM-DD: latest history snapshot taken
+     *                       on or before that day) or a path to a complete-data JSON file
+     * @returns {Promise<{ref: string, source: string, timestamp: string|null, data: Object}>}
+     */
+    async resolveSnapshot(ref) {
+        if (!ref || ref === 'current') {
+            const data = await this.storage.loadComplete();
+            if (!data) {
+                throw new Error('No current complete-data.json found in storage');
+            }
+            return { ref: 'current', source: 'complete-data.json', timestamp: data.metadata?.timestamp || null, data };
+        }
+
+        if (DATE_PATTERN.test(ref)) {
+            const endOfDay = new Date(`${ref}T23:59:59.999Z`).getTime();
+            const listings = await this.storage.listHistorySnapshots();
+            const candidates = listings.filter(listing => listing.timestamp <= endOfDay);
+
+            if (candidates.length === 0) {
+                throw new Error(`No history snapshot found on or before ${ref}`);
+            }
+
+            const listing = candidates[candidates.length - 1];
+            const data = await this.storage.loadHistorySnapshot(listing.id);
+            return {
+                ref,
+                source: listing.id,
+                timestamp: data.metadata?.timestamp || new Date(listing.timestamp).toISOString(),
+                data
+            };
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(ref, 'utf8'));
+            return { ref, source: ref, timestamp: data.metadata?.timestamp || null, data };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`Snapshot not found: ${ref} (expected "current", YYYY-MM-DD or a file path)`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Compute a structured diff between two snapshot data objects
+     * Service names are taken from services.json where available. Sections missing
+     * from either snapshot (regions-only or services-only runs) are not compared and
+     * are listed in `notCompared` rather than reported as added or removed.
+     */
+    compare(fromData, toData, serviceNames = {}) {
+        const regionName = (code) => {
+            const region = (toData.regions?.regions || []).find(r => r.code === code) ||
+                (fromData.regions?.regions || []).find(r => r.code === code);
+            return region?.name || code;
+        };
+        const serviceName = (code) => serviceNames[code] || code;
+
+        const addedRegions = this.tracker.detectNewRegions(toData.regions, fromData.regions);
+        const removedRegions = this.tracker.detectRemovedRegions(toData.regions, fromData.regions);
+        const addedServices = this.tracker.detectNewServices(toData.services, fromData.services);
+        const removedServices = this.tracker.detectRemovedServices(toData.services, fromData.services);
+        const addedPairs = this.tracker.detectNewRegionalServices(toData, fromData);
+        const removedPairs = this.tracker.detectRemovedRegionalServices(toData, fromData);
+        const azChanges = this.tracker.detectModifiedRegions(toData.regions, fromData.regions)
+            .filter(change => change.field === 'availabilityZones');
+
+        const diff = {
+            regions: {
+                added: addedRegions.map(r => ({ code: r.code, name: r.name, availabilityZones: r.availabilityZones })),
+                removed: removedRegions.map(r => ({ code: r.code, name: r.name }))
+            },
+            services: {
+                added: addedServices.map(code => ({ code, name: serviceName(code) })),
+                removed: removedServices.map(code => ({ code, name: serviceName(code) }))
+            },
+            availabilityZones: azChanges.map(({ code, from, to }) => ({ code, name: regionName(code), from, to })),
+            regionalServices: {
+                added: addedPairs,
+                removed: removedPairs
+            }
+        };
+
+        diff.summary = {
+            regionsAdded: diff.regions.added.length,
+            regionsRemoved: diff.regions.removed.length,
+            servicesAdded: diff.services.added.length,
+            servicesRemoved: diff.services.removed.length,
+            azCountChanges: diff.availabilityZones.length,
+            regionalServicesAdded: addedPairs.length,
+            regionalServicesRemoved: removedPairs.length
+        };
+        diff.hasChanges = Object.values(diff.summary).some(count => count > 0);
+        diff.notCompared = [
+            ['regions', data => data.regions?.regions],
+            ['services', data => data.services?.services],
+            ['regionalServices', data => data.servicesByRegion?.byRegion]
+        ]
+            .filter(([, section]) => !section(fromData) || !section(toData))
+            .map(([name]) => name);
+
+        return diff;
+    }
+
+    /**
+     * Resolve both references and diff them
+     */
+    async diff(fromRef, toRef = 'current') {
+        const from = await this.resolveSnapshot(fromRef);
+        const to = await this.resolveSnapshot(toRef);
+        const serviceNames = await this.tracker.loadServiceNames();
+
+        return {
+            from: { ref: from.ref, source: from.source, timestamp: from.timestamp },
+            to: { ref: to.ref, source: to.source, timestamp: to.timestamp },
+            ...this.compare(from.data, to.data, serviceNames)
+        };
+    }
+
+    /**
+     * Group region/service pairs by region for display
+     */
+    groupByRegion(pairs) {
+        const grouped = {};
+        pairs.forEach(({ region, service }) => {
+            if (!grouped[region]) {
+                grouped[region] = [];
+            }
+            grouped[region].push(service);
+        });
+        return grouped;
+    }
+
+    /**
+     * Render a diff as JSON, Markdown or (colored) text
+     */
+    format(diff, format = 'text', { color = true } = {}) {
+        switch (format) {
+            case 'json':
+                return JSON.stringify(diff, null, 2);
+            case 'markdown':
+            case 'md':
+                return this.formatMarkdown(diff);
+            case 'text':
+                return this.formatText(diff, color);
+            default:
+                throw new Error(`Unknown diff format: ${format} (expected text, json or markdown)`);
+        }
+    }
+
+    formatText(diff, color = true) {
+        const c = color ? chalk : new chalk.Instance({ level: 0 });
+        const lines = [];
+
+        lines.push(c.bold.blue(`AWS infrastructure diff: ${diff.from.ref} → ${diff.to.ref}`));
+        lines.push(c.gray(`   From: ${diff.from.source} (${diff.from.timestamp || 'unknown time'})`));
+        lines.push(c.gray(`   To:   ${diff.to.source} (${diff.to.timestamp || 'unknown time'})`));
+        if (diff.notCompared.length > 0) {
+            lines.push(c.yellow(`   ⚠️  Not compared (missing from a snapshot): ${diff.notCompared.join(', ')}`));
+        }
+
+        if (!diff.hasChanges) {
+            lines.push(c.green('\n✅ No differences'));
+            return lines.join('\n');
+        }
+
+        const section = (title, items, count = items.length) => {
+            if (items.length === 0) return;
+            lines.push(c.bold(`\n${title} (${count})`));
+            items.forEach(item => lines.push(item));
+        };
+
+        section('📍 Regions added', diff.regions.added.map(r => c.green(`   + ${r.code} (${r.name})`)));
+        section('📍 Regions removed', diff.regions.removed.map(r => c.red(`   - ${r.code} (${r.name})`)));
+        section('🛠️  Services added', diff.services.added.map(s => c.green(`   + ${s.code} (${s.name})`)));
+        section('🛠️  Services removed', diff.services.removed.map(s => c.red(`   - ${s.code} (${s.name})`)));
+        section('🏢 AZ count changes', diff.availabilityZones.map(a => c.yellow(`   ~ ${a.code} (${a.name}): ${a.from} → ${a.to}`)));
+
+        const addedByRegion = this.groupByRegion(diff.regionalServices.added);
+        section('🗺️  Regional services added', Object.entries(addedByRegion)
+            .map(([region, services]) => c.green(`   + ${region}: ${services.join(', ')}`)), diff.regionalServices.added.length);
+
+        const removedByRegion = this.groupByRegion(diff.regionalServices.removed);
+        section('🗺️  Regional services removed', Object.entries(removedByRegion)
+            .map(([region, services]) => c.red(`   - ${region}: ${services.join(', ')}`)), diff.regionalServices.removed.length);
+
+        return lines.join('\n');
+    }
+
+    formatMarkdown(diff) {
+        const lines = [];
+
+        lines.push(`## AWS infrastructure changes: ${diff.from.ref} → ${diff.to.ref}`);
+        lines.push('');
+        lines.push(`- **From:** \`${diff.from.source}\` (${diff.from.timestamp || 'unknown time'})`);
+        lines.push(`- **To:** \`${diff.to.source}\` (${diff.to.timestamp || 'unknown time'})`);
+        if (diff.notCompared.length > 0) {
+            lines.push(`- **Not compared** (missing from a snapshot): ${diff.notCompared.join(', ')}`);
+        }
+        lines.push('');
+
+        if (!diff.hasChanges) {
+            lines.push('No differences.');
+            return lines.join('\n');
+        }
+
+        lines.push('| Change | Count |');
+        lines.push('| --- | ---: |');
+        lines.push(`| Regions added | ${diff.summary.regionsAdded} |`);
+        lines.push(`| Regions removed | ${diff.summary.regionsRemoved} |`);
+        lines.push(`| Services added | ${diff.summary.servicesAdded} |`);
+        lines.push(`| Services removed | ${diff.summary.servicesRemoved} |`);
+        lines.push(`| AZ count changes | ${diff.summary.azCountChanges} |`);
+        lines.push(`| Regional services added | ${diff.summary.regionalServicesAdded} |`);
+        lines.push(`| Regional services removed | ${diff.summary.regionalServicesRemoved} |`);
+
+        const section = (title, items) => {
+            if (items.length === 0) return;
+            lines.push('');
+            lines.push(`### ${title}`);
+            lines.push('');
+            items.forEach(item => lines.push(item));
+        };
+
+        section('Regions added', diff.regions.added.map(r => `- \`${r.code}\` ${r.name}`));
+        section('Regions removed', diff.regions.removed.map(r => `- \`${r.code}\` ${r.name}`));
+        section('Services added', diff.services.added.map(s => `- \`${s.code}\` ${s.name}`));
+        section('Services removed', diff.services.removed.map(s => `- \`${s.code}\` ${s.name}`));
+        section('AZ count changes', diff.availabilityZones.map(a => `- \`${a.code}\` ${a.name}: ${a.from} → ${a.to}`));
+        section('Regional services added', Object.entries(this.groupByRegion(diff.regionalServices.added))
+            .map(([region, services]) => `- \`${region}\`: ${services.join(', ')}`));
+        section('Regional services removed', Object.entries(this.groupByRegion(diff.regionalServices.removed))
+            .map(([region, services]) => `- \`${region}\`: ${services.join(', ')}`));
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = SnapshotDiff;
@@ -0,0 +1,160 @@
+/**
+ * Template Checker - Deployment template availability checks
+ *
+ * Extracts resource types from a CloudFormation/SAM template (JSON or YAML) or a
+ * Terraform plan (`terraform show -json`), maps them to SSM service codes
+ * (see resource-service-map.js) and reports which ones are not available in the
+ * target regions according to the servicesByRegion mapping.
+ */
+
+const yaml = require('js-yaml');
+const AvailabilityQuery = require('./availability-query');
+const { resolveResourceType } = require('./resource-service-map');
+
+// CloudFormation short-form intrinsic functions (!Ref, !Sub, ...), parsed as plain values
+const CLOUDFORMATION_TAGS = [
+    'Ref', 'Condition', 'GetAtt', 'Base64', 'Cidr', 'FindInMap', 'GetAZs', 'ImportValue',
+    'Join', 'Select', 'Split', 'Sub', 'Transform', 'And', 'Equals', 'If', 'Not', 'Or'
+];
+
+const CLOUDFORMATION_SCHEMA = yaml.DEFAULT_SCHEMA.extend(
+    CLOUDFORMATION_TAGS.flatMap(tag => ['scalar', 'sequence', 'mapping'].map(kind =>
+        new yaml.Type(`!${tag}`, {
+            kind,
+            construct: (data) => ({ [tag === 'Ref' || tag === 'Condition' ? tag : `Fn::${tag}`]: data })
+        })
+    ))
+);
+
+class TemplateChecker {
+    constructor(completeData, serviceNames = {}) {
+        this.query = new AvailabilityQuery(completeData, serviceNames);
+    }
+
+    /**
+     * Parse template or plan content into a list of resources
+     *
+     * @param {string} content - File contents (JSON or YAML)
+     * @returns {{ format: string, resources: Array<{ id: string, type: string }> }}
+     */
+    parse(content) {
+        let document;
+        try {
+            document = JSON.parse(content);
+        } catch (jsonError) {
+            try {
+                document = yaml.load(content, { schema: CLOUDFORMATION_SCHEMA });
+            } catch (yamlError) {
+                throw new Error(`Template is neither valid JSON nor YAML: ${yamlError.message}`);
+            }
+        }
+
+        if (document?.Resources && typeof document.Resources === 'object') {
+            return {
+                format: 'cloudformation',
+                resources: Object.entries(document.Resources)
+                    .filter(([, resource]) => resource?.Type)
+                    .map(([id, resource]) => ({ id, type: resource.Type }))
+            };
+        }
+
+        if (document?.planned_values || document?.resource_changes) {
+            return { format: 'terraform', resources: this.collectTerraformResources(document) };
+        }
+
+        throw new Error('Unrecognized template: expected CloudFormation "Resources" or a Terraform plan JSON');
+    }
+
+    /**
+     * Collect managed AWS resources from a Terraform plan JSON
+     * Uses resource_changes (skipping deletes) when present, otherwise planned_values modules
+     */
+    collectTerraformResources(plan) {
+        const resources = new Map();
+        const add = (resource) => {
+            if (resource.mode !== 'managed' || !resource.type?.startsWith('aws_')) return;
+            resources.set(resource.address, { id: resource.address, type: resource.type });
+        };
+
+        if (Array.isArray(plan.resource_changes)) {
+            plan.resource_changes
+                .filter(change => !(change.change?.actions || []).every(action => action === 'delete'))
+                .forEach(add);
+        } else {
+            const walk = (module) => {
+                if (!module) return;
+                (module.resources || []).forEach(add);
+                (module.child_modules || []).forEach(walk);
+            };
+            walk(plan.planned_values.root_module);
+        }
+
+        return [...resources.values()];
+    }
+
+    /**
+     * Check resources against target regions
+     *
+     * Resource status per region:
+     *   available   - mapped service is offered in the region
+     *   unavailable - mapped service is not offered in the region
+     *   global      - not region-scoped (IAM, CloudFront, Route 53, custom resources), not checked
+     *   unmapped    - no mapping for the resource type
+     *   unresolved  - mapped to a service code that is not in the dataset
+     *   unknown     - region has no usable data (unknown region or failed fetch)
+     */
+    check(resources, regions) {
+        const knownServices = this.query.knownServices;
+
+        const resolved = resources.map(resource => {
+            const mapping = resolveResourceType(resource.type);
+            let status = null;
+            if (!mapping.mapped) {
+                status = 'unmapped';
+            } else if (mapping.global) {
+                status = 'global';
+            } else if (!knownServices.has(mapping.service)) {
+                status = 'unresolved';
+            }
+            return { ...resource, service: mapping.service, status };
+        });
+
+        const regionReports = regions.map(region => {
+            const available = this.query.getRegionServices(region);
+            const results = resolved.map(resource => {
+                let status = resource.status;
+                if (!status) {
+                    if (!available) {
+                        status = 'unknown';
+                    } else {
+                        status = available.has(resource.service) ? 'available' : 'unavailable';
+                    }
+                }
+                return { id: resource.id, type: resource.type, service: resource.service, status };
+            });
+
+            const unavailable = results.filter(r => r.status === 'unavailable');
+            return {
+                region: this.query.describeRegion(region),
+                known: available !== null,
+                resources: results,
+                unavailableServices: [...new Set(unavailable.map(r => r.service))].sort()
+                    .map(code => this.query.describeService(code)),
+                deployable: available !== null && unavailable.length === 0
+            };
+        });
+
+        const unresolved = resolved
+            .filter(r => r.status === 'unmapped' || r.status === 'unresolved')
+            .map(({ id, type, service, status }) => ({ id, type, service, status }));
+
+        return {
+            totalResources: resources.length,
+            regions: regionReports,
+            unresolved,
+            deployable: regionReports.every(report => report.deployable)
+        };
+    }
+}
+
+module.exports = TemplateChecker;
@@ -4,6 +4,9 @@
  */
 
 const AWSDataFetcher = require('../core/aws-data-fetcher');
+const PartitionRunner = require('../core/partition-runner');
+const RunLease = require('../core/run-lease');
+const config = require('../core/config');
 const { SNSClient, PublishCommand } = require('@aws-sdk/client-sns');
 
 const snsClient = new SNSClient({});
@@ -41,11 +44,13 @@ exports.handler = async (event, context) => {
     event,
     requestId: context.requestId,
     batchSize: process.env.BATCH_SIZE,
-    paginationDelay: process.env.PAGINATION_DELAY,
+    targetTps: process.env.SSM_TARGET_TPS,
     s3Bucket: process.env.S3_BUCKET_NAME,
     storageType: process.env.STORAGE_TYPE
   });
 
+  let lease = null;
+
   try {
     // Parse options from event
     const options = {
@@ -53,27 +58,202 @@ exports.handler = async (event, context) => {
       servicesOnly: event.servicesOnly || false,
       includeServiceMapping: event.includeServiceMapping !== false, // Default to true
       forceRefresh: event.forceRefresh || false,
+      includeEndpoints: event.includeEndpoints || false,
+      partitions: event.partitions || null, // e.g. ['aws', 'aws-us-gov']
+      partitionOutput: event.partitionOutput || 'merged',
+      // Scheduled runs pick up where a timed-out run stopped (checkpoints expire with CACHE_TTL)
+      resume: event.resume !== false,
+      skipQualityChecks: event.skipQualityChecks || false,
       region: event.region || process.env.AWS_REGION || 'us-east-1'
     };
 
+    // Stop starting new regions while there is still time to save a checkpoint and respond
+    if (typeof context.getRemainingTimeInMillis === 'function') {
+      const reserve = parseInt(process.env.TIMEOUT_RESERVE_MS) || config.checkpoint.timeoutReserve;
+      options.deadline = Date.now() + context.getRemainingTimeInMillis() - reserve;
+    }
+
     console.log('Fetch options:', options);
 
     // Create fetcher (storage configured via environment variables)
-    const fetcher = new AWSDataFetcher(options.region);
+    // Partition runs fetch each partition with its own client and expose the same run()/storage
+    const fetcher = options.partitions
+      ? new PartitionRunner(options.partitions, { output: options.partitionOutput })
+      : new AWSDataFetcher(options.region);
 
+    // Read from the configuration each fetcher uses, since a PartitionRunner has no scheduler of its own
     console.log('Starting fetch with config:', {
-      batchSize: fetcher.batchSize,
-      paginationDelay: fetcher.paginationDelay,
-      cacheTTL: fetcher.cacheTTL,
+      batchSize: parseInt(process.env.BATCH_SIZE) || config.parallelProcessing.serviceByRegionWorkers,
+      targetTps: parseInt(process.env.SSM_TARGET_TPS) || config.rateLimit.targetTps,
+      cacheTTL: parseInt(process.env.CACHE_TTL) || config.cache.cacheTTL,
       storageType: process.env.STORAGE_TYPE
     });
 
-    // Run the fetch
-    const result = await fetcher.run(options);
+    // Scheduled and manual invocations must not fetch and write the same files at the same time
+    if (config.lease.enabled) {
+      lease = new RunLease(fetcher.storage, {
+        owner: `lambda:${context.requestId}`,
+        onBusy: event.waitForLease ? 'wait' : (process.env.LEASE_ON_BUSY || config.lease.onBusy)
+      });
+      const { acquired, holder } = await lease.acquire();
+
+      if (!acquired) {
+        lease = null;
+        const durationSec = Math.round((Date.now() - startTime) / 1000);
+        console.log('Skipped, another run holds the run lease', {
+          holder,
+          requestId: context.requestId
+        });
+
+        await sendNotification(
+          '⏭️ AWS Data Fetcher Skipped - another run in progress',
+          `
+⏭️ AWS Data Fetcher skipped this invocation because another run holds the run lease.
+
+Nothing was fetched, saved or distributed by this invocation.
+
+Lease Owner: ${holder?.owner || 'unknown'}
+Lease Acquired: ${holder?.acquiredAt || 'unknown'}
+Lease Expires: ${holder?.expiresAt || 'unknown'}
+Execution Time: ${durationSec}s
+Request ID: ${context.requestId}
+
+If the other run is stuck, its lease expires on its own. Invoke with
+{"waitForLease": true} to wait for it instead of skipping.
+`.trim()
+        );
+
+        return {
+          statusCode: 200,
+          body: JSON.stringify({
+            success: false,
+            skipped: true,
+            message: 'Another run holds the run lease; this invocation was skipped',
+            result: {
+              lease: holder ? { owner: holder.owner, acquiredAt: holder.acquiredAt, expiresAt: holder.expiresAt } : null,
+              duration: `${durationSec}s`
+            },
+            requestId: context.requestId
+          })
+        };
+      }
+    }
+
+    // Run the fetch (it checks the lease before publishing)
+    const result = await fetcher.run({ ...options, lease });
 
     const duration = Date.now() - startTime;
     const durationSec = Math.round(duration / 1000);
 
+    // Out of time: finished regions are checkpointed, nothing is distributed
+    if (result.partial) {
+      const pendingRegions = result.pendingRegions || [];
+      console.log('Fetch stopped before timeout, resumable', {
+        pendingRegions: pendingRegions.length,
+        duration: `${durationSec}s`,
+        requestId: context.requestId
+      });
+
+      await sendNotification(
+        `⏸️ AWS Data Fetcher Partial - ${pendingRegions.length} regions pending`,
+        `
+⏸️ AWS Data Fetcher stopped before the Lambda timeout.
+
+Finished regions are saved in the checkpoint; the next run (or an invocation
+with {"resume": true}) fetches only the pending regions. The complete dataset
+was not updated and nothing was distributed.
+
+Pending Regions (${pendingRegions.length}): ${pendingRegions.join(', ')}
+Execution Time: ${durationSec}s
+Request ID: ${context.requestId}
+`.trim()
+      );
+
+      return {
+        statusCode: 200,
+        body: JSON.stringify({
+          success: true,
+          partial: true,
+          resumable: true,
+          message: 'Stopped before timeout; invoke with {"resume": true} to finish',
+          result: {
+            metadata: result.metadata,
+            pendingRegions,
+            duration: `${durationSec}s`
+          },
+          requestId: context.requestId
+        })
+      };
+    }
+
+    // Lease taken over while this run stalled: the run now holding it publishes instead
+    if (result.leaseLost) {
+      console.error('Run lease was taken over by another run, nothing saved', {
+        duration: `${durationSec}s`,
+        requestId: context.requestId
+      });
+
+      return {
+        statusCode: 200,
+        body: JSON.stringify({
+          success: false,
+          leaseLost: true,
+          message: 'Run lease was taken over by another run; nothing saved or distributed',
+          result: {
+            metadata: result.metadata,
+            duration: `${durationSec}s`
+          },
+          requestId: context.requestId
+        })
+      };
+    }
+
+    // Failed data quality checks: the published data stays as it was, nothing is distributed
+    if (result.quarantined) {
+      const violations = result.quarantined.violations || [];
+      console.error('Data quality checks failed, new data quarantined', {
+        quarantinePath: result.quarantined.path,
+        violations: violations.map(v => v.message),
+        requestId: context.requestId
+      });
+
+      await sendNotification(
+        `🛑 AWS Data Fetcher Quarantined - ${violations.length} data quality checks failed`,
+        `
+🛑 AWS Data Fetcher did not publish the new dataset.
+
+The new data failed data quality checks against the currently saved dataset.
+The current files were left untouched and nothing was distributed.
+
+🚨 Failed Checks:
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+${violations.map(v => `• ${v.message}`).join('\n')}
+
+Quarantined Data: ${result.quarantined.path}
+Execution Time: ${durationSec}s
+Request ID: ${context.requestId}
+
+If the change is expected, re-run with {"skipQualityChecks": true}.
+`.trim()
+      );
+
+      return {
+        statusCode: 200,
+        body: JSON.stringify({
+          success: false,
+          quarantined: true,
+          message: 'Data quality checks failed; new data quarantined, published data unchanged',
+          result: {
+            metadata: result.metadata,
+            violations,
+            quarantinePath: result.quarantined.path,
+            duration: `${durationSec}s`
+          },
+          requestId: context.requestId
+        })
+      };
+    }
+
     console.log('Fetch completed successfully', {
       regions: result.regions?.count,
       services: result.services?.count,
@@ -89,7 +269,8 @@ exports.handler = async (event, context) => {
 
       distributionResult = await fetcher.storage.distributeToWebsite(
         process.env.DISTRIBUTION_BUCKET,
-        process.env.DISTRIBUTION_PREFIX || 'data'
+        process.env.DISTRIBUTION_PREFIX || 'data',
+        { includeEndpoints: Boolean(result.endpointsPath) }
       );
 
       if (distributionResult.distributed) {
@@ -117,6 +298,26 @@ exports.handler = async (event, context) => {
         .reduce((sum, region) => sum + (region.serviceCount || 0), 0);
     }
 
+    // Regions that failed after retries (stale = last good data was kept)
+    const failedRegions = result.failedRegions || [];
+    const failedSection = failedRegions.length > 0
+      ? `
+⚠️  Failed Regions (${failedRegions.length}):
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+${failedRegions.map(f => `${f.region}: ${f.error} (${f.carriedForward ? 'last good data kept, marked stale' : 'no earlier data, published without services'})`).join('\n')}
+`
+      : '';
+
+    // Change history was updated by an overlapping invocation; its entries were kept
+    const conflictSection = result.changeTrackingConflict
+      ? `
+⚠️  Change Tracking Skipped:
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+${result.changeTrackingConflict}
+The next run compares against the latest baseline and records any remaining changes.
+`
+      : '';
+
     // Send success notification
     const successMessage = `
 ✅ AWS Data Fetcher completed successfully!
@@ -134,6 +335,8 @@ Request ID: ${context.requestId}
 Regions Data: ${result.regionPath || 'N/A'}
 Services Data: ${result.servicePath || 'N/A'}
 Complete Dataset: ${result.completePath || 'N/A'}
+Endpoints Data: ${result.endpointsPath || 'N/A'}
+Updated Files: ${result.artifacts ? (result.artifacts.updated.join(', ') || 'none (data unchanged)') : 'N/A'}
 
 🗺️  Service Mapping Details:
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -141,7 +344,9 @@ Total Regions Processed: ${result.servicesByRegion?.summary?.totalRegions || 'N/
 Average Services/Region: ${result.servicesByRegion?.summary?.averageServicesPerRegion || 'N/A'}
 Cached Regions: ${result.servicesByRegion?.summary?.cachedRegions || 0}
 Freshly Fetched: ${result.servicesByRegion?.summary?.fetchedRegions || 0}
-
+Checked, Unchanged: ${result.servicesByRegion?.summary?.unchangedRegions || 0}
+Failed: ${failedRegions.length}
+${failedSection}${conflictSection}
 📤 Distribution Status:
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 ${distributionResult?.distributed
@@ -156,7 +361,9 @@ CloudFront Cache: Automatic refresh (TTL: 5 minutes)`
 `.trim();
 
     await sendNotification(
-      `✅ AWS Data Fetcher Success - ${durationSec}s`,
+      failedRegions.length > 0
+        ? `⚠️ AWS Data Fetcher Completed - ${failedRegions.length} regions failed`
+        : `✅ AWS Data Fetcher Success - ${durationSec}s`,
       successMessage
     );
 
@@ -170,11 +377,15 @@ CloudFront Cache: Automatic refresh (TTL: 5 minutes)`
           metadata: result.metadata,
           regions: result.regions ? result.regions.count : undefined,
           services: result.services ? result.services.count : undefined,
+          failedRegions,
+          changeTrackingConflict: result.changeTrackingConflict,
+          artifacts: result.artifacts,
           duration: `${durationSec}s`,
           s3Paths: {
             regions: result.regionPath,
             services: result.servicePath,
-            complete: result.completePath
+            complete: result.completePath,
+            endpoints: result.endpointsPath
           },
           distribution: distributionResult ? {
             distributed: distributionResult.distributed,
@@ -240,5 +451,9 @@ Common Issues:
         requestId: context.requestId
       })
     };
+  } finally {
+    if (lease) {
+      await lease.release();
+    }
   }
 };
@@ -0,0 +1,46 @@
+/**
+ * Content Hash
+ * Hash of a JSON payload that ignores volatile bookkeeping (timestamps and
+ * per-run statistics), so an unchanged dataset can be detected and its write
+ * skipped.
+ */
+
+const crypto = require('crypto');
+
+// Keys that change on every run even when the data is the same
+const VOLATILE_KEYS = new Set([
+  'timestamp',
+  'lastUpdated',
+  'lastChecked',
+  'lastFetched',
+  'cachedRegions',
+  'fetchedRegions',
+  'unchangedRegions',
+  'resumedRegions'
+]);
+
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .filter(key => !VOLATILE_KEYS.has(key))
+      .sort()
+      .reduce((result, key) => {
+        result[key] = canonicalize(value[key]);
+        return result;
+      }, {});
+  }
+  return value;
+}
+
+/**
+ * @param {Object} data - JSON payload
+ * @returns {string} sha256 hex digest of the payload without volatile keys
+ */
+function contentHash(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(canonicalize(data))).digest('hex');
+}
+
+module.exports = { contentHash, VOLATILE_KEYS };
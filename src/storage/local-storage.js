@@ -4,31 +4,129 @@
  */
 
 const StorageInterface = require('./storage-interface');
+const StorageConflictError = require('./storage-conflict-error');
+const { contentHash } = require('./content-hash');
 const fs = require('fs').promises;
 const path = require('path');
 
+let tempCounter = 0;
+
+/**
+ * Write a file via a temporary file and rename, so readers (and a crashed run)
+ * never see a partially written file. Rename is atomic within a filesystem.
+ */
+async function writeFileAtomic(filepath, content) {
+  const tempPath = `${filepath}.${process.pid}-${++tempCounter}.tmp`;
+  try {
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, filepath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Version numbers of the run lease files in a lease directory
+ */
+async function listLeaseVersions(leaseDir) {
+  try {
+    return (await fs.readdir(leaseDir))
+      .map(name => name.match(/^(\d+)\.json$/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return []; // No lease taken yet
+    }
+    throw error;
+  }
+}
+
 class LocalStorage extends StorageInterface {
   constructor(outputDir = './output') {
     super();
     this.outputDir = outputDir;
   }
 
+  /**
+   * Content hashes of the last written published files (.content-hashes.json)
+   */
+  async loadContentHashes() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.outputDir, '.content-hashes.json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {}; // Nothing written yet
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write a published file unless its content hash matches the last write
+   */
+  async writeIfChanged(filename, data) {
+    const filepath = path.join(this.outputDir, filename);
+    const hash = contentHash(data);
+    const hashes = await this.loadContentHashes();
+
+    const exists = await fs.access(filepath).then(() => true, () => false);
+    if (exists && hashes[filename] === hash) {
+      return { path: filepath, updated: false };
+    }
+
+    await writeFileAtomic(filepath, JSON.stringify(data, null, 2));
+    hashes[filename] = hash;
+    await writeFileAtomic(path.join(this.outputDir, '.content-hashes.json'), JSON.stringify(hashes, null, 2));
+    return { path: filepath, updated: true };
+  }
+
   async saveRegions(data) {
-    const filepath = path.join(this.outputDir, 'regions.json');
-    await fs.writeFile(filepath, JSON.stringify(data, null, 2));
-    return filepath;
+    return this.writeIfChanged('regions.json', data);
   }
 
   async saveServices(data) {
-    const filepath = path.join(this.outputDir, 'services.json');
-    await fs.writeFile(filepath, JSON.stringify(data, null, 2));
-    return filepath;
+    return this.writeIfChanged('services.json', data);
   }
 
   async saveComplete(data) {
+    const result = await this.writeIfChanged('complete-data.json', data);
+
+    // Historical snapshot, same layout as the S3 history/ prefix (only when the data changed)
+    if (result.updated) {
+      const historyDir = path.join(this.outputDir, 'history');
+      await fs.mkdir(historyDir, { recursive: true });
+      await writeFileAtomic(path.join(historyDir, `complete-data-${Date.now()}.json`), JSON.stringify(data, null, 2));
+    }
+
+    return result;
+  }
+
+  async saveEndpoints(data) {
+    return this.writeIfChanged('endpoints.json', data);
+  }
+
+  async saveQuarantine(runId, files) {
+    const quarantineDir = path.join(this.outputDir, 'quarantine', runId);
+    await fs.mkdir(quarantineDir, { recursive: true });
+    for (const [filename, data] of Object.entries(files)) {
+      await writeFileAtomic(path.join(quarantineDir, filename), JSON.stringify(data, null, 2));
+    }
+    return quarantineDir;
+  }
+
+  async loadComplete() {
     const filepath = path.join(this.outputDir, 'complete-data.json');
-    await fs.writeFile(filepath, JSON.stringify(data, null, 2));
-    return filepath;
+    try {
+      const data = await fs.readFile(filepath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null; // File doesn't exist
+      }
+      throw error;
+    }
   }
 
   async loadCache() {
@@ -46,10 +144,115 @@ class LocalStorage extends StorageInterface {
 
   async saveCache(data) {
     const cachePath = path.join(this.outputDir, '.cache-services-by-region.json');
-    await fs.writeFile(cachePath, JSON.stringify(data, null, 2));
+    await writeFileAtomic(cachePath, JSON.stringify(data, null, 2));
     console.log(`💾 Cache saved to: ${cachePath}`);
   }
 
+  async loadNameCache() {
+    const cachePath = path.join(this.outputDir, '.cache-names.json');
+    try {
+      const data = await fs.readFile(cachePath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null; // Cache file doesn't exist
+      }
+      throw error;
+    }
+  }
+
+  async saveNameCache(data) {
+    const cachePath = path.join(this.outputDir, '.cache-names.json');
+    await writeFileAtomic(cachePath, JSON.stringify(data, null, 2));
+  }
+
+  async loadCheckpoint() {
+    const checkpointPath = path.join(this.outputDir, '.checkpoint-services-by-region.json');
+    try {
+      const data = await fs.readFile(checkpointPath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null; // No unfinished run
+      }
+      throw error;
+    }
+  }
+
+  async saveCheckpoint(data) {
+    const checkpointPath = path.join(this.outputDir, '.checkpoint-services-by-region.json');
+    await writeFileAtomic(checkpointPath, JSON.stringify(data, null, 2));
+  }
+
+  async deleteCheckpoint() {
+    const checkpointPath = path.join(this.outputDir, '.checkpoint-services-by-region.json');
+    try {
+      await fs.unlink(checkpointPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  // Run lease: numbered files in .run-lease/, the highest number is the current lease
+  // and its version. Saving from version N links a complete temporary file to N + 1,
+  // which fails if another process saved from N first, so every save is an atomic
+  // compare-and-swap even across processes.
+  async loadLease() {
+    const leaseDir = path.join(this.outputDir, '.run-lease');
+    for (;;) {
+      const versions = await listLeaseVersions(leaseDir);
+      if (versions.length === 0) {
+        return null;
+      }
+
+      const version = Math.max(...versions);
+      try {
+        const lease = JSON.parse(await fs.readFile(path.join(leaseDir, `${version}.json`), 'utf8'));
+        return { lease, version: String(version) };
+      } catch (error) {
+        // Pruned by a newer save between listing and reading
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+  }
+
+  async saveLease(lease, version) {
+    const leaseDir = path.join(this.outputDir, '.run-lease');
+    const next = (version === null ? 0 : parseInt(version)) + 1;
+    const leasePath = path.join(leaseDir, `${next}.json`);
+    const tempPath = path.join(leaseDir, `${next}.${process.pid}-${++tempCounter}.tmp`);
+    await fs.mkdir(leaseDir, { recursive: true });
+
+    await fs.writeFile(tempPath, JSON.stringify(lease, null, 2));
+    try {
+      await fs.link(tempPath, leasePath);
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new StorageConflictError(leasePath, error);
+      }
+      throw error;
+    } finally {
+      await fs.unlink(tempPath).catch(() => {});
+    }
+
+    // A higher version means N + 1 existed before and was pruned: this save was stale.
+    // The highest version is never pruned, so that check can't miss.
+    const versions = await listLeaseVersions(leaseDir);
+    if (versions.some(v => v > next)) {
+      await fs.unlink(leasePath).catch(() => {});
+      throw new StorageConflictError(leasePath);
+    }
+    await Promise.all(versions
+      .filter(v => v < next)
+      .map(v => fs.unlink(path.join(leaseDir, `${v}.json`)).catch(() => {})));
+
+    return String(next);
+  }
+
   // Change tracking methods
   async loadChangeHistory() {
     const filepath = path.join(this.outputDir, 'change-history.json');
@@ -66,7 +269,7 @@ class LocalStorage extends StorageInterface {
 
   async saveChangeHistory(data) {
     const filepath = path.join(this.outputDir, 'change-history.json');
-    await fs.writeFile(filepath, JSON.stringify(data, null, 2));
+    await writeFileAtomic(filepath, JSON.stringify(data, null, 2));
     console.log(`💾 Change history saved to: ${filepath}`);
   }
 
@@ -85,7 +288,7 @@ class LocalStorage extends StorageInterface {
 
   async savePreviousSnapshot(data) {
     const filepath = path.join(this.outputDir, '.previous-snapshot.json');
-    await fs.writeFile(filepath, JSON.stringify(data, null, 2));
+    await writeFileAtomic(filepath, JSON.stringify(data, null, 2));
   }
 
   async loadServicesForChangeTracking() {
@@ -100,6 +303,38 @@ class LocalStorage extends StorageInterface {
       throw error;
     }
   }
+
+  // History snapshot methods (output/history/, same layout as the S3 history/ prefix)
+  async listHistorySnapshots() {
+    const historyDir = path.join(this.outputDir, 'history');
+    let files;
+    try {
+      files = await fs.readdir(historyDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return []; // No history directory
+      }
+      throw error;
+    }
+
+    return files
+      .map(file => {
+        const match = file.match(/^complete-data-(\d+)\.json$/);
+        return match ? { id: file, timestamp: parseInt(match[1]) } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async loadHistorySnapshot(id) {
+    const filepath = path.join(this.outputDir, 'history', path.basename(id));
+    const data = await fs.readFile(filepath, 'utf8');
+    return JSON.parse(data);
+  }
+
+  async deleteHistorySnapshot(id) {
+    await fs.unlink(path.join(this.outputDir, 'history', path.basename(id)));
+  }
 }
 
 module.exports = LocalStorage;
@@ -4,10 +4,12 @@
  */
 
 const StorageInterface = require('./storage-interface');
+const StorageConflictError = require('./storage-conflict-error');
+const { contentHash } = require('./content-hash');
 
 // Lazy-load AWS SDK clients only when S3Storage is instantiated
 // This prevents requiring these packages when using LocalStorage
-let S3Client, PutObjectCommand, GetObjectCommand, CopyObjectCommand;
+let S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, CopyObjectCommand, ListObjectsV2Command, DeleteObjectCommand;
 
 class S3Storage extends StorageInterface {
   constructor(bucketName, prefix = 'aws-data') {
@@ -19,56 +21,119 @@ class S3Storage extends StorageInterface {
       S3Client = s3Module.S3Client;
       PutObjectCommand = s3Module.PutObjectCommand;
       GetObjectCommand = s3Module.GetObjectCommand;
+      HeadObjectCommand = s3Module.HeadObjectCommand;
       CopyObjectCommand = s3Module.CopyObjectCommand;
+      ListObjectsV2Command = s3Module.ListObjectsV2Command;
+      DeleteObjectCommand = s3Module.DeleteObjectCommand;
     }
 
     this.s3Client = new S3Client({});
     this.bucketName = bucketName;
     this.prefix = prefix;
-  }
 
-  async saveRegions(data) {
-    const key = `${this.prefix}/regions.json`;
+    // ETags of read-modify-write objects as last read or written by this instance
+    // (null: the object did not exist), used for conditional writes
+    this.etags = new Map();
+  }
 
-    await this.s3Client.send(new PutObjectCommand({
-      Bucket: this.bucketName,
-      Key: key,
-      Body: JSON.stringify(data, null, 2),
-      ContentType: 'application/json',
-      Metadata: {
-        'generated-at': new Date().toISOString(),
-        'version': '1.4.0',
-        'type': 'regions'
+  /**
+   * Read a JSON object and remember its ETag for a later conditional write
+   */
+  async loadVersionedJson(key) {
+    try {
+      const response = await this.s3Client.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: key
+      }));
+      const body = await response.Body.transformToString();
+      this.etags.set(key, response.ETag);
+      return JSON.parse(body);
+    } catch (error) {
+      if (error.name === 'NoSuchKey') {
+        this.etags.set(key, null);
+        return null; // File doesn't exist
       }
-    }));
+      throw error;
+    }
+  }
 
-    console.log(`💾 Saved regions to: s3://${this.bucketName}/${key}`);
-    return `s3://${this.bucketName}/${key}`;
+  /**
+   * Write a JSON object only if it is unchanged since this instance read it
+   * (If-Match on the read ETag, If-None-Match: * if it did not exist). Objects
+   * never read by this instance are written unconditionally.
+   * @throws {StorageConflictError} When another run changed the object in between
+   */
+  async saveVersionedJson(key, data, metadata) {
+    const etag = await this.putConditionalJson(key, data, metadata, this.etags.has(key) ? this.etags.get(key) : undefined);
+    this.etags.set(key, etag);
   }
 
-  async saveServices(data) {
-    const key = `${this.prefix}/services.json`;
+  /**
+   * PutObject with an ETag precondition
+   * @param {string|null|undefined} etag - Expected ETag; null: key must not exist; undefined: no condition
+   * @returns {Promise<string>} ETag of the written object
+   * @throws {StorageConflictError} When the precondition fails
+   */
+  async putConditionalJson(key, data, metadata, etag) {
+    const conditions = {};
+    if (etag) {
+      conditions.IfMatch = etag;
+    } else if (etag === null) {
+      conditions.IfNoneMatch = '*';
+    }
 
-    await this.s3Client.send(new PutObjectCommand({
-      Bucket: this.bucketName,
-      Key: key,
-      Body: JSON.stringify(data, null, 2),
-      ContentType: 'application/json',
-      Metadata: {
-        'generated-at': new Date().toISOString(),
-        'version': '1.4.0',
-        'type': 'services'
+    try {
+      const response = await this.s3Client.send(new PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        Body: JSON.stringify(data, null, 2),
+        ContentType: 'application/json',
+        Metadata: metadata,
+        ...conditions
+      }));
+      return response.ETag;
+    } catch (error) {
+      // 412: precondition failed; 409: a concurrent conditional write is in progress
+      const status = error.$metadata?.httpStatusCode;
+      if (error.name === 'PreconditionFailed' || error.name === 'ConditionalRequestConflict' || status === 412 || status === 409) {
+        throw new StorageConflictError(`s3://${this.bucketName}/${key}`, error);
       }
-    }));
+      throw error;
+    }
+  }
 
-    console.log(`💾 Saved services to: s3://${this.bucketName}/${key}`);
-    return `s3://${this.bucketName}/${key}`;
+  /**
+   * Content hash stored with an object (content-hash metadata), or null
+   */
+  async getContentHash(key) {
+    try {
+      const response = await this.s3Client.send(new HeadObjectCommand({
+        Bucket: this.bucketName,
+        Key: key
+      }));
+      return response.Metadata?.['content-hash'] || null;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.name === 'NoSuchKey') {
+        return null; // Object doesn't exist
+      }
+      throw error;
+    }
   }
 
-  async saveComplete(data) {
-    const key = `${this.prefix}/complete-data.json`;
+  /**
+   * Write a published object unless its content hash matches the stored one
+   * The hash ignores volatile timestamps (see content-hash.js), so an unchanged
+   * dataset keeps its object, ETag and generated-at metadata.
+   */
+  async putIfChanged(key, data, type) {
+    const location = `s3://${this.bucketName}/${key}`;
+    const hash = contentHash(data);
+
+    if (await this.getContentHash(key) === hash) {
+      console.log(`⏭️  Unchanged, skipped write: ${location}`);
+      return { path: location, updated: false };
+    }
 
-    // Save current version
     await this.s3Client.send(new PutObjectCommand({
       Bucket: this.bucketName,
       Key: key,
@@ -77,11 +142,33 @@ class S3Storage extends StorageInterface {
       Metadata: {
         'generated-at': new Date().toISOString(),
         'version': '1.4.0',
-        'type': 'complete'
+        'type': type,
+        'content-hash': hash
       }
     }));
 
-    console.log(`💾 Saved complete data to: s3://${this.bucketName}/${key}`);
+    return { path: location, updated: true };
+  }
+
+  async saveRegions(data) {
+    const result = await this.putIfChanged(`${this.prefix}/regions.json`, data, 'regions');
+    if (result.updated) console.log(`💾 Saved regions to: ${result.path}`);
+    return result;
+  }
+
+  async saveServices(data) {
+    const result = await this.putIfChanged(`${this.prefix}/services.json`, data, 'services');
+    if (result.updated) console.log(`💾 Saved services to: ${result.path}`);
+    return result;
+  }
+
+  async saveComplete(data) {
+    const result = await this.putIfChanged(`${this.prefix}/complete-data.json`, data, 'complete');
+    if (!result.updated) {
+      return result; // Same data as the latest history snapshot
+    }
+
+    console.log(`💾 Saved complete data to: ${result.path}`);
 
     // Save historical snapshot
     const timestamp = Date.now();
@@ -101,7 +188,50 @@ class S3Storage extends StorageInterface {
 
     console.log(`📚 Historical snapshot saved to: s3://${this.bucketName}/${historyKey}`);
 
-    return `s3://${this.bucketName}/${key}`;
+    return result;
+  }
+
+  async saveEndpoints(data) {
+    const result = await this.putIfChanged(`${this.prefix}/endpoints.json`, data, 'endpoints');
+    if (result.updated) console.log(`💾 Saved endpoints to: ${result.path}`);
+    return result;
+  }
+
+  async saveQuarantine(runId, files) {
+    const quarantinePrefix = `${this.prefix}/quarantine/${runId}`;
+
+    for (const [filename, data] of Object.entries(files)) {
+      await this.s3Client.send(new PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: `${quarantinePrefix}/${filename}`,
+        Body: JSON.stringify(data, null, 2),
+        ContentType: 'application/json',
+        Metadata: {
+          'generated-at': new Date().toISOString(),
+          'type': 'quarantine'
+        }
+      }));
+    }
+
+    console.log(`🛑 Quarantined ${Object.keys(files).length} files to: s3://${this.bucketName}/${quarantinePrefix}/`);
+    return `s3://${this.bucketName}/${quarantinePrefix}/`;
+  }
+
+  async loadComplete() {
+    try {
+      const key = `${this.prefix}/complete-data.json`;
+      const response = await this.s3Client.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: key
+      }));
+      const body = await response.Body.transformToString();
+      return JSON.parse(body);
+    } catch (error) {
+      if (error.name === 'NoSuchKey') {
+        return null; // File doesn't exist
+      }
+      throw error;
+    }
   }
 
   /**
@@ -110,9 +240,11 @@ class S3Storage extends StorageInterface {
    *
    * @param {string} distributionBucket - Website bucket name (e.g., www.aws-services.synepho.com)
    * @param {string} distributionPrefix - Key prefix in distribution bucket (e.g., 'data')
+   * @param {Object} [options]
+   * @param {boolean} [options.includeEndpoints=false] - Also distribute endpoints.json (only when this run fetched endpoints)
    * @returns {Promise<Object>} Distribution result
    */
-  async distributeToWebsite(distributionBucket, distributionPrefix = 'data') {
+  async distributeToWebsite(distributionBucket, distributionPrefix = 'data', { includeEndpoints = false } = {}) {
     // Skip if not configured
     if (!distributionBucket) {
       console.log('⏭️  Distribution skipped (not configured)');
@@ -128,6 +260,9 @@ class S3Storage extends StorageInterface {
       'services.json',
       'change-history.json'
     ];
+    if (includeEndpoints) {
+      files.push('endpoints.json');
+    }
 
     console.log('📤 Distributing data files to CloudFront-backed website bucket...');
     console.log(`   Source: s3://${this.bucketName}/${this.prefix}/`);
@@ -217,22 +352,10 @@ class S3Storage extends StorageInterface {
       }));
 
       const body = await response.Body.transformToString();
-      const cacheData = JSON.parse(body);
-
-      // Check if cache is still valid (24 hours)
-      if (cacheData.timestamp) {
-        const cacheAge = Date.now() - new Date(cacheData.timestamp).getTime();
-        const cacheTTL = parseInt(process.env.CACHE_TTL) || 24 * 60 * 60 * 1000; // 24 hours
 
-        if (cacheAge > cacheTTL) {
-          console.log(`⏰ Cache expired (age: ${Math.round(cacheAge / 1000 / 60)} minutes), will refresh`);
-          return null;
-        }
-
-        console.log(`✅ Valid cache found (age: ${Math.round(cacheAge / 1000 / 60)} minutes)`);
-      }
-
-      return cacheData;
+      // Expired regions are still returned: the fetcher checks them against
+      // their fingerprint and decides per region what to re-fetch
+      return JSON.parse(body);
     } catch (error) {
       if (error.name === 'NoSuchKey') {
         console.log('💭 No cache found in S3, will fetch fresh data');
@@ -261,10 +384,9 @@ class S3Storage extends StorageInterface {
     console.log(`💾 Cache saved to S3: s3://${this.bucketName}/${key}`);
   }
 
-  // Change tracking methods
-  async loadChangeHistory() {
+  async loadNameCache() {
     try {
-      const key = `${this.prefix}/change-history.json`;
+      const key = `${this.prefix}/cache/names.json`;
       const response = await this.s3Client.send(new GetObjectCommand({
         Bucket: this.bucketName,
         Key: key
@@ -273,31 +395,30 @@ class S3Storage extends StorageInterface {
       return JSON.parse(body);
     } catch (error) {
       if (error.name === 'NoSuchKey') {
-        return null; // File doesn't exist
+        return null; // No name cache yet
       }
       throw error;
     }
   }
 
-  async saveChangeHistory(data) {
-    const key = `${this.prefix}/change-history.json`;
+  async saveNameCache(data) {
+    const key = `${this.prefix}/cache/names.json`;
+
     await this.s3Client.send(new PutObjectCommand({
       Bucket: this.bucketName,
       Key: key,
       Body: JSON.stringify(data, null, 2),
       ContentType: 'application/json',
       Metadata: {
-        'updated-at': new Date().toISOString(),
-        'type': 'change-history',
-        'version': '1.6.0'
+        'cached-at': new Date().toISOString(),
+        'type': 'name-cache'
       }
     }));
-    console.log(`💾 Change history saved to: s3://${this.bucketName}/${key}`);
   }
 
-  async loadPreviousSnapshot() {
+  async loadCheckpoint() {
     try {
-      const key = `${this.prefix}/.previous-snapshot.json`;
+      const key = `${this.prefix}/cache/checkpoint.json`;
       const response = await this.s3Client.send(new GetObjectCommand({
         Bucket: this.bucketName,
         Key: key
@@ -306,27 +427,87 @@ class S3Storage extends StorageInterface {
       return JSON.parse(body);
     } catch (error) {
       if (error.name === 'NoSuchKey') {
-        return null; // File doesn't exist
+        return null; // No unfinished run
       }
       throw error;
     }
   }
 
-  async savePreviousSnapshot(data) {
-    const key = `${this.prefix}/.previous-snapshot.json`;
+  async saveCheckpoint(data) {
+    const key = `${this.prefix}/cache/checkpoint.json`;
+
     await this.s3Client.send(new PutObjectCommand({
       Bucket: this.bucketName,
       Key: key,
-      Body: JSON.stringify(data, null, 2),
+      Body: JSON.stringify(data),
       ContentType: 'application/json',
       Metadata: {
-        'saved-at': new Date().toISOString(),
-        'type': 'snapshot',
-        'version': '1.6.0'
+        'checkpointed-at': new Date().toISOString(),
+        'type': 'checkpoint'
       }
     }));
   }
 
+  async deleteCheckpoint() {
+    // Deleting a missing key succeeds, so this is safe after runs that never checkpointed
+    await this.s3Client.send(new DeleteObjectCommand({
+      Bucket: this.bucketName,
+      Key: `${this.prefix}/cache/checkpoint.json`
+    }));
+  }
+
+  // Run lease: the version is the object's ETag
+  async loadLease() {
+    try {
+      const response = await this.s3Client.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: `${this.prefix}/locks/run-lease.json`
+      }));
+      const body = await response.Body.transformToString();
+      return { lease: JSON.parse(body), version: response.ETag };
+    } catch (error) {
+      if (error.name === 'NoSuchKey') {
+        return null; // No lease taken yet
+      }
+      throw error;
+    }
+  }
+
+  async saveLease(lease, version) {
+    return this.putConditionalJson(`${this.prefix}/locks/run-lease.json`, lease, {
+      'type': 'run-lease'
+    }, version);
+  }
+
+  // Change tracking methods
+  // change-history.json and .previous-snapshot.json are read-modify-write: saves are
+  // conditional on the version loaded, so overlapping runs can't drop each other's entries
+  async loadChangeHistory() {
+    return this.loadVersionedJson(`${this.prefix}/change-history.json`);
+  }
+
+  async saveChangeHistory(data) {
+    const key = `${this.prefix}/change-history.json`;
+    await this.saveVersionedJson(key, data, {
+      'updated-at': new Date().toISOString(),
+      'type': 'change-history',
+      'version': '1.6.0'
+    });
+    console.log(`💾 Change history saved to: s3://${this.bucketName}/${key}`);
+  }
+
+  async loadPreviousSnapshot() {
+    return this.loadVersionedJson(`${this.prefix}/.previous-snapshot.json`);
+  }
+
+  async savePreviousSnapshot(data) {
+    await this.saveVersionedJson(`${this.prefix}/.previous-snapshot.json`, data, {
+      'saved-at': new Date().toISOString(),
+      'type': 'snapshot',
+      'version': '1.6.0'
+    });
+  }
+
   async loadServicesForChangeTracking() {
     try {
       const key = `${this.prefix}/services.json`;
@@ -343,6 +524,48 @@ class S3Storage extends StorageInterface {
       throw error;
     }
   }
+
+  // History snapshot methods
+  async listHistorySnapshots() {
+    const historyPrefix = `${this.prefix}/history/`;
+    const snapshots = [];
+    let continuationToken = undefined;
+
+    do {
+      const response = await this.s3Client.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: historyPrefix,
+        ContinuationToken: continuationToken
+      }));
+
+      (response.Contents || []).forEach(object => {
+        const match = object.Key.match(/complete-data-(\d+)\.json$/);
+        if (match) {
+          snapshots.push({ id: object.Key, timestamp: parseInt(match[1]) });
+        }
+      });
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return snapshots.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async loadHistorySnapshot(id) {
+    const response = await this.s3Client.send(new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: id
+    }));
+    const body = await response.Body.transformToString();
+    return JSON.parse(body);
+  }
+
+  async deleteHistorySnapshot(id) {
+    await this.s3Client.send(new DeleteObjectCommand({
+      Bucket: this.bucketName,
+      Key: id
+    }));
+  }
 }
 
 module.exports = S3Storage;
@@ -0,0 +1,16 @@
+/**
+ * Storage Conflict Error
+ * Thrown when a conditional write finds the object changed since it was read,
+ * i.e. another run updated it concurrently. Nothing was written.
+ */
+
+class StorageConflictError extends Error {
+  constructor(location, cause) {
+    super(`${location} was modified by another run since it was read; write rejected to avoid losing its changes`);
+    this.name = 'StorageConflictError';
+    this.location = location;
+    this.cause = cause;
+  }
+}
+
+module.exports = StorageConflictError;
@@ -3,6 +3,7 @@
  * Creates appropriate storage instance based on environment
  */
 
+const path = require('path');
 const LocalStorage = require('./local-storage');
 const S3Storage = require('./s3-storage');
 
@@ -22,6 +23,22 @@ class StorageFactory {
         throw new Error(`Unknown storage type: ${type}`);
     }
   }
+
+  /**
+   * Create storage from environment variables (STORAGE_TYPE, S3_BUCKET_NAME, S3_PREFIX)
+   * S3 for Lambda, local for CLI unless overridden
+   *
+   * @param {string} outputDir - Local output directory
+   * @param {string} [subPath] - Nested location under the output dir / S3 prefix (e.g. 'partitions/aws-cn')
+   */
+  static fromEnvironment(outputDir, subPath = null) {
+    const prefix = process.env.S3_PREFIX || 'aws-data';
+    return StorageFactory.create(process.env.STORAGE_TYPE || 'local', {
+      bucketName: process.env.S3_BUCKET_NAME,
+      prefix: subPath ? `${prefix}/${subPath}` : prefix,
+      outputDir: subPath ? path.join(outputDir, subPath) : outputDir
+    });
+  }
 }
 
 module.exports = StorageFactory;
@@ -4,6 +4,8 @@
  */
 
 class StorageInterface {
+  // Published files: each save returns { path, updated } and skips the write (and, for
+  // complete data, the history snapshot) when the content hash matches the stored one
   async saveRegions(data) {
     throw new Error('saveRegions() not implemented');
   }
@@ -16,6 +18,24 @@ class StorageInterface {
     throw new Error('saveComplete() not implemented');
   }
 
+  async saveEndpoints(data) {
+    throw new Error('saveEndpoints() not implemented');
+  }
+
+  async loadComplete() {
+    throw new Error('loadComplete() not implemented');
+  }
+
+  /**
+   * Save files of a dataset that failed data quality checks under quarantine/<runId>/
+   * @param {string} runId - Quarantine folder name
+   * @param {Object<string, Object>} files - File name -> JSON data
+   * @returns {Promise<string>} Quarantine location
+   */
+  async saveQuarantine(runId, files) {
+    throw new Error('saveQuarantine() not implemented');
+  }
+
   async loadCache() {
     throw new Error('loadCache() not implemented');
   }
@@ -24,6 +44,45 @@ class StorageInterface {
     throw new Error('saveCache() not implemented');
   }
 
+  async loadNameCache() {
+    throw new Error('loadNameCache() not implemented');
+  }
+
+  async saveNameCache(data) {
+    throw new Error('saveNameCache() not implemented');
+  }
+
+  // Service-by-region checkpoint (resumable runs)
+  async loadCheckpoint() {
+    throw new Error('loadCheckpoint() not implemented');
+  }
+
+  async saveCheckpoint(data) {
+    throw new Error('saveCheckpoint() not implemented');
+  }
+
+  async deleteCheckpoint() {
+    throw new Error('deleteCheckpoint() not implemented');
+  }
+
+  // Run lease (one fetch at a time per dataset, see core/run-lease.js)
+  /**
+   * Load the current run lease
+   * @returns {Promise<{lease: Object, version: string}|null>} Lease and an opaque version for saveLease()
+   */
+  async loadLease() {
+    throw new Error('loadLease() not implemented');
+  }
+
+  /**
+   * Write the run lease if it is still at `version` (null: only if no lease exists)
+   * @returns {Promise<string>} New version
+   * @throws {StorageConflictError} When the lease changed since it was loaded
+   */
+  async saveLease(lease, version) {
+    throw new Error('saveLease() not implemented');
+  }
+
   // Change tracking methods
   async loadChangeHistory() {
     throw new Error('loadChangeHistory() not implemented');
@@ -44,6 +103,29 @@ class StorageInterface {
   async loadServicesForChangeTracking() {
     throw new Error('loadServicesForChangeTracking() not implemented');
   }
+
+  // History snapshot methods
+  /**
+   * List stored complete-data history snapshots, oldest first
+   * @returns {Promise<Array<{id: string, timestamp: number}>>}
+   */
+  async listHistorySnapshots() {
+    throw new Error('listHistorySnapshots() not implemented');
+  }
+
+  /**
+   * Load a history snapshot by the id returned from listHistorySnapshots()
+   */
+  async loadHistorySnapshot(id) {
+    throw new Error('loadHistorySnapshot() not implemented');
+  }
+
+  /**
+   * Delete a history snapshot by the id returned from listHistorySnapshots() (retention)
+   */
+  async deleteHistorySnapshot(id) {
+    throw new Error('deleteHistorySnapshot() not implemented');
+  }
 }
 
 module.exports = StorageInterface;
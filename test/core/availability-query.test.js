@@ -0,0 +1,57 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const AvailabilityQuery = require('../../src/core/availability-query');
+
+const completeData = {
+    regions: {
+        regions: [
+            { code: 'eu-west-1', name: 'Europe (Ireland)' },
+            { code: 'us-east-1', name: 'US East (N. Virginia)' },
+            { code: 'us-west-2', name: 'US West (Oregon)' }
+        ]
+    },
+    services: { services: ['ec2', 'lambda', 's3'] },
+    servicesByRegion: {
+        byRegion: {
+            'eu-west-1': { services: ['ec2', 's3'] },
+            'us-east-1': { services: ['ec2', 'lambda', 's3'] },
+            'us-west-2': { services: [], error: 'Rate exceeded' }
+        }
+    }
+};
+
+describe('AvailabilityQuery', () => {
+    const query = new AvailabilityQuery(completeData, { lambda: 'AWS Lambda' });
+
+    test('needs a service-by-region mapping', () => {
+        assert.throws(() => new AvailabilityQuery({ regions: completeData.regions }), /no service-by-region mapping/);
+    });
+
+    test('finds regions offering every requested service', () => {
+        const result = query.regionsOffering(['ec2', 'lambda', 'sagemaker']);
+        assert.deepEqual(result.regions, []);
+        assert.deepEqual(result.unknownServices, ['sagemaker']);
+
+        const found = query.regionsOffering(['ec2', 'lambda']);
+        assert.deepEqual(found.regions, [{ code: 'us-east-1', name: 'US East (N. Virginia)' }]);
+        assert.deepEqual(found.unknownRegions, ['us-west-2']);
+        assert.equal(found.available, true);
+    });
+
+    test('reports failed regions as unknown rather than empty', () => {
+        const result = query.regionHas('us-west-2', ['ec2']);
+        assert.equal(result.known, false);
+        assert.equal(result.error, 'Rate exceeded');
+        assert.deepEqual(result.services, [{ code: 'ec2', name: 'ec2', available: null }]);
+        assert.equal(result.available, false);
+        assert.equal(query.servicesIn('us-west-2').known, false);
+    });
+
+    test('lists what a region lacks compared to another', () => {
+        const result = query.missingServices('eu-west-1', 'us-east-1');
+        assert.deepEqual(result.missing, [{ code: 'lambda', name: 'AWS Lambda' }]);
+        assert.equal(result.available, false);
+        assert.equal(query.missingServices('us-east-1', 'eu-west-1').available, true);
+        assert.equal(query.missingServices('eu-west-1', 'us-west-2').known, false);
+    });
+});
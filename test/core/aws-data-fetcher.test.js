@@ -0,0 +1,592 @@
+const { test, describe, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const { GetParametersCommand } = require('@aws-sdk/client-ssm');
+const AWSDataFetcher = require('../../src/core/aws-data-fetcher');
+const RequestScheduler = require('../../src/core/request-scheduler');
+
+const REGIONS_PATH = '/aws/service/global-infrastructure/regions';
+
+/**
+ * In-memory SSM parameter tree answering GetParametersByPath and GetParameters
+ * Values are strings or { Value, Version }; `failures` maps a path to the error it throws.
+ */
+function fakeSsm(parameters, failures = {}) {
+    const toParameter = name => {
+        const entry = parameters[name];
+        return typeof entry === 'object'
+            ? { Name: name, Value: entry.Value, Version: entry.Version }
+            : { Name: name, Value: entry, Version: 1 };
+    };
+
+    return {
+        calls: [],
+        async send(command) {
+            const { input } = command;
+            this.calls.push({ command: command.constructor.name, input });
+
+            const failure = failures[input.Path];
+            if (failure) {
+                failures[input.Path] = failure.times > 1 ? { ...failure, times: failure.times - 1 } : null;
+                throw new Error(failure.message);
+            }
+
+            if (command instanceof GetParametersCommand) {
+                return {
+                    Parameters: input.Names.filter(name => name in parameters).map(toParameter),
+                    InvalidParameters: input.Names.filter(name => !(name in parameters))
+                };
+            }
+
+            const prefix = `${input.Path}/`;
+            return {
+                Parameters: Object.keys(parameters)
+                    .filter(name => name.startsWith(prefix) && (input.Recursive || !name.slice(prefix.length).includes('/')))
+                    .map(toParameter)
+            };
+        }
+    };
+}
+
+/**
+ * Parameters for a region's service listing, optionally with endpoint attributes
+ */
+function regionServices(region, services, { endpoints = false, version = 1 } = {}) {
+    const parameters = {};
+    services.forEach(service => {
+        const name = `${REGIONS_PATH}/${region}/services/${service}`;
+        parameters[name] = { Value: service, Version: version };
+        if (endpoints) {
+            parameters[`${name}/endpoint`] = `${service}.${region}.amazonaws.com`;
+            parameters[`${name}/protocols`] = 'HTTPS, HTTP';
+        }
+    });
+    return parameters;
+}
+
+function memoryStorage(initial = {}) {
+    const state = { ...initial };
+    return {
+        state,
+        async loadCache() { return state.cache || null; },
+        async saveCache(data) { state.cache = JSON.parse(JSON.stringify(data)); },
+        async loadNameCache() { return state.nameCache || null; },
+        async saveNameCache(data) { state.nameCache = JSON.parse(JSON.stringify(data)); },
+        async loadCheckpoint() { return state.checkpoint || null; },
+        async saveCheckpoint(data) { state.checkpoint = JSON.parse(JSON.stringify(data)); },
+        async deleteCheckpoint() { delete state.checkpoint; }
+    };
+}
+
+function createFetcher(client, storage, options = {}) {
+    const fetcher = new AWSDataFetcher('us-east-1', { storage, regionRetries: 0, ...options });
+    fetcher.scheduler = new RequestScheduler(client, { targetTps: 1000, maxTps: 1000, maxInFlight: 1000 });
+    return fetcher;
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+describe('service endpoints', () => {
+    const parameters = {
+        ...regionServices('us-east-1', ['lambda', 's3'], { endpoints: true }),
+        ...regionServices('eu-west-1', ['s3'], { endpoints: true })
+    };
+
+    test('reads endpoint and protocols for each regional service', async () => {
+        const fetcher = createFetcher(fakeSsm(parameters), memoryStorage());
+
+        const result = await fetcher.fetchServicesByRegion(['eu-west-1', 'us-east-1'], ['lambda', 's3'], false, true);
+
+        assert.deepEqual(result.byRegion['us-east-1'].services, ['lambda', 's3']);
+        assert.deepEqual(result.byRegion['us-east-1'].endpoints, {
+            lambda: { endpoint: 'lambda.us-east-1.amazonaws.com', protocols: ['HTTPS', 'HTTP'] },
+            s3: { endpoint: 's3.us-east-1.amazonaws.com', protocols: ['HTTPS', 'HTTP'] }
+        });
+    });
+
+    test('leaves endpoints out unless requested', async () => {
+        const client = fakeSsm(parameters);
+        const fetcher = createFetcher(client, memoryStorage());
+
+        const result = await fetcher.fetchServicesByRegion(['us-east-1'], ['lambda', 's3'], false, false);
+
+        assert.deepEqual(result.byRegion['us-east-1'].services, ['lambda', 's3']);
+        assert.equal(result.byRegion['us-east-1'].endpoints, undefined);
+        assert.ok(client.calls.every(call => call.input.Recursive === false));
+    });
+
+    test('builds endpoints.json, listing regions without endpoint data', () => {
+        const fetcher = createFetcher(fakeSsm({}), memoryStorage());
+        const endpoints = fetcher.buildEndpointsData({
+            byRegion: {
+                'us-east-1': { services: ['s3'], endpoints: { s3: { endpoint: 's3.us-east-1.amazonaws.com', protocols: ['HTTPS'] } } },
+                'eu-west-1': { services: [], error: 'Rate exceeded' }
+            }
+        });
+
+        assert.deepEqual(endpoints.byRegion, { 'us-east-1': { s3: { endpoint: 's3.us-east-1.amazonaws.com', protocols: ['HTTPS'] } } });
+        assert.deepEqual(endpoints.summary, { totalRegions: 1, totalEndpoints: 1, missingRegions: ['eu-west-1'] });
+    });
+});
+
+describe('availability zones', () => {
+    const AZ_PATH = '/aws/service/global-infrastructure/availability-zones';
+    const zone = (id, attributes) => Object.fromEntries([
+        [`${AZ_PATH}/${id}`, id],
+        ...Object.entries(attributes).map(([name, value]) => [`${AZ_PATH}/${id}/${name}`, value])
+    ]);
+    const parameters = {
+        [`${REGIONS_PATH}/us-east-1`]: 'us-east-1',
+        [`${REGIONS_PATH}/us-east-1/longName`]: 'US East (N. Virginia)',
+        ...zone('use1-az2', { 'parent-region': 'us-east-1', 'zone-type': 'availability-zone', 'zone-group': 'us-east-1' }),
+        ...zone('use1-az1', { 'parent-region': 'us-east-1', 'zone-type': 'availability-zone', 'zone-group': 'us-east-1' }),
+        ...zone('use1-bos1-az1', { 'parent-region': 'us-east-1', 'zone-type': 'local-zone', 'network-border-group': 'us-east-1-bos-1' }),
+        ...zone('use1-lost-az1', { 'zone-type': 'availability-zone' })
+    };
+
+    test('turns zone parameters into a camel-cased zone record', () => {
+        const fetcher = createFetcher(fakeSsm({}), memoryStorage());
+        const result = fetcher.parseZoneParameters('use1-bos1-az1', [
+            { Name: `${AZ_PATH}/use1-bos1-az1/parent-region`, Value: 'us-east-1' },
+            { Name: `${AZ_PATH}/use1-bos1-az1/zone-type`, Value: 'local-zone' },
+            { Name: `${AZ_PATH}/use1-bos1-az1/network-border-group`, Value: 'us-east-1-bos-1' }
+        ]);
+
+        assert.deepEqual(result, {
+            azId: 'use1-bos1-az1',
+            parentRegion: 'us-east-1',
+            zone: { id: 'use1-bos1-az1', type: 'local-zone', networkBorderGroup: 'us-east-1-bos-1' }
+        });
+        assert.equal(fetcher.parseZoneParameters('use1-az1', []).zone.type, 'availability-zone');
+    });
+
+    test('counts standard AZs and lists every zone per region', async () => {
+        const fetcher = createFetcher(fakeSsm(parameters), memoryStorage());
+        mock.method(fetcher, 'fetchRegionLaunchData', async () => ({}));
+
+        const { regions: [region] } = await fetcher.discoverRegions();
+
+        assert.equal(region.availabilityZones, 2);
+        assert.deepEqual(region.zones.map(z => [z.id, z.type]), [
+            ['use1-az1', 'availability-zone'],
+            ['use1-az2', 'availability-zone'],
+            ['use1-bos1-az1', 'local-zone']
+        ]);
+    });
+});
+
+describe('region attributes', () => {
+    const parameters = {
+        [`${REGIONS_PATH}/us-east-1`]: 'us-east-1',
+        [`${REGIONS_PATH}/us-east-1/longName`]: 'US East (N. Virginia)',
+        [`${REGIONS_PATH}/us-east-1/partition`]: 'aws',
+        [`${REGIONS_PATH}/us-east-1/domain`]: 'amazonaws.com',
+        [`${REGIONS_PATH}/us-east-1/geolocationCountry`]: 'US',
+        [`${REGIONS_PATH}/us-east-1/geolocationRegion`]: 'US-VA',
+        [`${REGIONS_PATH}/us-gov-west-1`]: 'us-gov-west-1'
+    };
+
+    test('adds partition, geolocation and bundled metadata to each region', async () => {
+        const fetcher = createFetcher(fakeSsm(parameters), memoryStorage());
+        mock.method(fetcher, 'fetchRegionLaunchData', async () => ({}));
+
+        const { regions } = await fetcher.discoverRegions();
+        const [east, gov] = regions;
+
+        assert.deepEqual(
+            { partition: east.partition, domain: east.domain, country: east.geolocationCountry, region: east.geolocationRegion, continent: east.continent },
+            { partition: 'aws', domain: 'amazonaws.com', country: 'US', region: 'US-VA', continent: 'North America' }
+        );
+        assert.equal(gov.name, 'us-gov-west-1');
+        assert.equal(gov.partition, 'aws-us-gov');
+        assert.equal(gov.domain, null);
+    });
+});
+
+describe('partitions', () => {
+    test('keeps only regions of the fetcher partition', async () => {
+        const parameters = {
+            [`${REGIONS_PATH}/us-east-1`]: 'us-east-1',
+            [`${REGIONS_PATH}/us-gov-west-1`]: 'us-gov-west-1'
+        };
+        const fetcher = createFetcher(fakeSsm(parameters), memoryStorage(), { partition: 'aws-us-gov' });
+        mock.method(fetcher, 'fetchRegionLaunchData', async () => ({}));
+
+        const { regions } = await fetcher.discoverRegions();
+
+        assert.deepEqual(regions.map(r => [r.code, r.partition]), [['us-gov-west-1', 'aws-us-gov']]);
+    });
+
+    test('tags service-by-region entries with their partition', async () => {
+        const fetcher = createFetcher(fakeSsm(regionServices('cn-north-1', ['ec2'])), memoryStorage(), { partition: 'aws-cn' });
+
+        const result = await fetcher.fetchServicesByRegion(['cn-north-1'], ['ec2']);
+
+        assert.equal(result.byRegion['cn-north-1'].partition, 'aws-cn');
+    });
+});
+
+describe('name lookups', () => {
+    const SERVICES_PATH = '/aws/service/global-infrastructure/services';
+    const codes = Array.from({ length: 23 }, (_, i) => `svc${String(i).padStart(2, '0')}`);
+    const parameters = Object.fromEntries(codes.filter(code => code !== 'svc22').map(code => [`${SERVICES_PATH}/${code}/longName`, `Service ${code}`]));
+    const getParametersCalls = client => client.calls.filter(call => call.command === 'GetParametersCommand');
+
+    test('looks names up ten at a time and reports nonexistent ones', async () => {
+        const client = fakeSsm(parameters);
+        const fetcher = createFetcher(client, memoryStorage());
+
+        const { values, invalid, failed } = await fetcher.getParametersBatched(codes.map(code => `${SERVICES_PATH}/${code}/longName`), 2);
+
+        assert.deepEqual(getParametersCalls(client).map(call => call.input.Names.length), [10, 10, 3]);
+        assert.equal(Object.keys(values).length, 22);
+        assert.deepEqual(invalid, [`${SERVICES_PATH}/svc22/longName`]);
+        assert.deepEqual(failed, []);
+    });
+
+    test('serves names from a fresh name cache without SSM calls', async () => {
+        const client = fakeSsm(parameters);
+        const storage = memoryStorage();
+        const fetcher = createFetcher(client, storage);
+
+        const first = await fetcher.fetchServiceNames(codes, SERVICES_PATH);
+        const second = await fetcher.fetchServiceNames(codes, SERVICES_PATH);
+
+        assert.equal(first.svc00, 'Service svc00');
+        assert.equal(first.svc22, null);
+        assert.deepEqual(second, first);
+        assert.equal(getParametersCalls(client).length, 3);
+    });
+
+    test('refreshes the cache when a new code appears or it expires', async () => {
+        const client = fakeSsm(parameters);
+        const storage = memoryStorage();
+        const fetcher = createFetcher(client, storage, { nameCacheTTL: 60000 });
+
+        await fetcher.fetchServiceNames(codes.slice(0, 5), SERVICES_PATH);
+        await fetcher.fetchServiceNames(codes.slice(0, 6), SERVICES_PATH);
+        assert.equal(getParametersCalls(client).length, 2);
+
+        storage.state.nameCache.services.updatedAt = new Date(Date.now() - 120000).toISOString();
+        await fetcher.fetchServiceNames(codes.slice(0, 6), SERVICES_PATH);
+        assert.equal(getParametersCalls(client).length, 3);
+    });
+
+    test('falls back to cached names when a lookup fails, without caching the gap', async () => {
+        const storage = memoryStorage({
+            nameCache: { services: { entries: { svc00: 'Cached svc00' }, updatedAt: '2000-01-01T00:00:00.000Z' } }
+        });
+        const client = fakeSsm(parameters);
+        client.send = async () => { throw new Error('AccessDenied'); };
+        const fetcher = createFetcher(client, storage);
+
+        const names = await fetcher.fetchServiceNames(['svc00', 'svc01'], SERVICES_PATH);
+
+        assert.deepEqual(names, { svc00: 'Cached svc00', svc01: null });
+        assert.deepEqual(storage.state.nameCache.services.entries, {});
+    });
+});
+
+describe('incremental refresh', () => {
+    const TWO_DAYS_AGO = new Date(Date.now() - 2 * 24 * 3600000).toISOString();
+
+    /**
+     * Fetch once, then age every cached entry past the cache TTL
+     */
+    async function expiredCache(parameters, includeEndpoints) {
+        const storage = memoryStorage();
+        await createFetcher(fakeSsm(parameters), storage).fetchServicesByRegion(['us-east-1'], ['lambda', 's3'], false, includeEndpoints);
+        Object.values(storage.state.cache.byRegion).forEach(entry => {
+            entry.lastFetched = TWO_DAYS_AGO;
+            entry.lastChecked = TWO_DAYS_AGO;
+        });
+        return storage;
+    }
+
+    test('fingerprints service names and versions, ignoring attributes and order', () => {
+        const parameters = Object.entries(regionServices('us-east-1', ['lambda', 's3'], { endpoints: true }))
+            .map(([Name, entry]) => ({ Name, Version: entry.Version ?? 1 }));
+        const base = AWSDataFetcher.fingerprintServiceParameters(parameters);
+
+        const servicesOnly = parameters.filter(param => !/(endpoint|protocols)$/.test(param.Name));
+        assert.equal(AWSDataFetcher.fingerprintServiceParameters([...servicesOnly].reverse()).fingerprint, base.fingerprint);
+
+        const bumped = servicesOnly.map(param => param.Name.endsWith('/s3') ? { ...param, Version: 2 } : param);
+        assert.notEqual(AWSDataFetcher.fingerprintServiceParameters(bumped).fingerprint, base.fingerprint);
+        assert.notEqual(AWSDataFetcher.fingerprintServiceParameters(servicesOnly.slice(1)).fingerprint, base.fingerprint);
+    });
+
+    test('records the newest LastModifiedDate', () => {
+        const { lastModified } = AWSDataFetcher.fingerprintServiceParameters([
+            { Name: `${REGIONS_PATH}/us-east-1/services/s3`, Version: 1, LastModifiedDate: new Date('2024-01-01T00:00:00Z') },
+            { Name: `${REGIONS_PATH}/us-east-1/services/lambda`, Version: 1, LastModifiedDate: new Date('2024-03-01T00:00:00Z') },
+            { Name: `${REGIONS_PATH}/us-east-1/services/ec2`, Version: 1 }
+        ]);
+
+        assert.equal(lastModified, '2024-03-01T00:00:00.000Z');
+    });
+
+    test('keeps an expired entry whose fingerprint is unchanged, with one shallow listing', async () => {
+        const parameters = regionServices('us-east-1', ['lambda', 's3']);
+        const storage = await expiredCache(parameters, false);
+        const client = fakeSsm(parameters);
+
+        const result = await createFetcher(client, storage).fetchServicesByRegion(['us-east-1'], ['lambda', 's3'], false, false);
+
+        const entry = result.byRegion['us-east-1'];
+        assert.equal(entry.lastFetched, TWO_DAYS_AGO);
+        assert.notEqual(entry.lastChecked, TWO_DAYS_AGO);
+        assert.equal(result.summary.unchangedRegions, 1);
+        assert.equal(result.summary.fetchedRegions, 0);
+        assert.deepEqual(client.calls.map(call => call.input.Recursive), [false]);
+    });
+
+    test('skips the recursive listing for unchanged regions in endpoint mode', async () => {
+        const parameters = regionServices('us-east-1', ['lambda', 's3'], { endpoints: true });
+        const storage = await expiredCache(parameters, true);
+        const client = fakeSsm(parameters);
+
+        const result = await createFetcher(client, storage).fetchServicesByRegion(['us-east-1'], ['lambda', 's3'], false, true);
+
+        assert.equal(result.summary.unchangedRegions, 1);
+        assert.equal(result.byRegion['us-east-1'].endpoints.s3.endpoint, 's3.us-east-1.amazonaws.com');
+        assert.ok(client.calls.every(call => call.input.Recursive === false));
+    });
+
+    test('refreshes a region when a parameter version changes', async () => {
+        const storage = await expiredCache(regionServices('us-east-1', ['lambda', 's3']), false);
+        const client = fakeSsm(regionServices('us-east-1', ['lambda', 's3', 'sqs'], { version: 2 }));
+
+        const result = await createFetcher(client, storage).fetchServicesByRegion(['us-east-1'], ['lambda', 's3'], false, false);
+
+        const entry = result.byRegion['us-east-1'];
+        assert.deepEqual(entry.services, ['lambda', 's3', 'sqs']);
+        assert.notEqual(entry.lastFetched, TWO_DAYS_AGO);
+        assert.equal(result.summary.unchangedRegions, 0);
+        // The shallow listing doubles as the fetch without endpoints
+        assert.equal(client.calls.length, 1);
+    });
+
+    test('re-reads endpoints with a deep listing once fullRefreshTTL has passed', async () => {
+        const parameters = regionServices('us-east-1', ['lambda', 's3'], { endpoints: true });
+        const storage = await expiredCache(parameters, true);
+        const client = fakeSsm(parameters);
+
+        const result = await createFetcher(client, storage, { fullRefreshTTL: 24 * 3600000 })
+            .fetchServicesByRegion(['us-east-1'], ['lambda', 's3'], false, true);
+
+        assert.equal(result.summary.unchangedRegions, 0);
+        assert.deepEqual(client.calls.map(call => call.input.Recursive), [true]);
+    });
+});
+
+describe('checkpoints', () => {
+    const parameters = {
+        ...regionServices('eu-west-1', ['s3']),
+        ...regionServices('us-east-1', ['lambda', 's3'])
+    };
+    const regions = ['eu-west-1', 'us-east-1'];
+
+    test('stops starting regions after the deadline and leaves the cache untouched', async () => {
+        const client = fakeSsm(parameters);
+        const send = client.send.bind(client);
+        client.send = async command => {
+            await new Promise(resolve => setTimeout(resolve, 250));
+            return send(command);
+        };
+        const storage = memoryStorage();
+        const fetcher = createFetcher(client, storage);
+        fetcher.batchSize = 1;
+
+        const result = await fetcher.fetchServicesByRegion(regions, ['lambda', 's3'], false, false, { deadline: Date.now() + 100 });
+
+        assert.equal(result.summary.incomplete, true);
+        assert.deepEqual(result.summary.pendingRegions, ['us-east-1']);
+        assert.equal(result.summary.fetchedRegions, 1);
+        assert.equal(storage.state.cache, undefined);
+        assert.deepEqual(Object.keys(storage.state.checkpoint.byRegion), ['eu-west-1']);
+    });
+
+    test('resumes from the checkpoint and removes it once every region is done', async () => {
+        const storage = memoryStorage({
+            checkpoint: {
+                startedAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString(),
+                includeEndpoints: false,
+                byRegion: { 'eu-west-1': { regionCode: 'eu-west-1', serviceCount: 1, services: ['s3'] } }
+            }
+        });
+        const client = fakeSsm(parameters);
+
+        const result = await createFetcher(client, storage).fetchServicesByRegion(regions, ['lambda', 's3'], false, false, { resume: true });
+
+        assert.equal(result.summary.resumedRegions, 1);
+        assert.equal(result.summary.fetchedRegions, 1);
+        assert.deepEqual(client.calls.map(call => call.input.Path), [`${REGIONS_PATH}/us-east-1/services`]);
+        assert.equal(storage.state.checkpoint, undefined);
+        assert.deepEqual(Object.keys(storage.state.cache.byRegion).sort(), regions);
+    });
+
+    test('ignores a checkpoint older than the cache TTL', async () => {
+        const storage = memoryStorage({
+            checkpoint: {
+                updatedAt: new Date(Date.now() - 2 * 24 * 3600000).toISOString(),
+                byRegion: { 'eu-west-1': { serviceCount: 1, services: ['s3'] } }
+            }
+        });
+
+        assert.deepEqual(await createFetcher(fakeSsm({}), storage).loadResumeCheckpoint(false), {});
+    });
+
+    test('ignores a checkpoint without endpoints for an endpoints run', async () => {
+        const storage = memoryStorage({
+            checkpoint: {
+                updatedAt: new Date().toISOString(),
+                includeEndpoints: false,
+                byRegion: { 'eu-west-1': { serviceCount: 1, services: ['s3'] } }
+            }
+        });
+        const fetcher = createFetcher(fakeSsm({}), storage);
+
+        assert.deepEqual(await fetcher.loadResumeCheckpoint(true), {});
+        assert.deepEqual(Object.keys(await fetcher.loadResumeCheckpoint(false)), ['eu-west-1']);
+    });
+});
+
+describe('failed regions', () => {
+    const parameters = regionServices('us-east-1', ['lambda', 's3']);
+    const path = `${REGIONS_PATH}/us-east-1/services`;
+
+    test('retries a failed region within the run', async (t) => {
+        t.mock.method(global, 'setTimeout', callback => setImmediate(callback));
+        const client = fakeSsm(parameters, { [path]: { message: 'InternalServerError', times: 1 } });
+        const fetcher = createFetcher(client, memoryStorage(), { regionRetries: 1 });
+
+        const result = await fetcher.fetchServicesByRegion(['us-east-1'], ['lambda', 's3'], false, false);
+
+        assert.deepEqual(result.byRegion['us-east-1'].services, ['lambda', 's3']);
+        assert.deepEqual(result.summary.failedRegions, []);
+        assert.equal(client.calls.length, 2);
+    });
+
+    test('records an error entry when there is no earlier data', async () => {
+        const fetcher = createFetcher(fakeSsm(parameters, { [path]: { message: 'AccessDenied', times: 1 } }), memoryStorage());
+
+        const result = await fetcher.fetchServicesByRegion(['us-east-1'], ['lambda', 's3'], false, false);
+
+        const entry = result.byRegion['us-east-1'];
+        assert.equal(entry.error, 'AccessDenied');
+        assert.deepEqual(entry.services, []);
+        assert.deepEqual(result.summary.failedRegions, [{ region: 'us-east-1', error: 'AccessDenied', carriedForward: false }]);
+        assert.equal(result.summary.fetchedRegions, 0);
+        assert.equal(fetcher.isCacheValid(entry), false);
+    });
+
+    test('carries the last good data forward, marked stale, even on a forced refresh', async () => {
+        const storage = memoryStorage();
+        await createFetcher(fakeSsm(parameters), storage).fetchServicesByRegion(['us-east-1'], ['lambda', 's3'], false, false);
+        const lastGood = storage.state.cache.byRegion['us-east-1'];
+
+        const fetcher = createFetcher(fakeSsm(parameters, { [path]: { message: 'InternalServerError', times: 1 } }), storage);
+        const result = await fetcher.fetchServicesByRegion(['us-east-1'], ['lambda', 's3'], true, false);
+
+        const entry = result.byRegion['us-east-1'];
+        assert.deepEqual(entry.services, lastGood.services);
+        assert.equal(entry.lastFetched, lastGood.lastFetched);
+        assert.equal(entry.stale, true);
+        assert.equal(entry.lastError, 'InternalServerError');
+        assert.equal(result.summary.failedRegions[0].carriedForward, true);
+        assert.equal(fetcher.isCacheValid(entry), false);
+    });
+
+    test('keeps the first failure time while a region stays stale', async () => {
+        const storage = memoryStorage({
+            cache: {
+                byRegion: {
+                    'us-east-1': {
+                        regionCode: 'us-east-1',
+                        serviceCount: 2,
+                        services: ['lambda', 's3'],
+                        lastFetched: '2024-01-01T00:00:00.000Z',
+                        stale: true,
+                        lastError: 'InternalServerError',
+                        lastErrorAt: '2024-01-02T00:00:00.000Z'
+                    }
+                }
+            }
+        });
+        const fetcher = createFetcher(fakeSsm(parameters, { [path]: { message: 'InternalServerError', times: 1 } }), storage);
+
+        const result = await fetcher.fetchServicesByRegion(['us-east-1'], ['lambda', 's3'], false, false);
+
+        assert.equal(result.byRegion['us-east-1'].lastErrorAt, '2024-01-02T00:00:00.000Z');
+        assert.equal(storage.state.cache.byRegion['us-east-1'].lastErrorAt, '2024-01-02T00:00:00.000Z');
+    });
+});
+
+describe('data quality gate', () => {
+    const regions = ['eu-west-1', 'us-east-1', 'us-west-2'];
+    const parameters = Object.assign({}, ...regions.map(region => regionServices(region, ['lambda', 's3'])));
+
+    /**
+     * Fetcher whose discovery steps return fixed data, saving to `storage`
+     */
+    function runFetcher(storage, options = {}) {
+        const fetcher = createFetcher(fakeSsm(parameters), storage, { outputDir: os.tmpdir() });
+        fetcher.discoverRegions = async () => ({ count: regions.length, regions: regions.map(code => ({ code, name: code })) });
+        fetcher.discoverServices = async () => ({ count: 2, services: [{ code: 'lambda', name: 'Lambda' }, { code: 's3', name: 'S3' }] });
+        return fetcher.run({ includeServiceMapping: true, skipChangeTracking: true, ...options });
+    }
+
+    function savingStorage(savedComplete) {
+        const storage = memoryStorage();
+        Object.assign(storage, {
+            async loadComplete() { return savedComplete; },
+            async saveQuarantine(runId) { return `quarantine/${runId}`; },
+            async saveRegions() { return { path: 'regions.json', updated: true }; },
+            async saveServices() { return { path: 'services.json', updated: true }; },
+            async saveComplete() { return { path: 'complete-data.json', updated: true }; },
+            async listHistorySnapshots() { return []; }
+        });
+        return storage;
+    }
+
+    test('does not cache a quarantined service mapping', async () => {
+        const previous = {
+            regions: { count: 3 },
+            services: { count: 2 },
+            servicesByRegion: { byRegion: { 'us-east-1': { serviceCount: 40 } } }
+        };
+        const storage = savingStorage(previous);
+
+        const result = await runFetcher(storage);
+
+        assert.ok(result.quarantined);
+        assert.equal(storage.state.cache, undefined);
+    });
+
+    test('caches the service mapping once the checks pass', async () => {
+        const storage = savingStorage(null);
+
+        const result = await runFetcher(storage);
+
+        assert.equal(result.quarantined, undefined);
+        assert.deepEqual(Object.keys(storage.state.cache.byRegion).sort(), regions);
+    });
+
+    test('saves nothing once the run lease was taken over', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const storage = savingStorage(null);
+        storage.saveComplete = async () => assert.fail('complete data must not be saved');
+
+        const result = await runFetcher(storage, { lease: { lost: true } });
+
+        assert.equal(result.leaseLost, true);
+        assert.equal(result.completePath, undefined);
+        assert.equal(storage.state.cache, undefined);
+    });
+});
@@ -0,0 +1,95 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ChangeHistoryBackfill = require('../../src/core/change-history-backfill');
+
+function historySnapshot(date, services) {
+    return {
+        id: `history/complete-data-${Date.parse(`${date}T12:00:00Z`)}.json`,
+        timestamp: Date.parse(`${date}T12:00:00Z`),
+        data: {
+            metadata: { timestamp: `${date}T12:00:00.000Z` },
+            regions: { count: 1, regions: [{ code: 'us-east-1', name: 'US East (N. Virginia)', availabilityZones: 6 }] },
+            services: { count: services.length, services },
+            servicesByRegion: { byRegion: { 'us-east-1': { regionCode: 'us-east-1', services, serviceCount: services.length } } }
+        }
+    };
+}
+
+function historyStorage(snapshots) {
+    return {
+        saved: {},
+        async listHistorySnapshots() { return snapshots.map(({ id, timestamp }) => ({ id, timestamp })); },
+        async loadHistorySnapshot(id) { return JSON.parse(JSON.stringify(snapshots.find(s => s.id === id).data)); },
+        async loadServicesForChangeTracking() { return { services: [{ code: 's3', name: 'Amazon S3' }] }; },
+        async saveChangeHistory(data) { this.saved.changeHistory = data; },
+        async savePreviousSnapshot(data) { this.saved.previousSnapshot = data; }
+    };
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+test('dates replayed changes to the snapshot they first appeared in', async () => {
+    const storage = historyStorage([
+        historySnapshot('2025-01-01', ['ec2']),
+        historySnapshot('2025-01-05', ['ec2', 's3']),
+        historySnapshot('2025-01-06', ['ec2', 's3'])
+    ]);
+
+    const result = await new ChangeHistoryBackfill(storage, { confirmationRuns: 2 }).run();
+
+    assert.equal(result.replayed, 3);
+    assert.equal(storage.saved.changeHistory.services.s3.firstSeen, '2025-01-05');
+    assert.equal(storage.saved.changeHistory.services.s3.name, 'Amazon S3');
+    assert.deepEqual(storage.saved.changeHistory.changeLog.map(entry => entry.date), ['2025-01-05', '2025-01-01']);
+    assert.ok(storage.saved.previousSnapshot);
+});
+
+test('skips partial snapshots and keeps the comparison snapshot when stopping early', async () => {
+    const partial = historySnapshot('2025-01-02', ['ec2']);
+    delete partial.data.regions;
+    const storage = historyStorage([
+        historySnapshot('2025-01-01', ['ec2']),
+        partial,
+        historySnapshot('2025-01-05', ['ec2', 's3'])
+    ]);
+
+    const result = await new ChangeHistoryBackfill(storage, { confirmationRuns: 1 }).run({ to: '2025-01-02' });
+
+    assert.equal(result.replayed, 1);
+    assert.equal(result.skipped, 1);
+    assert.ok(storage.saved.changeHistory);
+    assert.equal(storage.saved.previousSnapshot, undefined);
+});
+
+test('dry run saves nothing', async () => {
+    const storage = historyStorage([historySnapshot('2025-01-01', ['ec2'])]);
+
+    const result = await new ChangeHistoryBackfill(storage).run({ dryRun: true });
+
+    assert.equal(result.saved, false);
+    assert.deepEqual(storage.saved, {});
+});
+
+test('saves nothing once the run lease was taken over', async () => {
+    const storage = historyStorage([historySnapshot('2025-01-01', ['ec2'])]);
+
+    await assert.rejects(new ChangeHistoryBackfill(storage).run({ lease: { lost: true } }), /Run lease was taken over/);
+    assert.deepEqual(storage.saved, {});
+});
+
+test('records a change only the newest snapshot shows, since unchanged runs add no snapshot', async () => {
+    // The runs after 2025-01-05 saw the same data and wrote no snapshot
+    const storage = historyStorage([
+        historySnapshot('2025-01-01', ['ec2']),
+        historySnapshot('2025-01-05', ['ec2', 's3'])
+    ]);
+
+    const result = await new ChangeHistoryBackfill(storage).run({ to: '2025-01-05' });
+
+    assert.equal(result.changeHistory.services.s3.firstSeen, '2025-01-05');
+    assert.deepEqual(storage.saved.changeHistory.changeLog.map(entry => entry.date), ['2025-01-05', '2025-01-01']);
+    assert.deepEqual(storage.saved.previousSnapshot.pendingChanges, {});
+});
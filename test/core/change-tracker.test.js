@@ -0,0 +1,340 @@
+const { test, describe, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ChangeTracker = require('../../src/core/change-tracker');
+const StorageConflictError = require('../../src/storage/storage-conflict-error');
+
+// Change tracking only needs these storage methods
+function memoryStorage(previousSnapshot = null, changeHistory = null) {
+    return {
+        previousSnapshot,
+        changeHistory,
+        async loadPreviousSnapshot() { return this.previousSnapshot; },
+        async savePreviousSnapshot(data) { this.previousSnapshot = JSON.parse(JSON.stringify(data)); },
+        async loadChangeHistory() { return this.changeHistory; },
+        async saveChangeHistory(data) { this.changeHistory = JSON.parse(JSON.stringify(data)); },
+        async loadServicesForChangeTracking() { return null; }
+    };
+}
+
+function snapshot(byRegion, timestamp = '2025-01-01T00:00:00.000Z') {
+    const regions = Object.keys(byRegion).sort();
+    const services = [...new Set(Object.values(byRegion).flat())].sort();
+    return {
+        metadata: { timestamp },
+        regions: { count: regions.length, regions: regions.map(code => ({ code, name: `Region ${code}`, availabilityZones: 3 })) },
+        services: { count: services.length, services },
+        servicesByRegion: {
+            byRegion: Object.fromEntries(Object.entries(byRegion).map(([code, list]) => [
+                code,
+                { regionCode: code, services: [...list], serviceCount: list.length }
+            ]))
+        }
+    };
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+describe('removal detection', () => {
+    const tracker = new ChangeTracker(memoryStorage(), { confirmationRuns: 1 });
+    const previous = snapshot({ 'us-east-1': ['ec2', 's3'], 'eu-west-1': ['ec2', 'lambda'] });
+    const current = snapshot({ 'us-east-1': ['ec2'] });
+
+    test('detects removed regions, services and regional services', () => {
+        assert.deepEqual(tracker.detectRemovedRegions(current.regions, previous.regions).map(r => r.code), ['eu-west-1']);
+        assert.deepEqual(tracker.detectRemovedServices(current.services, previous.services), ['lambda', 's3']);
+        assert.deepEqual(tracker.detectRemovedRegionalServices(current, previous), [
+            { region: 'us-east-1', service: 's3' },
+            { region: 'eu-west-1', service: 'ec2' },
+            { region: 'eu-west-1', service: 'lambda' }
+        ]);
+    });
+
+    test('does not compare sections missing from either snapshot', () => {
+        assert.deepEqual(tracker.detectRemovedRegions(undefined, previous.regions), []);
+        assert.deepEqual(tracker.detectRemovedServices(current.services, undefined), []);
+        assert.deepEqual(tracker.detectRemovedRegionalServices({ regions: current.regions }, previous), []);
+    });
+
+    test('ignores regions whose fetch failed', () => {
+        const failed = snapshot({ 'us-east-1': [], 'eu-west-1': ['ec2', 'lambda'] });
+        failed.servicesByRegion.byRegion['us-east-1'].error = 'Rate exceeded';
+        assert.deepEqual(tracker.detectRemovedRegionalServices(failed, previous), []);
+    });
+});
+
+describe('region removal in the changelog', () => {
+    test('records a removed region as one event carrying its final services', async () => {
+        const previous = snapshot({ 'us-east-1': ['ec2', 'lambda', 's3'], 'eu-west-1': ['ec2', 'lambda', 's3'] });
+        const storage = memoryStorage(new ChangeTracker(null).buildBaselineSnapshot(previous, null, {}));
+        const tracker = new ChangeTracker(storage, { confirmationRuns: 1, asOfDate: '2025-01-02' });
+
+        const result = await tracker.detectAndTrackChanges(snapshot({ 'us-east-1': ['ec2', 'lambda', 's3'] }));
+
+        assert.deepEqual(result.removedRegions, [{
+            code: 'eu-west-1',
+            name: 'Region eu-west-1',
+            lastSeen: '2025-01-01',
+            serviceCount: 3,
+            finalServices: ['ec2', 'lambda', 's3']
+        }]);
+        assert.deepEqual(result.removedRegionalServices, []);
+        assert.equal(result.summary, 'Removed 1 region (eu-west-1) with 3 services');
+
+        const history = storage.changeHistory;
+        assert.equal(history.removedRegions['eu-west-1'].finalServiceCount, 3);
+        assert.deepEqual(Object.keys(history.removedRegionalServices['eu-west-1']), ['ec2', 'lambda', 's3']);
+        assert.equal(history.metadata.changesSinceInception.removedRegions, 1);
+        assert.equal(history.metadata.changesSinceInception.removedRegionalServices, 0);
+    });
+
+    test('still lists withdrawals from regions that remain', async () => {
+        const previous = snapshot({ 'us-east-1': ['ec2', 's3'], 'eu-west-1': ['ec2'] });
+        const storage = memoryStorage(new ChangeTracker(null).buildBaselineSnapshot(previous, null, {}));
+        const tracker = new ChangeTracker(storage, { confirmationRuns: 1, asOfDate: '2025-01-02' });
+
+        const result = await tracker.detectAndTrackChanges(snapshot({ 'us-east-1': ['ec2', 'ec2-extra'], 'eu-west-1': ['ec2'] }));
+
+        assert.deepEqual(result.removedRegions, []);
+        assert.deepEqual(result.removedRegionalServices, [{ region: 'us-east-1', service: 's3', lastSeen: '2025-01-01' }]);
+        assert.equal(storage.changeHistory.metadata.changesSinceInception.removedRegionalServices, 1);
+    });
+});
+
+describe('flap suppression', () => {
+    const tracker = new ChangeTracker(null, { confirmationRuns: 2 });
+    const noChanges = () => ({
+        newRegions: [],
+        newServices: [],
+        newRegionalServices: [],
+        removedRegions: [],
+        removedServices: [],
+        removedRegionalServices: [],
+        modifiedRegions: [],
+        modifiedServices: []
+    });
+    const current = snapshot({ 'us-east-1': ['ec2', 's3'], 'eu-west-1': ['ec2'] });
+
+    test('keeps a change pending until it is observed in consecutive runs', () => {
+        const detected = { ...noChanges(), newServices: ['s3'] };
+
+        const first = tracker.confirmChanges(detected, {}, current, '2025-01-02', '2025-01-01');
+        assert.deepEqual(first.confirmed.newServices, []);
+        assert.equal(first.pending['newServices:s3'].observations, 1);
+
+        const second = tracker.confirmChanges(detected, first.pending, current, '2025-01-03', '2025-01-02');
+        assert.equal(second.confirmed.newServices.length, 1);
+        assert.equal(second.confirmed.newServices[0].firstObserved, '2025-01-02');
+        assert.deepEqual(second.pending, {});
+    });
+
+    test('drops a change that is not observed again', () => {
+        const first = tracker.confirmChanges({ ...noChanges(), newServices: ['s3'] }, {}, current, '2025-01-02', '2025-01-01');
+        const second = tracker.confirmChanges(noChanges(), first.pending, current, '2025-01-03', '2025-01-02');
+        assert.deepEqual(second.pending, {});
+        assert.deepEqual(second.confirmed.newServices, []);
+    });
+
+    test('carries pending regional changes forward while their region fails to fetch', () => {
+        const item = { region: 'eu-west-1', service: 'lambda' };
+        const first = tracker.confirmChanges({ ...noChanges(), newRegionalServices: [item] }, {}, current, '2025-01-02', '2025-01-01');
+
+        const failed = snapshot({ 'us-east-1': ['ec2', 's3'], 'eu-west-1': [] });
+        failed.servicesByRegion.byRegion['eu-west-1'].error = 'Rate exceeded';
+        const second = tracker.confirmChanges(noChanges(), first.pending, failed, '2025-01-03', '2025-01-02');
+
+        assert.deepEqual(second.pending, first.pending);
+    });
+
+    test('restarts the count when a pending attribute moves again', () => {
+        const change = to => ({ ...noChanges(), modifiedRegions: [{ code: 'us-east-1', field: 'availabilityZones', from: 3, to }] });
+        const first = tracker.confirmChanges(change(4), {}, current, '2025-01-02', '2025-01-01');
+        const second = tracker.confirmChanges(change(5), first.pending, current, '2025-01-03', '2025-01-02');
+
+        assert.deepEqual(second.confirmed.modifiedRegions, []);
+        assert.equal(second.pending['modifiedRegions:us-east-1/availabilityZones'].observations, 1);
+        assert.equal(second.pending['modifiedRegions:us-east-1/availabilityZones'].firstObserved, '2025-01-03');
+    });
+
+    test('baseline reverts pending changes so they are detected again', () => {
+        const previous = snapshot({ 'us-east-1': ['ec2'], 'eu-west-1': ['ec2'] });
+        const pending = {
+            'newServices:s3': { kind: 'newServices', item: 's3' },
+            'newRegionalServices:us-east-1/s3': { kind: 'newRegionalServices', item: { region: 'us-east-1', service: 's3' } }
+        };
+
+        const baseline = tracker.buildBaselineSnapshot(current, previous, pending, { ec2: 'Amazon EC2' });
+
+        assert.deepEqual(baseline.services.services, ['ec2']);
+        assert.equal(baseline.services.count, 1);
+        assert.deepEqual(baseline.servicesByRegion.byRegion['us-east-1'].services, ['ec2']);
+        assert.deepEqual(baseline.pendingChanges, pending);
+        assert.deepEqual(baseline.serviceNames, { ec2: 'Amazon EC2' });
+        assert.deepEqual(tracker.detectNewServices(current.services, baseline.services), ['s3']);
+    });
+
+    test('baseline keeps the last good entry for regions that failed to fetch', () => {
+        const previous = snapshot({ 'us-east-1': ['ec2', 's3'], 'eu-west-1': ['ec2', 'lambda'] });
+        const failed = snapshot({ 'us-east-1': ['ec2', 's3'], 'eu-west-1': [] });
+        failed.servicesByRegion.byRegion['eu-west-1'].error = 'Rate exceeded';
+
+        const baseline = tracker.buildBaselineSnapshot(failed, previous, {});
+
+        assert.deepEqual(baseline.servicesByRegion.byRegion['eu-west-1'].services, ['ec2', 'lambda']);
+        assert.equal(baseline.servicesByRegion.byRegion['eu-west-1'].error, undefined);
+    });
+
+    test('records a change only on its second consecutive observation', async () => {
+        const storage = memoryStorage();
+        const run = (data, asOfDate) => new ChangeTracker(storage, { confirmationRuns: 2, asOfDate }).detectAndTrackChanges(data);
+        const withS3 = snapshot({ 'us-east-1': ['ec2', 's3'] });
+
+        await run(snapshot({ 'us-east-1': ['ec2'] }), '2025-01-01');
+        const flap = await run(withS3, '2025-01-02');
+        assert.equal(flap.hasChanges, false);
+        assert.equal(flap.pendingChanges, 2);
+
+        const confirmed = await run(withS3, '2025-01-03');
+        assert.deepEqual(confirmed.newServices, [{ code: 's3', name: 's3' }]);
+        assert.deepEqual(confirmed.newRegionalServices, [{ region: 'us-east-1', service: 's3' }]);
+        assert.equal(storage.changeHistory.services.s3.firstSeen, '2025-01-02');
+    });
+});
+
+describe('attribute changes', () => {
+    const tracker = new ChangeTracker(null, { confirmationRuns: 1 });
+
+    test('detects region attribute changes with before/after values', () => {
+        const previous = { regions: [{ code: 'us-east-1', name: 'US East (N. Virginia)', availabilityZones: 6, launchDate: null }] };
+        const current = { regions: [{ code: 'us-east-1', name: 'US East (Virginia)', availabilityZones: 7, launchDate: '2006-08-25' }] };
+
+        assert.deepEqual(tracker.detectModifiedRegions(current, previous), [
+            { code: 'us-east-1', field: 'name', from: 'US East (N. Virginia)', to: 'US East (Virginia)' },
+            { code: 'us-east-1', field: 'availabilityZones', from: 6, to: 7 }
+        ]);
+    });
+
+    test('ignores lookup fallbacks on either side', () => {
+        const previous = { regions: [{ code: 'us-east-1', name: 'us-east-1', availabilityZones: 6 }] };
+        const current = { regions: [{ code: 'us-east-1', name: 'US East (N. Virginia)', availabilityZones: 0 }] };
+
+        assert.deepEqual(tracker.detectModifiedRegions(current, previous), []);
+        assert.deepEqual(tracker.detectModifiedServices({ s3: 's3' }, { s3: 'Amazon S3' }), []);
+    });
+
+    test('detects service renames from the stored name map', () => {
+        assert.deepEqual(tracker.detectModifiedServices({ s3: 'Amazon Simple Storage Service' }, { s3: 'Amazon S3' }), [
+            { code: 's3', field: 'name', from: 'Amazon S3', to: 'Amazon Simple Storage Service' }
+        ]);
+        assert.deepEqual(tracker.detectModifiedServices({ s3: 'Amazon S3' }, undefined), []);
+    });
+
+    test('records AZ count changes in the changelog', async () => {
+        const previous = snapshot({ 'us-east-1': ['ec2'] });
+        const current = snapshot({ 'us-east-1': ['ec2'] });
+        current.regions.regions[0].availabilityZones = 4;
+        const storage = memoryStorage(tracker.buildBaselineSnapshot(previous, null, {}));
+
+        const result = await new ChangeTracker(storage, { confirmationRuns: 1, asOfDate: '2025-01-02' }).detectAndTrackChanges(current);
+
+        assert.deepEqual(result.modifiedRegions, [{ code: 'us-east-1', field: 'availabilityZones', from: 3, to: 4 }]);
+        assert.equal(result.summary, 'AZ count changed in us-east-1 (3 → 4)');
+        assert.equal(storage.changeHistory.metadata.changesSinceInception.modifiedRegions, 1);
+    });
+});
+
+describe('region launches', () => {
+    test('records a new region and its initial services as one event', async () => {
+        const storage = memoryStorage(new ChangeTracker(null).buildBaselineSnapshot(snapshot({ 'us-east-1': ['ec2', 's3'] }), null, {}));
+        const tracker = new ChangeTracker(storage, { confirmationRuns: 1, asOfDate: '2025-01-02' });
+
+        const result = await tracker.detectAndTrackChanges(snapshot({ 'us-east-1': ['ec2', 's3', 'lambda'], 'mx-central-1': ['s3', 'ec2'] }));
+
+        assert.deepEqual(result.newRegions, [{
+            code: 'mx-central-1',
+            name: 'Region mx-central-1',
+            availabilityZones: 3,
+            serviceCount: 2,
+            initialServices: ['ec2', 's3']
+        }]);
+        assert.deepEqual(result.newRegionalServices, [{ region: 'us-east-1', service: 'lambda' }]);
+
+        const history = storage.changeHistory;
+        assert.equal(history.regions['mx-central-1'].initialServiceCount, 2);
+        assert.deepEqual(Object.keys(history.regionalServices['mx-central-1']).sort(), ['ec2', 's3']);
+        assert.equal(history.metadata.changesSinceInception.newRegionalServices, 1);
+    });
+
+    test('folds initial services confirmed after the launch into the launch event', async () => {
+        const storage = memoryStorage(new ChangeTracker(null).buildBaselineSnapshot(snapshot({ 'us-east-1': ['ec2'] }), null, {}));
+        const run = (data, asOfDate) => new ChangeTracker(storage, { confirmationRuns: 1, asOfDate }).detectAndTrackChanges(data);
+
+        // The new region's first service fetch fails
+        const failed = snapshot({ 'us-east-1': ['ec2'], 'mx-central-1': [] });
+        failed.servicesByRegion.byRegion['mx-central-1'].error = 'Rate exceeded';
+        const launch = await run(failed, '2025-01-02');
+        assert.equal(launch.newRegions[0].serviceCount, 0);
+
+        const later = await run(snapshot({ 'us-east-1': ['ec2'], 'mx-central-1': ['ec2'] }), '2025-01-03');
+        assert.deepEqual(later.newRegionalServices, []);
+
+        const event = storage.changeHistory.changeLog.find(entry => entry.date === '2025-01-02').changes.newRegions[0];
+        assert.deepEqual(event.initialServices, ['ec2']);
+        assert.equal(event.serviceCount, 1);
+    });
+});
+
+describe('overlapping runs', () => {
+    // Another run saved its snapshot after this one loaded it
+    function conflictingStorage(previousSnapshot) {
+        const storage = memoryStorage(previousSnapshot);
+        storage.savePreviousSnapshot = async () => {
+            throw new StorageConflictError('.previous-snapshot.json');
+        };
+        return storage;
+    }
+
+    test('leaves the change history untouched when the snapshot write is rejected', async () => {
+        const storage = conflictingStorage(new ChangeTracker(null).buildBaselineSnapshot(snapshot({ 'us-east-1': ['ec2'] }), null, {}));
+        const tracker = new ChangeTracker(storage, { confirmationRuns: 1, asOfDate: '2025-01-02' });
+
+        await assert.rejects(tracker.detectAndTrackChanges(snapshot({ 'us-east-1': ['ec2', 's3'] })), StorageConflictError);
+        assert.equal(storage.changeHistory, null);
+    });
+
+    test('does not initialize the change history when the first snapshot write is rejected', async () => {
+        const storage = conflictingStorage(null);
+
+        await assert.rejects(new ChangeTracker(storage).detectAndTrackChanges(snapshot({ 'us-east-1': ['ec2'] })), StorageConflictError);
+        assert.equal(storage.changeHistory, null);
+    });
+
+    test('merges its changes into a change history another run saved after the snapshot write', async () => {
+        const baseline = new ChangeTracker(null).buildBaselineSnapshot(snapshot({ 'us-east-1': ['ec2'] }), null, {});
+
+        // The other run's history records lambda in us-east-1
+        const other = memoryStorage(baseline);
+        await new ChangeTracker(other, { confirmationRuns: 1, asOfDate: '2025-01-01' })
+            .detectAndTrackChanges(snapshot({ 'us-east-1': ['ec2', 'lambda'] }));
+
+        const storage = memoryStorage(baseline);
+        const save = storage.saveChangeHistory;
+        let rejected = 0;
+        storage.saveChangeHistory = async function (data) {
+            if (rejected++ === 0) {
+                this.changeHistory = other.changeHistory;
+                throw new StorageConflictError('change-history.json');
+            }
+            return save.call(this, data);
+        };
+        const tracker = new ChangeTracker(storage, { confirmationRuns: 1, asOfDate: '2025-01-02' });
+
+        const result = await tracker.detectAndTrackChanges(snapshot({ 'us-east-1': ['ec2', 's3'] }));
+
+        assert.deepEqual(result.newRegionalServices, [{ region: 'us-east-1', service: 's3' }]);
+        assert.deepEqual(Object.keys(storage.changeHistory.regionalServices['us-east-1']).sort(), ['lambda', 's3']);
+        assert.deepEqual(storage.changeHistory.changeLog.map(entry => entry.date).sort(), ['2025-01-01', '2025-01-02']);
+    });
+});
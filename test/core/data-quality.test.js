@@ -0,0 +1,111 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkDataQuality, enforceDataQuality } = require('../../src/core/data-quality');
+
+/**
+ * Complete dataset with `regionCount` regions (the first three required ones
+ * included), `serviceCount` services and the given services per region
+ */
+function dataset({ regionCount = 20, serviceCount = 100, perRegion = 100, byRegion = {} } = {}) {
+    const codes = ['us-east-1', 'us-west-2', 'eu-west-1'];
+    for (let i = codes.length; i < regionCount; i++) codes.push(`xx-test-${i}`);
+
+    return {
+        metadata: { timestamp: '2024-01-01T00:00:00.000Z' },
+        regions: { count: codes.length, regions: codes.map(code => ({ code })) },
+        services: { count: serviceCount, services: Array.from({ length: serviceCount }, (_, i) => `svc${i}`) },
+        servicesByRegion: {
+            byRegion: Object.fromEntries(codes.map(code => [code, { serviceCount: perRegion, services: [], ...byRegion[code] }]))
+        }
+    };
+}
+
+function memoryStorage(saved) {
+    return {
+        quarantined: null,
+        async loadComplete() { return saved; },
+        async saveQuarantine(runId, files) {
+            this.quarantined = files;
+            return `quarantine/${runId}`;
+        }
+    };
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+test('passes small drops within the configured limits', () => {
+    const result = checkDataQuality(dataset({ regionCount: 19, serviceCount: 96, perRegion: 85 }), dataset());
+
+    assert.deepEqual(result, { passed: true, violations: [] });
+});
+
+test('flags region, service and per-region service count drops', () => {
+    const current = dataset({ regionCount: 18, serviceCount: 90, byRegion: { 'eu-west-1': { serviceCount: 50 } } });
+
+    const { passed, violations } = checkDataQuality(current, dataset());
+
+    assert.equal(passed, false);
+    assert.deepEqual(violations.map(v => v.check), ['region-count', 'service-count', 'region-service-count']);
+    assert.equal(violations[2].region, 'eu-west-1');
+    assert.match(violations[0].message, /20 → 18 \(-10\.0%, max 5%\)/);
+});
+
+test('counts a failed region as having no services', () => {
+    const current = dataset({ byRegion: { 'xx-test-5': { serviceCount: 0, error: 'AccessDenied' } } });
+
+    const { violations } = checkDataQuality(current, dataset());
+
+    assert.equal(violations.length, 1);
+    assert.match(violations[0].message, /xx-test-5 service count dropped 100 → 0 .*\(AccessDenied\)/);
+});
+
+test('requires the configured regions with service data, even without a saved dataset', () => {
+    const current = dataset({ byRegion: { 'us-west-2': { error: 'Rate exceeded' } } });
+    current.regions.regions = current.regions.regions.filter(region => region.code !== 'eu-west-1');
+
+    const { violations } = checkDataQuality(current, null);
+
+    assert.deepEqual(violations.map(v => [v.check, v.region]), [['required-region', 'us-west-2'], ['required-region', 'eu-west-1']]);
+});
+
+test('only requires regions of the partition being checked', () => {
+    const current = dataset({ regionCount: 3 });
+    current.regions.regions = [{ code: 'us-gov-west-1' }];
+    current.servicesByRegion.byRegion = { 'us-gov-west-1': { serviceCount: 50 } };
+
+    assert.equal(checkDataQuality(current, null, { partition: 'aws-us-gov' }).passed, true);
+    assert.equal(checkDataQuality(current, null, { partition: 'aws' }).passed, false);
+});
+
+test('only compares sections present in both datasets', () => {
+    const { services, ...regionsOnly } = dataset();
+    delete regionsOnly.servicesByRegion;
+
+    assert.equal(checkDataQuality(regionsOnly, dataset({ serviceCount: 500, perRegion: 500 })).passed, true);
+});
+
+test('quarantines the new files and a quality report on failure', async () => {
+    const storage = memoryStorage(dataset());
+    const current = dataset({ regionCount: 10 });
+
+    const result = await enforceDataQuality(storage, current, { 'complete-data.json': current });
+
+    assert.equal(result.passed, false);
+    assert.match(result.quarantinePath, /^quarantine\//);
+    assert.deepEqual(Object.keys(storage.quarantined), ['complete-data.json', 'quality-report.json']);
+    assert.equal(storage.quarantined['quality-report.json'].previousTimestamp, '2024-01-01T00:00:00.000Z');
+});
+
+test('throws instead of quarantining with the fail action', async () => {
+    const storage = memoryStorage(dataset());
+
+    await assert.rejects(
+        enforceDataQuality(storage, dataset({ regionCount: 10 }), {}, { action: 'fail' }),
+        /Data quality checks failed: Region count dropped/
+    );
+    assert.equal(storage.quarantined, null);
+    await assert.rejects(enforceDataQuality(storage, dataset(), {}, { action: 'ignore' }), /Unknown data quality action/);
+});
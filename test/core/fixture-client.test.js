@@ -0,0 +1,138 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { GetParametersByPathCommand, GetParameterCommand } = require('@aws-sdk/client-ssm');
+const FixtureClient = require('../../src/core/fixture-client');
+const AWSDataFetcher = require('../../src/core/aws-data-fetcher');
+const PartitionRunner = require('../../src/core/partition-runner');
+const LocalStorage = require('../../src/storage/local-storage');
+
+let dir;
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fixtures-'));
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+function realClient(respond) {
+    return {
+        calls: 0,
+        async send(command) {
+            this.calls++;
+            return respond(command);
+        }
+    };
+}
+
+test('replays recorded responses by command and input, without the client', async () => {
+    const client = realClient(command => ({ $metadata: { httpStatusCode: 200 }, Parameters: [{ Name: command.input.Path }] }));
+    const recorder = new FixtureClient(client, { mode: 'record', dir });
+
+    await recorder.send(new GetParametersByPathCommand({ Path: '/a', Recursive: false }));
+    await recorder.send(new GetParametersByPathCommand({ Path: '/b', Recursive: false }));
+    assert.equal(recorder.stats.recorded, 2);
+    assert.equal((await fs.readdir(path.join(dir, 'ssm'))).length, 2);
+
+    const replayer = new FixtureClient(null, { mode: 'replay', dir });
+    const response = await replayer.send(new GetParametersByPathCommand({ Path: '/b', Recursive: false }));
+
+    assert.deepEqual(response, { Parameters: [{ Name: '/b' }] });
+    assert.equal(replayer.stats.replayed, 1);
+    assert.match(replayer.describe(), /1 responses replayed/);
+});
+
+test('records final errors and replays them, but not throttling', async () => {
+    const client = realClient(command => {
+        const error = new Error(command.input.Name === '/throttled' ? 'Rate exceeded' : 'Parameter not found');
+        error.name = command.input.Name === '/throttled' ? 'ThrottlingException' : 'ParameterNotFound';
+        throw error;
+    });
+    const recorder = new FixtureClient(client, { mode: 'record', dir });
+
+    await assert.rejects(recorder.send(new GetParameterCommand({ Name: '/missing' })), { name: 'ParameterNotFound' });
+    await assert.rejects(recorder.send(new GetParameterCommand({ Name: '/throttled' })), { name: 'ThrottlingException' });
+    assert.equal(recorder.stats.recorded, 1);
+
+    const replayer = new FixtureClient(null, { mode: 'replay', dir });
+    await assert.rejects(replayer.send(new GetParameterCommand({ Name: '/missing' })), { name: 'ParameterNotFound', message: 'Parameter not found' });
+});
+
+test('fails clearly when a request was never recorded', async () => {
+    const replayer = new FixtureClient(null, { mode: 'replay', dir });
+
+    await assert.rejects(
+        replayer.send(new GetParameterCommand({ Name: '/unknown' })),
+        /No recorded response for GetParameterCommand \{"Name":"\/unknown"\}/
+    );
+});
+
+test('keeps the regions RSS feed next to the SSM responses', async () => {
+    const fixtures = new FixtureClient(null, { mode: 'replay', dir });
+
+    assert.equal(await fixtures.loadRssFeed(), null);
+    await fixtures.saveRssFeed('<rss></rss>');
+    assert.equal(await fixtures.loadRssFeed(), '<rss></rss>');
+});
+
+test('a replaying fetcher writes local files to the replay directory, never the configured storage', async (t) => {
+    const saved = { STORAGE_TYPE: process.env.STORAGE_TYPE, REPLAY_OUTPUT_DIR: process.env.REPLAY_OUTPUT_DIR };
+    t.after(() => {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    });
+    process.env.STORAGE_TYPE = 's3';
+    process.env.REPLAY_OUTPUT_DIR = path.join(dir, 'out');
+
+    const fetcher = new AWSDataFetcher('us-east-1', { fixtures: { mode: 'replay', dir } });
+    const runner = new PartitionRunner(['aws'], { fixtures: { mode: 'replay', dir } });
+
+    assert.ok(fetcher.storage instanceof LocalStorage);
+    assert.equal(fetcher.outputDir, path.join(dir, 'out'));
+    assert.ok(runner.storage instanceof LocalStorage);
+    assert.ok(runner.createFetcher('aws').storage instanceof LocalStorage);
+});
+
+test('a replay reuses the recording time as its run timestamp', async () => {
+    mock.method(console, 'log', () => {});
+    const recorder = new AWSDataFetcher('us-east-1', { storage: {}, fixtures: { mode: 'record', dir } });
+    const recordedAt = await recorder.getRunTimestamp();
+
+    const replayer = new AWSDataFetcher('us-east-1', { storage: {}, fixtures: { mode: 'replay', dir } });
+    assert.equal(await replayer.getRunTimestamp(), recordedAt);
+    assert.equal(await replayer.getRunTimestamp(), recordedAt);
+
+    await fs.rm(path.join(dir, 'fixture.json'));
+    assert.match(await replayer.getRunTimestamp(), /^\d{4}-\d{2}-\d{2}T/);
+});
+
+test('rejects unknown modes and a missing directory', () => {
+    assert.throws(() => new FixtureClient(null, { mode: 'playback', dir }), /Unknown fixture mode: playback/);
+    assert.throws(() => new FixtureClient(null, { mode: 'replay' }), /needs a fixture directory/);
+});
+
+test('a replaying fetcher bypasses the cache and the name cache', async () => {
+    mock.method(console, 'log', () => {});
+    const storage = {
+        async loadCache() { throw new Error('cache must not be read'); },
+        async saveCache() {},
+        async loadNameCache() { throw new Error('name cache must not be read'); },
+        async saveCheckpoint() {},
+        async deleteCheckpoint() {}
+    };
+    const servicesPath = '/aws/service/global-infrastructure/regions/us-east-1/services';
+    const recorder = new FixtureClient(realClient(() => ({ Parameters: [{ Name: `${servicesPath}/s3`, Version: 1 }] })), { mode: 'record', dir });
+    await recorder.send(new GetParametersByPathCommand({ Path: servicesPath, Recursive: false, MaxResults: 10 }));
+
+    const fetcher = new AWSDataFetcher('us-east-1', { storage, fixtures: { mode: 'replay', dir } });
+    const result = await fetcher.fetchServicesByRegion(['us-east-1'], ['s3'], false, false);
+
+    assert.deepEqual(result.byRegion['us-east-1'].services, ['s3']);
+    assert.equal(fetcher.fixtures.stats.replayed, 1);
+});
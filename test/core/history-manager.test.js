@@ -0,0 +1,178 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const HistoryManager = require('../../src/core/history-manager');
+
+const DAY = 24 * 3600000;
+
+/**
+ * Listings for snapshots taken at the given ISO times (oldest first)
+ */
+function listings(...times) {
+    return times.map(time => ({ id: `history/complete-data-${Date.parse(time)}.json`, timestamp: Date.parse(time) }));
+}
+
+function memoryStorage(snapshots) {
+    return {
+        deleted: [],
+        async listHistorySnapshots() { return snapshots; },
+        async deleteHistorySnapshot(id) { this.deleted.push(id); }
+    };
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+});
+
+describe('retention', () => {
+    const manager = new HistoryManager(null);
+
+    test('keeps the newest snapshot of each day, week and month within the counts', () => {
+        // Two snapshots a day for 10 days, Wed 2025-01-01 to Fri 2025-01-10
+        const snapshots = [];
+        for (let day = 0; day < 10; day++) {
+            snapshots.push(...listings(
+                new Date(Date.UTC(2025, 0, 1 + day, 2)).toISOString(),
+                new Date(Date.UTC(2025, 0, 1 + day, 14)).toISOString()
+            ));
+        }
+
+        const { keep, remove } = manager.selectRetained(snapshots, { daily: 3, weekly: 2, monthly: 1 });
+
+        assert.deepEqual(keep.map(k => [new Date(k.timestamp).toISOString().slice(0, 13), k.reasons]), [
+            ['2025-01-10T14', ['latest', 'daily', 'weekly', 'monthly']],
+            ['2025-01-09T14', ['daily']],
+            ['2025-01-08T14', ['daily']],
+            ['2025-01-05T14', ['weekly']]
+        ]);
+        assert.equal(remove.length, 16);
+    });
+
+    test('always keeps the latest snapshot', () => {
+        const { keep, remove } = manager.selectRetained(listings('2025-01-01T00:00:00Z', '2025-01-02T00:00:00Z'), { daily: 0, weekly: 0, monthly: 0 });
+
+        assert.deepEqual(keep.map(k => k.reasons), [['latest']]);
+        assert.equal(remove.length, 1);
+    });
+
+    test('prunes what the policy does not keep, unless dry run', async () => {
+        const storage = memoryStorage(listings('2025-01-01T00:00:00Z', '2025-01-01T12:00:00Z', '2025-01-02T00:00:00Z'));
+        const history = new HistoryManager(storage);
+
+        const dryRun = await history.prune({ policy: { daily: 7, weekly: 0, monthly: 0 }, dryRun: true });
+        assert.equal(dryRun.remove.length, 1);
+        assert.deepEqual(storage.deleted, []);
+
+        await history.prune({ policy: { daily: 7, weekly: 0, monthly: 0 } });
+        assert.deepEqual(storage.deleted, [`history/complete-data-${Date.parse('2025-01-01T00:00:00Z')}.json`]);
+    });
+});
+
+describe('retention policy', () => {
+    let saved;
+
+    beforeEach(() => {
+        saved = process.env.HISTORY_RETENTION;
+        delete process.env.HISTORY_RETENTION;
+    });
+
+    afterEach(() => {
+        if (saved === undefined) delete process.env.HISTORY_RETENTION;
+        else process.env.HISTORY_RETENTION = saved;
+    });
+
+    test('reads HISTORY_RETENTION, with explicit overrides on top', () => {
+        process.env.HISTORY_RETENTION = '3,2,1';
+
+        assert.deepEqual(HistoryManager.getRetentionPolicy(), { daily: 3, weekly: 2, monthly: 1 });
+        assert.deepEqual(HistoryManager.getRetentionPolicy({ monthly: 24 }), { daily: 3, weekly: 2, monthly: 24 });
+    });
+
+    test('rejects a malformed HISTORY_RETENTION', () => {
+        process.env.HISTORY_RETENTION = '7,4';
+
+        assert.throws(() => HistoryManager.getRetentionPolicy(), /Invalid HISTORY_RETENTION: 7,4/);
+    });
+});
+
+describe('snapshot lookup', () => {
+    const snapshots = listings('2025-01-01T08:00:00Z', '2025-01-01T20:00:00Z', '2025-01-03T08:00:00Z');
+    const history = new HistoryManager(memoryStorage(snapshots));
+
+    test('finds a snapshot by timestamp, id or file name', async () => {
+        const [, second] = snapshots;
+
+        assert.equal(await history.resolve(String(second.timestamp)), second);
+        assert.equal(await history.resolve(second.id), second);
+        assert.equal(await history.resolve(`complete-data-${second.timestamp}.json`), second);
+    });
+
+    test('takes the latest snapshot on or before a date', async () => {
+        assert.equal(await history.resolve('2025-01-02'), snapshots[1]);
+        await assert.rejects(history.resolve('2024-12-31'), /No history snapshot found on or before 2024-12-31/);
+    });
+
+    test('reports an unknown reference', async () => {
+        await assert.rejects(history.resolve('nope'), /History snapshot not found: nope/);
+    });
+});
+
+describe('rollback', () => {
+    test('republishes a snapshot with current service names, or reports only in a dry run', async () => {
+        const timestamp = Date.parse('2025-01-01T00:00:00Z') - DAY;
+        const storage = {
+            ...memoryStorage(listings(new Date(timestamp).toISOString())),
+            saved: {},
+            async loadHistorySnapshot() {
+                return {
+                    metadata: { version: '1.0' },
+                    regions: { count: 1, regions: [{ code: 'us-east-1' }] },
+                    services: { count: 2, services: ['ec2', 'newsvc'] }
+                };
+            },
+            async loadServicesForChangeTracking() { return { services: [{ code: 'ec2', name: 'Amazon EC2' }] }; },
+            async saveRegions(data) { this.saved.regions = data; return { path: 'regions.json' }; },
+            async saveServices(data) { this.saved.services = data; return { path: 'services.json' }; },
+            async saveComplete(data) { this.saved.complete = data; return { path: 'complete-data.json' }; },
+            async loadPreviousSnapshot() { return null; }
+        };
+        const history = new HistoryManager(storage);
+
+        const dryRun = await history.rollback('2024-12-31', { dryRun: true });
+        assert.equal(dryRun.dryRun, true);
+        assert.deepEqual(storage.saved, {});
+
+        const result = await history.rollback('2024-12-31', { distribute: false });
+        assert.equal(result.completePath, 'complete-data.json');
+        assert.deepEqual(storage.saved.services.services, [{ code: 'ec2', name: 'Amazon EC2' }, { code: 'newsvc', name: 'newsvc' }]);
+        assert.equal(storage.saved.complete.metadata.rolledBackFrom.timestamp, new Date(timestamp).toISOString());
+        assert.equal(storage.saved.complete.metadata.timestamp, storage.saved.complete.metadata.rolledBackAt);
+    });
+
+    test('resets the change tracking baseline to the restored data', async () => {
+        const storage = {
+            ...memoryStorage(listings('2024-12-31T00:00:00Z')),
+            saved: {},
+            async loadHistorySnapshot() {
+                return {
+                    metadata: { timestamp: '2024-12-31T00:00:00.000Z' },
+                    regions: { count: 1, regions: [{ code: 'us-east-1' }] },
+                    services: { count: 1, services: ['ec2'] }
+                };
+            },
+            async loadServicesForChangeTracking() { return { services: [{ code: 'ec2', name: 'Amazon EC2' }] }; },
+            async saveRegions() { return { path: 'regions.json' }; },
+            async saveServices() { return { path: 'services.json' }; },
+            async saveComplete(data) { this.saved.complete = data; return { path: 'complete-data.json' }; },
+            async loadPreviousSnapshot() { return { services: { count: 2, services: ['ec2', 'broken'] }, pendingChanges: { 'newServices:s3': {} } }; },
+            async savePreviousSnapshot(data) { this.saved.baseline = data; }
+        };
+
+        const result = await new HistoryManager(storage).rollback('2024-12-31', { distribute: false });
+
+        assert.equal(result.baselineReset, true);
+        assert.deepEqual(storage.saved.baseline.services.services, ['ec2']);
+        assert.deepEqual(storage.saved.baseline.serviceNames, { ec2: 'Amazon EC2' });
+        assert.deepEqual(storage.saved.baseline.pendingChanges, {});
+        assert.equal(storage.saved.baseline.metadata.timestamp, storage.saved.complete.metadata.timestamp);
+    });
+});
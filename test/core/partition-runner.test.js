@@ -0,0 +1,66 @@
+const { test, describe, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const PartitionRunner = require('../../src/core/partition-runner');
+const AWSDataFetcher = require('../../src/core/aws-data-fetcher');
+
+function partitionResult(partition, regions, services) {
+    const byRegion = Object.fromEntries(regions.map(code => [code, { regionCode: code, partition, services: services.map(s => s.code), serviceCount: services.length }]));
+    return {
+        metadata: { timestamp: '2025-01-01T00:00:00.000Z', tool: 'nodejs-aws-fetcher', partition },
+        regions: { count: regions.length, regions: regions.map(code => ({ code, name: code, partition })) },
+        services: { count: services.length, services },
+        servicesByRegion: {
+            byRegion,
+            summary: { cachedRegions: 1, fetchedRegions: regions.length - 1, unchangedRegions: 0, failedRegions: [] }
+        }
+    };
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+describe('PartitionRunner', () => {
+    test('rejects unknown partitions and output modes', () => {
+        assert.throws(() => new PartitionRunner(['aws', 'aws-mars']), /Unknown partition: aws-mars/);
+        assert.throws(() => new PartitionRunner(['aws'], { output: 'zipped' }), /Unknown partition output mode: zipped/);
+    });
+
+    test('merges partition datasets, tagging services with their partitions', () => {
+        const runner = new PartitionRunner(['aws', 'aws-us-gov']);
+        const merged = runner.mergeResults({
+            aws: partitionResult('aws', ['us-east-1', 'eu-west-1'], [{ code: 'ec2', name: 'Amazon EC2' }, { code: 'bedrock', name: 'Amazon Bedrock' }]),
+            'aws-us-gov': partitionResult('aws-us-gov', ['us-gov-west-1'], [{ code: 'ec2', name: 'ec2' }])
+        });
+
+        assert.deepEqual(merged.metadata.partitions, ['aws', 'aws-us-gov']);
+        assert.equal(merged.metadata.partition, undefined);
+        assert.deepEqual(merged.regions.regions.map(r => r.code), ['eu-west-1', 'us-east-1', 'us-gov-west-1']);
+        assert.deepEqual(merged.services.services, [
+            { code: 'bedrock', name: 'Amazon Bedrock', partitions: ['aws'] },
+            { code: 'ec2', name: 'Amazon EC2', partitions: ['aws', 'aws-us-gov'] }
+        ]);
+        assert.equal(merged.servicesByRegion.byRegion['us-gov-west-1'].partition, 'aws-us-gov');
+        assert.equal(merged.servicesByRegion.summary.totalRegions, 3);
+        assert.equal(merged.servicesByRegion.summary.cachedRegions, 2);
+        assert.equal(merged.servicesByRegion.summary.fetchedRegions, 1);
+    });
+
+    test('writes no merged dataset when a partition fails', async (t) => {
+        const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'partition-runner-'));
+        t.after(() => fs.rm(outputDir, { recursive: true, force: true }));
+
+        mock.method(AWSDataFetcher.prototype, 'run', async function () {
+            if (this.partition === 'aws-cn') throw new Error('The security token included in the request is invalid');
+            return partitionResult(this.partition, ['us-east-1'], [{ code: 'ec2', name: 'Amazon EC2' }]);
+        });
+
+        const runner = new PartitionRunner(['aws', 'aws-cn'], { outputDir });
+        await assert.rejects(runner.run({ includeServiceMapping: true }), /Merged dataset not written, partition fetch failed: aws-cn \(The security token/);
+        assert.deepEqual(await fs.readdir(outputDir), []);
+    });
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { loadRegionMetadata, getRegionMetadata, getPartitionForRegion } = require('../../src/core/region-metadata');
+
+test('maps region codes to partitions', () => {
+    assert.equal(getPartitionForRegion('us-east-1'), 'aws');
+    assert.equal(getPartitionForRegion('us-gov-west-1'), 'aws-us-gov');
+    assert.equal(getPartitionForRegion('cn-north-1'), 'aws-cn');
+    assert.equal(getPartitionForRegion('us-isob-east-1'), 'aws-iso-b');
+    assert.equal(getPartitionForRegion('us-iso-east-1'), 'aws-iso');
+});
+
+test('returns bundled metadata and nulls for unknown regions', () => {
+    assert.deepEqual(getRegionMetadata('af-south-1'), {
+        continent: 'Africa',
+        coordinates: { latitude: -33.92, longitude: 18.42 },
+        optInRequired: true
+    });
+    assert.deepEqual(getRegionMetadata('xx-none-1'), { continent: null, coordinates: null, optInRequired: null });
+});
+
+test('merges entries from an overrides file', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'region-metadata-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'overrides.json');
+    await fs.writeFile(file, JSON.stringify({
+        'us-east-1': { optInRequired: true },
+        'xx-new-1': { continent: 'Europe', coordinates: { latitude: 1, longitude: 2 }, optInRequired: false }
+    }));
+
+    const metadata = await loadRegionMetadata(file);
+
+    assert.equal(metadata['us-east-1'].optInRequired, true);
+    assert.equal(metadata['us-east-1'].continent, 'North America');
+    assert.equal(getRegionMetadata('xx-new-1', metadata).continent, 'Europe');
+    assert.equal(getRegionMetadata('us-east-1').optInRequired, false);
+});
+
+test('reports an unreadable overrides file', async () => {
+    await assert.rejects(loadRegionMetadata('/nonexistent/overrides.json'), /Failed to load region metadata overrides from \/nonexistent\/overrides.json/);
+});
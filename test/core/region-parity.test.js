@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { compareRegions } = require('../../src/core/region-parity');
+
+const completeData = {
+    regions: {
+        regions: [
+            { code: 'eu-west-1', name: 'Europe (Ireland)' },
+            { code: 'us-east-1', name: 'US East (N. Virginia)' },
+            { code: 'us-west-2', name: 'US West (Oregon)' }
+        ]
+    },
+    services: { services: ['ec2', 'lambda', 's3', 'sagemaker'] },
+    servicesByRegion: {
+        byRegion: {
+            'eu-west-1': { services: ['ec2', 's3'] },
+            'us-east-1': { services: ['ec2', 'lambda', 's3', 'sagemaker'] },
+            'us-west-2': { services: ['ec2', 'lambda'] },
+            'ap-south-2': { services: [], error: 'Rate exceeded' }
+        }
+    }
+};
+
+test('reports shared, unique and missing services per region', () => {
+    const report = compareRegions(completeData, ['us-east-1', 'eu-west-1', 'us-west-2'], { s3: 'Amazon S3' });
+
+    assert.deepEqual(report.regions.map(r => [r.code, r.serviceCount]), [['us-east-1', 4], ['eu-west-1', 2], ['us-west-2', 2]]);
+    assert.equal(report.totalServices, 4);
+    assert.deepEqual(report.shared, [{ code: 'ec2', name: 'ec2' }]);
+    assert.deepEqual(report.unique['us-east-1'].map(s => s.code), ['sagemaker']);
+    assert.deepEqual(report.unique['eu-west-1'], []);
+    assert.deepEqual(report.missing['eu-west-1'].map(s => s.code), ['lambda', 'sagemaker']);
+    assert.deepEqual(report.missing['us-west-2'], [{ code: 's3', name: 'Amazon S3' }, { code: 'sagemaker', name: 'sagemaker' }]);
+    assert.deepEqual(report.matrix.find(row => row.code === 'lambda').regions, { 'us-east-1': true, 'eu-west-1': false, 'us-west-2': true });
+});
+
+test('computes parity and coverage for every region pair', () => {
+    const { pairs } = compareRegions(completeData, ['us-east-1', 'eu-west-1', 'us-west-2']);
+
+    assert.equal(pairs.length, 3);
+    assert.deepEqual(pairs[0], {
+        a: 'us-east-1',
+        b: 'eu-west-1',
+        shared: 2,
+        onlyInA: 2,
+        onlyInB: 0,
+        parity: 50,
+        coverage: { bCoversA: 50, aCoversB: 100 }
+    });
+    assert.equal(pairs[2].parity, 33.3);
+});
+
+test('rejects fewer than two distinct regions', () => {
+    assert.throws(() => compareRegions(completeData, ['us-east-1', 'us-east-1']), /at least two distinct region codes/);
+});
+
+test('rejects regions without usable data', () => {
+    assert.throws(() => compareRegions(completeData, ['us-east-1', 'ap-south-2']), /No service data for ap-south-2 \(fetch failed: Rate exceeded\)/);
+    assert.throws(() => compareRegions(completeData, ['us-east-1', 'xx-none-1']), /No service data for xx-none-1$/);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { recommendRegions, getGeography } = require('../../src/core/region-recommender');
+
+const completeData = {
+    regions: {
+        regions: [
+            { code: 'af-south-1', name: 'Africa (Cape Town)', availabilityZones: 3, optInRequired: true },
+            { code: 'eu-central-1', name: 'Europe (Frankfurt)', availabilityZones: 3 },
+            { code: 'eu-west-1', name: 'Europe (Ireland)', availabilityZones: 3 },
+            { code: 'us-east-1', name: 'US East (N. Virginia)', availabilityZones: 6 },
+            { code: 'us-west-1', name: 'US West (N. California)', availabilityZones: 2 },
+            { code: 'ap-south-2', name: 'Asia Pacific (Hyderabad)', availabilityZones: 3 }
+        ]
+    },
+    services: { services: ['bedrock', 'ec2', 'lambda', 's3'] },
+    servicesByRegion: {
+        byRegion: {
+            'af-south-1': { services: ['bedrock', 'ec2', 'lambda', 's3'] },
+            'eu-central-1': { services: ['bedrock', 'ec2', 'lambda', 's3'] },
+            'eu-west-1': { services: ['ec2', 'lambda', 's3'] },
+            'us-east-1': { services: ['bedrock', 'ec2', 'lambda', 's3'] },
+            'us-west-1': { services: ['bedrock', 'ec2', 'lambda'] },
+            'ap-south-2': { services: [], error: 'Rate exceeded' }
+        }
+    }
+};
+
+test('ranks matching regions by AZ count, then catalog size, then code', () => {
+    const result = recommendRegions(completeData, ['bedrock', 'lambda']);
+
+    assert.deepEqual(result.matches.map(r => r.code), ['us-east-1', 'af-south-1', 'eu-central-1', 'us-west-1']);
+    assert.deepEqual(result.nearMisses.map(r => [r.code, r.missing.map(s => s.code)]), [['eu-west-1', ['bedrock']]]);
+    assert.deepEqual(result.excluded, [{ code: 'ap-south-2', name: 'Asia Pacific (Hyderabad)', reason: 'no service data' }]);
+    assert.equal(result.available, true);
+});
+
+test('applies geography, opt-in and AZ constraints', () => {
+    const result = recommendRegions(completeData, ['bedrock'], {
+        geographies: ['north-america', 'af'],
+        minAvailabilityZones: 3,
+        excludeOptIn: true
+    });
+
+    assert.deepEqual(result.matches.map(r => r.code), ['us-east-1']);
+    assert.deepEqual(result.nearMisses.map(r => [r.code, r.availabilityZoneShortfall]), [['us-west-1', 1]]);
+    assert.deepEqual(result.excluded.map(r => [r.code, r.reason]), [
+        ['af-south-1', 'opt-in'],
+        ['eu-central-1', 'geography'],
+        ['eu-west-1', 'geography'],
+        ['ap-south-2', 'geography']
+    ]);
+});
+
+test('limits near-misses to maxMissing unmet requirements', () => {
+    const result = recommendRegions(completeData, ['bedrock', 's3', 'sagemaker'], { maxMissing: 1 });
+
+    assert.deepEqual(result.matches, []);
+    assert.deepEqual(result.unknownServices, ['sagemaker']);
+    assert.deepEqual(result.nearMisses.map(r => r.code), ['us-east-1', 'af-south-1', 'eu-central-1']);
+    assert.equal(result.available, false);
+});
+
+test('rejects empty requirements and unknown geographies', () => {
+    assert.throws(() => recommendRegions(completeData, []), /at least one required service/);
+    assert.throws(() => recommendRegions(completeData, ['s3'], { geographies: ['antarctica'] }), /Unknown geography: antarctica/);
+});
+
+test('maps region codes to geographies', () => {
+    assert.equal(getGeography('il-central-1'), 'middle-east');
+    assert.equal(getGeography('mx-central-1'), 'north-america');
+    assert.equal(getGeography('xx-east-1'), null);
+});
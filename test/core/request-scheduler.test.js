@@ -0,0 +1,149 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const RequestScheduler = require('../../src/core/request-scheduler');
+
+/**
+ * Client whose send() runs responder(command, callNumber)
+ */
+function fakeClient(responder) {
+    const client = {
+        calls: 0,
+        inFlight: 0,
+        peakInFlight: 0,
+        async send(command) {
+            const call = ++client.calls;
+            client.inFlight++;
+            client.peakInFlight = Math.max(client.peakInFlight, client.inFlight);
+            try {
+                await new Promise(resolve => setImmediate(resolve));
+                return await responder(command, call);
+            } finally {
+                client.inFlight--;
+            }
+        }
+    };
+    return client;
+}
+
+function throttlingError() {
+    const error = new Error('Rate exceeded');
+    error.name = 'ThrottlingException';
+    return error;
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+});
+
+test('paces requests at the target rate', async () => {
+    const client = fakeClient(command => command);
+    const scheduler = new RequestScheduler(client, { targetTps: 10, maxTps: 10 });
+
+    const start = Date.now();
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => scheduler.send(n)));
+
+    assert.deepEqual(results, [1, 2, 3, 4, 5]);
+    // One token up front, then one every 100ms
+    assert.ok(Date.now() - start >= 350, `finished in ${Date.now() - start}ms`);
+    assert.equal(scheduler.stats.requests, 5);
+});
+
+test('caps requests in flight', async () => {
+    const client = fakeClient(() => 'ok');
+    const scheduler = new RequestScheduler(client, { targetTps: 1000, maxTps: 1000, maxInFlight: 2 });
+    scheduler.tokens = 1000;
+
+    await Promise.all(Array.from({ length: 8 }, (_, i) => scheduler.send(i)));
+
+    assert.equal(client.peakInFlight, 2);
+    assert.equal(scheduler.inFlight, 0);
+});
+
+test('halves the rate on throttling and retries the request', async () => {
+    const client = fakeClient((command, call) => {
+        if (call === 1) throw throttlingError();
+        return 'done';
+    });
+    const scheduler = new RequestScheduler(client, { targetTps: 20, minTps: 2, maxTps: 40, baseDelay: 1 });
+
+    assert.equal(await scheduler.send('get'), 'done');
+    assert.equal(client.calls, 2);
+    assert.equal(scheduler.rate, 10);
+    assert.deepEqual(scheduler.stats, { requests: 2, throttled: 1, failed: 0 });
+});
+
+test('counts concurrent throttles as a single backoff', async () => {
+    const client = fakeClient((command, call) => {
+        if (call <= 3) throw throttlingError();
+        return command;
+    });
+    const scheduler = new RequestScheduler(client, { targetTps: 40, minTps: 2, maxTps: 40, baseDelay: 1 });
+    scheduler.tokens = 3;
+
+    await Promise.all(['a', 'b', 'c'].map(name => scheduler.send(name)));
+
+    assert.equal(scheduler.stats.throttled, 3);
+    assert.equal(scheduler.rate, 20);
+});
+
+test('gives up on throttling after maxRetries', async () => {
+    const client = fakeClient(() => {
+        throw throttlingError();
+    });
+    const scheduler = new RequestScheduler(client, { targetTps: 1000, maxTps: 1000, minTps: 1000, maxRetries: 2, baseDelay: 1 });
+
+    await assert.rejects(scheduler.send('get'), { name: 'ThrottlingException' });
+    assert.equal(client.calls, 3);
+    assert.equal(scheduler.stats.failed, 1);
+});
+
+test('rethrows other errors without retrying', async () => {
+    const client = fakeClient(() => {
+        throw new Error('AccessDenied');
+    });
+    const scheduler = new RequestScheduler(client, { baseDelay: 1 });
+
+    await assert.rejects(scheduler.send('get'), /AccessDenied/);
+    assert.equal(client.calls, 1);
+    assert.equal(scheduler.stats.throttled, 0);
+    assert.equal(scheduler.inFlight, 0);
+});
+
+test('ramps the rate up after a second of clean responses', async () => {
+    const client = fakeClient(() => 'ok');
+    const scheduler = new RequestScheduler(client, { targetTps: 4, minTps: 2, maxTps: 5 });
+    scheduler.tokens = 4;
+
+    await Promise.all([1, 2, 3, 4].map(n => scheduler.send(n)));
+    assert.equal(scheduler.rate, 5);
+
+    scheduler.tokens = 5;
+    await Promise.all([1, 2, 3, 4, 5].map(n => scheduler.send(n)));
+    assert.equal(scheduler.rate, 5);
+});
+
+test('map keeps item order and bounds concurrency', async () => {
+    const scheduler = new RequestScheduler(fakeClient(() => null));
+    let running = 0;
+    let peak = 0;
+
+    const results = await scheduler.map([30, 5, 20, 1, 10], async (delay, index) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        running--;
+        return `${index}:${delay}`;
+    }, 2);
+
+    assert.deepEqual(results, ['0:30', '1:5', '2:20', '3:1', '4:10']);
+    assert.equal(peak, 2);
+});
+
+test('map rejects when a worker fails', async () => {
+    const scheduler = new RequestScheduler(fakeClient(() => null));
+
+    await assert.rejects(scheduler.map([1, 2, 3], async item => {
+        if (item === 2) throw new Error('region failed');
+        return item;
+    }, 3), /region failed/);
+});
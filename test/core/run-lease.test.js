@@ -0,0 +1,102 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RunLease = require('../../src/core/run-lease');
+const LocalStorage = require('../../src/storage/local-storage');
+
+let dir;
+let storage;
+const leases = [];
+
+function createLease(owner, settings = {}) {
+    const lease = new RunLease(storage, { owner, ttl: 60000, heartbeatInterval: 60000, ...settings });
+    leases.push(lease);
+    return lease;
+}
+
+// Make the current lease look like its holder stopped renewing it
+async function expireCurrentLease() {
+    const current = await storage.loadLease();
+    await storage.saveLease({ ...current.lease, expiresAt: new Date(Date.now() - 1000).toISOString() }, current.version);
+}
+
+beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'run-lease-'));
+    storage = new LocalStorage(dir);
+});
+
+afterEach(async () => {
+    leases.splice(0).forEach(lease => lease.stopHeartbeat());
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('acquires a free lease and releases it for the next run', async () => {
+    const first = createLease('run-1');
+    assert.deepEqual(await first.acquire(), { acquired: true, reclaimed: null });
+    assert.equal((await storage.loadLease()).lease.owner, 'run-1');
+
+    await first.release();
+    assert.equal(RunLease.isLive((await storage.loadLease()).lease), false);
+
+    assert.deepEqual(await createLease('run-2').acquire(), { acquired: true, reclaimed: null });
+});
+
+test('skips while another run holds a live lease', async () => {
+    await createLease('run-1').acquire();
+
+    const result = await createLease('run-2').acquire();
+
+    assert.equal(result.acquired, false);
+    assert.equal(result.holder.owner, 'run-1');
+});
+
+test('reclaims an expired lease', async () => {
+    await createLease('run-1').acquire();
+    await expireCurrentLease();
+
+    const result = await createLease('run-2').acquire();
+
+    assert.equal(result.acquired, true);
+    assert.equal(result.reclaimed.owner, 'run-1');
+});
+
+test('lets only one of two racing runs take the lease', async () => {
+    const results = await Promise.all([createLease('run-1').tryAcquire(), createLease('run-2').tryAcquire()]);
+
+    assert.equal(results.filter(result => result.acquired).length, 1);
+    const holder = (await storage.loadLease()).lease.owner;
+    assert.equal(results.find(result => !result.acquired).holder.owner, holder);
+});
+
+test('marks the lease lost when another run took it over', async () => {
+    const stalled = createLease('run-1');
+    await stalled.acquire();
+    await expireCurrentLease();
+    await createLease('run-2').acquire();
+
+    await stalled.heartbeat();
+    await stalled.release();
+
+    assert.equal(stalled.lost, true);
+    const current = (await storage.loadLease()).lease;
+    assert.equal(current.owner, 'run-2');
+    assert.equal(RunLease.isLive(current), true);
+});
+
+test('waits for a busy lease in wait mode', async () => {
+    const holder = createLease('run-1');
+    await holder.acquire();
+    setTimeout(() => holder.release(), 20);
+
+    const result = await createLease('run-2', { onBusy: 'wait', pollInterval: 10, waitTimeout: 2000 }).acquire();
+
+    assert.equal(result.acquired, true);
+});
+
+test('rejects an unknown onBusy action', () => {
+    assert.throws(() => createLease('run-1', { onBusy: 'queue' }), /Unknown lease onBusy action: queue/);
+});
@@ -0,0 +1,94 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const SnapshotDiff = require('../../src/core/snapshot-diff');
+
+const complete = {
+    metadata: { timestamp: '2025-01-01T00:00:00.000Z' },
+    regions: { count: 2, regions: [{ code: 'eu-west-1', name: 'Europe (Ireland)', availabilityZones: 3 }, { code: 'us-east-1', name: 'US East (N. Virginia)', availabilityZones: 6 }] },
+    services: { count: 2, services: ['ec2', 's3'] },
+    servicesByRegion: {
+        byRegion: {
+            'eu-west-1': { regionCode: 'eu-west-1', services: ['ec2'] },
+            'us-east-1': { regionCode: 'us-east-1', services: ['ec2', 's3'] }
+        }
+    }
+};
+
+const regionsOnly = {
+    metadata: { timestamp: '2025-01-02T00:00:00.000Z' },
+    regions: { count: 1, regions: [{ code: 'us-east-1', name: 'US East (N. Virginia)', availabilityZones: 7 }] }
+};
+
+const servicesOnly = {
+    metadata: { timestamp: '2025-01-02T00:00:00.000Z' },
+    services: { count: 3, services: ['ec2', 'lambda', 's3'] }
+};
+
+describe('SnapshotDiff.compare', () => {
+    const snapshotDiff = new SnapshotDiff(null);
+
+    test('diffs two complete snapshots', () => {
+        const to = JSON.parse(JSON.stringify(complete));
+        to.services.services.push('lambda');
+        to.servicesByRegion.byRegion['eu-west-1'].services.push('s3');
+        to.regions.regions[0].availabilityZones = 4;
+
+        const diff = snapshotDiff.compare(complete, to, { lambda: 'AWS Lambda' });
+
+        assert.deepEqual(diff.services.added, [{ code: 'lambda', name: 'AWS Lambda' }]);
+        assert.deepEqual(diff.availabilityZones, [{ code: 'eu-west-1', name: 'Europe (Ireland)', from: 3, to: 4 }]);
+        assert.deepEqual(diff.regionalServices.added, [{ region: 'eu-west-1', service: 's3' }]);
+        assert.deepEqual(diff.notCompared, []);
+        assert.equal(diff.hasChanges, true);
+    });
+
+    test('compares only regions against a regions-only snapshot', () => {
+        for (const [from, to] of [[complete, regionsOnly], [regionsOnly, complete]]) {
+            const diff = snapshotDiff.compare(from, to);
+
+            assert.deepEqual(diff.services, { added: [], removed: [] });
+            assert.deepEqual(diff.regionalServices, { added: [], removed: [] });
+            assert.deepEqual(diff.notCompared, ['services', 'regionalServices']);
+            assert.equal(diff.summary.regionsAdded + diff.summary.regionsRemoved, 1);
+            assert.equal(diff.summary.azCountChanges, 1);
+        }
+    });
+
+    test('compares only services against a services-only snapshot', () => {
+        for (const [from, to] of [[complete, servicesOnly], [servicesOnly, complete]]) {
+            const diff = snapshotDiff.compare(from, to);
+
+            assert.deepEqual(diff.regions, { added: [], removed: [] });
+            assert.deepEqual(diff.availabilityZones, []);
+            assert.deepEqual(diff.regionalServices, { added: [], removed: [] });
+            assert.deepEqual(diff.notCompared, ['regions', 'regionalServices']);
+            assert.equal(diff.summary.servicesAdded + diff.summary.servicesRemoved, 1);
+        }
+    });
+
+    test('finds no differences between a regions-only and a services-only snapshot', () => {
+        const diff = snapshotDiff.compare(regionsOnly, servicesOnly);
+
+        assert.equal(diff.hasChanges, false);
+        assert.deepEqual(diff.notCompared, ['regions', 'services', 'regionalServices']);
+    });
+});
+
+describe('SnapshotDiff.format', () => {
+    const snapshotDiff = new SnapshotDiff(null);
+    const diff = {
+        from: { ref: '2025-01-01', source: 'history/a.json', timestamp: null },
+        to: { ref: 'current', source: 'complete-data.json', timestamp: null },
+        ...snapshotDiff.compare(complete, servicesOnly)
+    };
+
+    test('notes sections that were not compared', () => {
+        assert.match(snapshotDiff.format(diff, 'text', { color: false }), /Not compared \(missing from a snapshot\): regions, regionalServices/);
+        assert.match(snapshotDiff.format(diff, 'markdown'), /\| Services added \| 1 \|/);
+        assert.equal(JSON.parse(snapshotDiff.format(diff, 'json')).summary.servicesAdded, 1);
+    });
+
+    test('rejects unknown formats', () => {
+        assert.throws(() => snapshotDiff.format(diff, 'csv'), /Unknown diff format: csv/);
+    });
+});
@@ -0,0 +1,132 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const TemplateChecker = require('../../src/core/template-checker');
+const { resolveResourceType } = require('../../src/core/resource-service-map');
+
+const completeData = {
+    regions: { regions: [{ code: 'us-east-1', name: 'US East (N. Virginia)' }, { code: 'il-central-1', name: 'Israel (Tel Aviv)' }] },
+    services: { services: ['dynamodb', 'lambda', 's3'] },
+    servicesByRegion: {
+        byRegion: {
+            'us-east-1': { services: ['dynamodb', 'lambda', 's3'] },
+            'il-central-1': { services: ['lambda', 's3'] },
+            'ap-south-2': { services: [], error: 'Rate exceeded' }
+        }
+    }
+};
+
+const samTemplate = `
+AWSTemplateFormatVersion: '2010-09-09'
+Transform: AWS::Serverless-2016-10-31
+Resources:
+  Function:
+    Type: AWS::Serverless::Function
+    Properties:
+      Role: !GetAtt Role.Arn
+      Environment:
+        Variables:
+          TABLE: !Ref Table
+  Table:
+    Type: AWS::DynamoDB::Table
+  Role:
+    Type: AWS::IAM::Role
+  Widget:
+    Type: AWS::NoSuchService::Widget
+`;
+
+const terraformPlan = JSON.stringify({
+    resource_changes: [
+        { address: 'aws_s3_bucket.data', mode: 'managed', type: 'aws_s3_bucket', change: { actions: ['create'] } },
+        { address: 'aws_lambda_function.old', mode: 'managed', type: 'aws_lambda_function', change: { actions: ['delete'] } },
+        { address: 'data.aws_caller_identity.me', mode: 'data', type: 'aws_caller_identity', change: { actions: ['read'] } },
+        { address: 'random_id.suffix', mode: 'managed', type: 'random_id', change: { actions: ['create'] } }
+    ]
+});
+
+describe('TemplateChecker.parse', () => {
+    const checker = new TemplateChecker(completeData);
+
+    test('reads CloudFormation YAML with short-form intrinsic functions', () => {
+        const { format, resources } = checker.parse(samTemplate);
+        assert.equal(format, 'cloudformation');
+        assert.deepEqual(resources.map(r => r.type), [
+            'AWS::Serverless::Function', 'AWS::DynamoDB::Table', 'AWS::IAM::Role', 'AWS::NoSuchService::Widget'
+        ]);
+    });
+
+    test('reads managed AWS resources from a Terraform plan, skipping deletes', () => {
+        assert.deepEqual(checker.parse(terraformPlan), {
+            format: 'terraform',
+            resources: [{ id: 'aws_s3_bucket.data', type: 'aws_s3_bucket' }]
+        });
+    });
+
+    test('walks planned_values modules when there are no resource changes', () => {
+        const plan = JSON.stringify({
+            planned_values: {
+                root_module: {
+                    resources: [{ address: 'aws_s3_bucket.a', mode: 'managed', type: 'aws_s3_bucket' }],
+                    child_modules: [{ resources: [{ address: 'module.m.aws_dynamodb_table.t', mode: 'managed', type: 'aws_dynamodb_table' }] }]
+                }
+            }
+        });
+        assert.deepEqual(checker.parse(plan).resources.map(r => r.id), ['aws_s3_bucket.a', 'module.m.aws_dynamodb_table.t']);
+    });
+
+    test('rejects documents that are not templates', () => {
+        assert.throws(() => checker.parse('{"foo": 1}'), /Unrecognized template/);
+        assert.throws(() => checker.parse('foo: [unclosed'), /neither valid JSON nor YAML/);
+    });
+});
+
+describe('TemplateChecker.check', () => {
+    const checker = new TemplateChecker(completeData);
+    const { resources } = checker.parse(samTemplate);
+
+    test('reports unavailable services per region', () => {
+        const report = checker.check(resources, ['us-east-1', 'il-central-1']);
+        const [east, israel] = report.regions;
+
+        assert.equal(east.deployable, true);
+        assert.equal(israel.deployable, false);
+        assert.deepEqual(israel.unavailableServices, [{ code: 'dynamodb', name: 'dynamodb' }]);
+        assert.deepEqual(israel.resources.map(r => [r.id, r.status]), [
+            ['Function', 'available'], ['Table', 'unavailable'], ['Role', 'global'], ['Widget', 'unmapped']
+        ]);
+        assert.deepEqual(report.unresolved.map(r => r.id), ['Widget']);
+        assert.equal(report.deployable, false);
+    });
+
+    test('marks regions without usable data as unknown and not deployable', () => {
+        const [report] = checker.check(resources, ['ap-south-2']).regions;
+        assert.equal(report.known, false);
+        assert.equal(report.deployable, false);
+        assert.equal(report.resources.find(r => r.id === 'Table').status, 'unknown');
+    });
+
+    test('reports mappings to services missing from the dataset as unresolved', () => {
+        const report = checker.check([{ id: 'Queue', type: 'AWS::SQS::Queue' }], ['us-east-1']);
+        assert.deepEqual(report.unresolved, [{ id: 'Queue', type: 'AWS::SQS::Queue', service: 'sqs', status: 'unresolved' }]);
+    });
+});
+
+describe('resolveResourceType', () => {
+    test('prefers full CloudFormation types over namespaces', () => {
+        assert.deepEqual(resolveResourceType('AWS::Serverless::Function'), { mapped: true, global: false, service: 'lambda' });
+        assert.deepEqual(resolveResourceType('AWS::S3::Bucket'), { mapped: true, global: false, service: 's3' });
+        assert.deepEqual(resolveResourceType('Custom::Thing'), { mapped: true, global: true, service: null });
+    });
+
+    test('matches the longest Terraform prefix', () => {
+        assert.equal(resolveResourceType('aws_s3control_access_point').service, 's3');
+        assert.equal(resolveResourceType('aws_iam_role').global, true);
+        assert.equal(resolveResourceType('aws_nonexistent_thing').mapped, false);
+    });
+
+    test('keeps VPC Lattice resources apart from VPC resources', () => {
+        assert.equal(resolveResourceType('aws_vpc').service, 'ec2');
+        assert.equal(resolveResourceType('aws_vpc_endpoint').service, 'ec2');
+        assert.equal(resolveResourceType('aws_vpclattice_service_network').service, 'vpc-lattice');
+        assert.equal(resolveResourceType('AWS::VpcLattice::ServiceNetwork').service, 'vpc-lattice');
+    });
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { contentHash, VOLATILE_KEYS } = require('../../src/storage/content-hash');
+
+const data = {
+  metadata: { timestamp: '2025-01-01T00:00:00.000Z', version: '1.5.1' },
+  servicesByRegion: {
+    byRegion: { 'us-east-1': { services: ['ec2', 's3'], lastFetched: '2025-01-01T00:00:00.000Z' } },
+    summary: { totalRegions: 1, cachedRegions: 1, fetchedRegions: 0, lastUpdated: '2025-01-01T00:00:00.000Z' }
+  }
+};
+
+test('ignores volatile keys at any depth', () => {
+  const rerun = {
+    metadata: { timestamp: '2025-01-02T00:00:00.000Z', version: '1.5.1' },
+    servicesByRegion: {
+      byRegion: { 'us-east-1': { services: ['ec2', 's3'], lastFetched: '2025-01-02T00:00:00.000Z', lastChecked: '2025-01-02T00:00:00.000Z' } },
+      summary: { totalRegions: 1, cachedRegions: 0, fetchedRegions: 1, unchangedRegions: 0, lastUpdated: '2025-01-02T00:00:00.000Z' }
+    }
+  };
+
+  assert.equal(contentHash(rerun), contentHash(data));
+});
+
+test('does not depend on key order', () => {
+  const reordered = { servicesByRegion: data.servicesByRegion, metadata: { version: '1.5.1', timestamp: 'x' } };
+
+  assert.equal(contentHash(reordered), contentHash(data));
+});
+
+test('changes with the data itself, including array order', () => {
+  const changed = JSON.parse(JSON.stringify(data));
+  changed.servicesByRegion.byRegion['us-east-1'].services = ['s3', 'ec2'];
+
+  assert.notEqual(contentHash(changed), contentHash(data));
+  assert.notEqual(contentHash({ ...data, metadata: { ...data.metadata, version: '1.6.0' } }), contentHash(data));
+});
+
+test('treats only bookkeeping fields as volatile', () => {
+  assert.ok(VOLATILE_KEYS.has('timestamp'));
+  assert.ok(!VOLATILE_KEYS.has('services'));
+  assert.ok(!VOLATILE_KEYS.has('lastModified'));
+});
@@ -0,0 +1,90 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LocalStorage = require('../../src/storage/local-storage');
+const StorageConflictError = require('../../src/storage/storage-conflict-error');
+
+let dir;
+let storage;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-storage-'));
+  storage = new LocalStorage(dir);
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('lets exactly one of several saves from the same lease version through', async () => {
+  const version = await storage.saveLease({ owner: 'run-0' }, null);
+
+  const results = await Promise.allSettled(
+    [1, 2, 3, 4, 5].map(n => storage.saveLease({ owner: `run-${n}` }, version))
+  );
+
+  const saved = results.filter(result => result.status === 'fulfilled');
+  assert.equal(saved.length, 1);
+  results.filter(result => result.status === 'rejected')
+    .forEach(result => assert.ok(result.reason instanceof StorageConflictError));
+  assert.deepEqual(await storage.loadLease(), { lease: { owner: `run-${results.indexOf(saved[0]) + 1}` }, version: saved[0].value });
+});
+
+test('keeps only the newest lease version', async () => {
+  let version = null;
+  for (const owner of ['run-1', 'run-2', 'run-3']) {
+    version = await storage.saveLease({ owner }, version);
+  }
+
+  assert.deepEqual(await fs.readdir(path.join(dir, '.run-lease')), [`${version}.json`]);
+  assert.equal((await storage.loadLease()).lease.owner, 'run-3');
+});
+
+test('rejects a save from a version that was already superseded and pruned', async () => {
+  const first = await storage.saveLease({ owner: 'run-1' }, null);
+  await storage.saveLease({ owner: 'run-1', renewed: true }, first);
+
+  await assert.rejects(storage.saveLease({ owner: 'run-2' }, null), StorageConflictError);
+  assert.deepEqual((await storage.loadLease()).lease, { owner: 'run-1', renewed: true });
+  assert.deepEqual(await fs.readdir(path.join(dir, '.run-lease')), ['2.json']);
+});
+
+test('has no lease before the first save', async () => {
+  assert.equal(await storage.loadLease(), null);
+});
+
+test('skips rewriting a published file whose content is unchanged', async () => {
+  const regions = { count: 1, regions: [{ code: 'us-east-1' }], timestamp: '2025-01-01T00:00:00.000Z' };
+
+  assert.equal((await storage.saveRegions(regions)).updated, true);
+  const { mtimeMs } = await fs.stat(path.join(dir, 'regions.json'));
+
+  const rerun = await storage.saveRegions({ ...regions, timestamp: '2025-01-02T00:00:00.000Z' });
+  assert.deepEqual(rerun, { path: path.join(dir, 'regions.json'), updated: false });
+  assert.equal((await fs.stat(path.join(dir, 'regions.json'))).mtimeMs, mtimeMs);
+
+  assert.equal((await storage.saveRegions({ ...regions, count: 2 })).updated, true);
+});
+
+test('rewrites a file that was deleted even if its hash is recorded', async () => {
+  const services = { count: 1, services: [{ code: 's3' }] };
+  await storage.saveServices(services);
+  await fs.unlink(path.join(dir, 'services.json'));
+
+  assert.equal((await storage.saveServices(services)).updated, true);
+  assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, 'services.json'), 'utf8')), services);
+});
+
+test('adds a history snapshot only when complete data changed', async () => {
+  const complete = { metadata: { timestamp: '2025-01-01T00:00:00.000Z' }, regions: { count: 1 } };
+
+  await storage.saveComplete(complete);
+  await storage.saveComplete({ ...complete, metadata: { timestamp: '2025-01-02T00:00:00.000Z' } });
+  assert.equal((await storage.listHistorySnapshots()).length, 1);
+
+  await new Promise(resolve => setTimeout(resolve, 2));
+  await storage.saveComplete({ ...complete, regions: { count: 2 } });
+  assert.equal((await storage.listHistorySnapshots()).length, 2);
+});
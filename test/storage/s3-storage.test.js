@@ -0,0 +1,140 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const S3Storage = require('../../src/storage/s3-storage');
+const StorageConflictError = require('../../src/storage/storage-conflict-error');
+const { contentHash } = require('../../src/storage/content-hash');
+
+// Requests are answered before signing or sending, but the client still resolves these
+process.env.AWS_REGION = 'us-east-1';
+process.env.AWS_ACCESS_KEY_ID = 'test';
+process.env.AWS_SECRET_ACCESS_KEY = 'test';
+
+/**
+ * S3Storage whose client serializes requests for real but answers them from
+ * `objects` (key -> { body, etag, metadata }) instead of the network
+ */
+function createStorage(objects = {}, { rejectPut } = {}) {
+  const storage = new S3Storage('test-bucket', 'aws-data');
+  const requests = [];
+
+  storage.s3Client.middlewareStack.add(() => async (args) => {
+    const { Key } = args.input;
+    requests.push({ key: Key, method: args.request.method, headers: args.request.headers });
+
+    if (args.request.method === 'GET') {
+      if (!objects[Key]) {
+        throw Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' });
+      }
+      return {
+        output: { Body: { transformToString: async () => objects[Key].body }, ETag: objects[Key].etag, $metadata: {} },
+        response: {}
+      };
+    }
+
+    if (args.request.method === 'HEAD') {
+      if (!objects[Key]) {
+        throw Object.assign(new Error('Not Found'), { name: 'NotFound' });
+      }
+      return { output: { Metadata: objects[Key].metadata || {}, $metadata: {} }, response: {} };
+    }
+
+    if (rejectPut) {
+      throw Object.assign(new Error('At least one of the pre-conditions you specified did not hold'), {
+        name: 'PreconditionFailed',
+        $metadata: { httpStatusCode: 412 }
+      });
+    }
+    return { output: { ETag: '"written"', $metadata: {} }, response: {} };
+  }, { step: 'build', priority: 'low' });
+
+  return { storage, requests };
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+});
+
+test('sends If-Match with the ETag that was read', async () => {
+  const { storage, requests } = createStorage({
+    'aws-data/change-history.json': { body: '{"changeLog":[]}', etag: '"v1"' }
+  });
+
+  assert.deepEqual(await storage.loadChangeHistory(), { changeLog: [] });
+  await storage.saveChangeHistory({ changeLog: [{ date: '2024-01-01' }] });
+  await storage.saveChangeHistory({ changeLog: [] });
+
+  const puts = requests.filter(request => request.method === 'PUT');
+  assert.equal(puts[0].headers['if-match'], '"v1"');
+  assert.equal(puts[1].headers['if-match'], '"written"');
+});
+
+test('sends If-None-Match: * when the object did not exist', async () => {
+  const { storage, requests } = createStorage();
+
+  assert.equal(await storage.loadPreviousSnapshot(), null);
+  await storage.savePreviousSnapshot({ timestamp: '2024-01-01T00:00:00.000Z' });
+
+  const put = requests.find(request => request.method === 'PUT');
+  assert.equal(put.headers['if-none-match'], '*');
+  assert.equal(put.headers['if-match'], undefined);
+});
+
+test('writes objects it never read unconditionally', async () => {
+  const { storage, requests } = createStorage();
+
+  await storage.saveChangeHistory({ changeLog: [] });
+
+  assert.equal(requests[0].headers['if-match'], undefined);
+  assert.equal(requests[0].headers['if-none-match'], undefined);
+});
+
+test('turns a failed precondition into a StorageConflictError', async () => {
+  const { storage } = createStorage({
+    'aws-data/.previous-snapshot.json': { body: '{}', etag: '"v1"' }
+  }, { rejectPut: true });
+
+  await storage.loadPreviousSnapshot();
+  await assert.rejects(storage.savePreviousSnapshot({}), (error) => {
+    assert.ok(error instanceof StorageConflictError);
+    assert.equal(error.location, 's3://test-bucket/aws-data/.previous-snapshot.json');
+    return true;
+  });
+});
+
+test('skips writing a published object whose content hash matches', async () => {
+  const regions = { count: 1, regions: [{ code: 'us-east-1' }], timestamp: '2025-01-02T00:00:00.000Z' };
+  const { storage, requests } = createStorage({
+    'aws-data/regions.json': { metadata: { 'content-hash': contentHash({ ...regions, timestamp: '2025-01-01T00:00:00.000Z' }) } }
+  });
+
+  assert.deepEqual(await storage.saveRegions(regions), { path: 's3://test-bucket/aws-data/regions.json', updated: false });
+  assert.equal((await storage.saveRegions({ ...regions, count: 2 })).updated, true);
+  assert.deepEqual(requests.map(request => request.method), ['HEAD', 'HEAD', 'PUT']);
+});
+
+test('adds a history snapshot only when complete data changed', async () => {
+  const complete = { regions: { count: 1 } };
+  const { storage, requests } = createStorage({
+    'aws-data/complete-data.json': { metadata: { 'content-hash': contentHash(complete) } }
+  });
+
+  await storage.saveComplete(complete);
+  await storage.saveComplete({ regions: { count: 2 } });
+
+  const puts = requests.filter(request => request.method === 'PUT').map(request => request.key);
+  assert.equal(puts.length, 2);
+  assert.equal(puts[0], 'aws-data/complete-data.json');
+  assert.match(puts[1], /^aws-data\/history\/complete-data-\d+\.json$/);
+});
+
+test('distributes endpoints.json only when endpoints were fetched', async () => {
+  const { storage, requests } = createStorage();
+
+  await storage.distributeToWebsite('www.example.com', 'data');
+  const withEndpoints = await storage.distributeToWebsite('www.example.com', 'data', { includeEndpoints: true });
+
+  const copied = requests.map(request => request.key);
+  assert.equal(copied.filter(key => key === 'data/endpoints.json').length, 1);
+  assert.equal(withEndpoints.totalFiles, 5);
+  assert.equal(withEndpoints.successCount, 5);
+});